@@ -12,6 +12,11 @@ module.exports = {
 	Client: require('./lib/client.js'),
 	Packet: require('./lib/packet.js'),
 	Code: require('./lib/code.js'),
+	ChallengeStore: require('./lib/challenge.js'),
+	CHAP: require('./lib/chap.js'),
+	MSCHAP: require('./lib/mschap.js'),
+	EAPHandler: require('./lib/eap.js'),
+	ErrorCause: require('./lib/errcause.js'),
 	Attribute: require('./lib/attribute.js'),
 	AttributeList: require('./lib/attrlist.js'),
 	Dictionary: require('./lib/dictionary.js'),
@@ -0,0 +1,331 @@
+/*
+ * Copyright (C) Internet Systems Consortium, Inc. ("ISC")
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+/**
+ * @fileOverview Ascend binary filter conversion
+ * @author [Ray Bellis]{@link mailto:ray@isc.org}
+ */
+
+// the size of the binary filter structure
+const FILTER_LENGTH = 32;
+
+// filter types
+const FILTER_GENERIC = 0;
+const FILTER_IP = 1;
+
+// the maximum number of bytes compared by a generic filter
+const MAX_GENERIC_LENGTH = 6;
+
+// offsets of the fields of the filter structure
+const OFFSET_TYPE = 0;
+const OFFSET_FORWARD = 1;
+const OFFSET_DIRECTION = 2;
+
+// ... and of the IP filter fields
+const OFFSET_SRCIP = 4;
+const OFFSET_DSTIP = 8;
+const OFFSET_SRCMASK = 12;
+const OFFSET_DSTMASK = 13;
+const OFFSET_PROTO = 14;
+const OFFSET_ESTABLISHED = 15;
+const OFFSET_SRCPORT = 16;
+const OFFSET_DSTPORT = 18;
+const OFFSET_SRCPORTCOMP = 20;
+const OFFSET_DSTPORTCOMP = 21;
+
+// ... and of the generic filter fields
+const OFFSET_OFFSET = 4;
+const OFFSET_LENGTH = 6;
+const OFFSET_MORE = 8;
+const OFFSET_MASK = 10;
+const OFFSET_VALUE = OFFSET_MASK + MAX_GENERIC_LENGTH;
+const OFFSET_COMPNEQ = OFFSET_VALUE + MAX_GENERIC_LENGTH;
+
+const protocols = new Map([
+	[ 'tcp', 6 ],
+	[ 'udp', 17 ],
+	[ 'ospf', 89 ],
+	[ 'icmp', 1 ],
+]);
+
+const protocolNames = new Map([...protocols].map(([k, v]) => [v, k]));
+
+const portComparisons = new Map([
+	[ '<', 1 ],
+	[ '=', 2 ],
+	[ '>', 3 ],
+	[ '!=', 4 ],
+]);
+
+const portComparisonNames = new Map([...portComparisons].map(([k, v]) => [v, k]));
+
+const ports = new Map([
+	[ 'ftp-data', 20 ],
+	[ 'ftp', 21 ],
+	[ 'telnet', 23 ],
+	[ 'smtp', 25 ],
+	[ 'nameserver', 42 ],
+	[ 'domain', 53 ],
+	[ 'tftp', 69 ],
+	[ 'gopher', 70 ],
+	[ 'finger', 79 ],
+	[ 'www', 80 ],
+	[ 'kerberos', 88 ],
+	[ 'hostname', 101 ],
+	[ 'nntp', 119 ],
+	[ 'ntp', 123 ],
+	[ 'exec', 512 ],
+	[ 'login', 513 ],
+	[ 'cmd', 514 ],
+	[ 'talk', 517 ],
+]);
+
+function parseInteger(token, max, what)
+{
+	const value = Number(token);
+	if (token === undefined || !Number.isInteger(value) || value < 0 || value > max) {
+		throw new TypeError(`invalid ${what} in Ascend filter: ${token}`);
+	}
+	return value;
+}
+
+function parseHex(token, what)
+{
+	const m = (token || '').match(/^(?:0x)?((?:[0-9a-f]{2})+)$/i);
+	if (!m) {
+		throw new TypeError(`invalid ${what} in Ascend filter: ${token}`);
+	}
+	return Buffer.from(m[1], 'hex');
+}
+
+// parse e.g. "10.0.0.0/8" into the buffer at the given offsets
+function parseAddress(buf, token, addr_offset, mask_offset)
+{
+	const [addr, mask = '32'] = (token || '').split('/');
+	const octets = addr.split('.');
+	if (octets.length !== 4) {
+		throw new TypeError(`invalid IP address in Ascend filter: ${token}`);
+	}
+
+	octets.forEach((o, i) => buf[addr_offset + i] = parseInteger(o, 255, 'IP address'));
+	buf[mask_offset] = parseInteger(mask, 32, 'netmask');
+}
+
+// parse e.g. "= 80" into the buffer at the given offsets
+function parsePort(buf, tokens, port_offset, comp_offset)
+{
+	const comp = tokens.shift();
+	if (!portComparisons.has(comp)) {
+		throw new TypeError(`invalid port comparison in Ascend filter: ${comp}`);
+	}
+
+	let port = tokens.shift();
+	port = ports.has(port) ? ports.get(port) : parseInteger(port, 65535, 'port');
+
+	buf[comp_offset] = portComparisons.get(comp);
+	buf.writeUInt16BE(port, port_offset);
+}
+
+// ip dir action [dstip n.n.n.n/nn] [srcip n.n.n.n/nn]
+//     [proto [dstport cmp value] [srcport cmp value] [est]]
+function parseIP(buf, tokens)
+{
+	let proto;
+	while (tokens.length) {
+		const token = tokens.shift();
+		switch (token) {
+			case 'srcip':
+				parseAddress(buf, tokens.shift(), OFFSET_SRCIP, OFFSET_SRCMASK);
+				break;
+
+			case 'dstip':
+				parseAddress(buf, tokens.shift(), OFFSET_DSTIP, OFFSET_DSTMASK);
+				break;
+
+			case 'srcport':
+				parsePort(buf, tokens, OFFSET_SRCPORT, OFFSET_SRCPORTCOMP);
+				break;
+
+			case 'dstport':
+				parsePort(buf, tokens, OFFSET_DSTPORT, OFFSET_DSTPORTCOMP);
+				break;
+
+			case 'est':
+				buf[OFFSET_ESTABLISHED] = 1;
+				break;
+
+			default:
+				if (proto !== undefined) {
+					throw new TypeError(`unexpected token in Ascend filter: ${token}`);
+				}
+				proto = protocols.has(token) ? protocols.get(token) : parseInteger(token, 255, 'protocol');
+				buf[OFFSET_PROTO] = proto;
+		}
+	}
+
+	// ports and "est" only make sense with a protocol
+	const hasPorts = buf[OFFSET_SRCPORTCOMP] || buf[OFFSET_DSTPORTCOMP];
+	if ((hasPorts || buf[OFFSET_ESTABLISHED]) && !proto) {
+		throw new TypeError('Ascend filter port or "est" specified without a protocol');
+	}
+}
+
+// generic dir action offset mask value [== or !=] [more]
+function parseGeneric(buf, tokens)
+{
+	const offset = parseInteger(tokens.shift(), 65535, 'offset');
+	const mask = parseHex(tokens.shift(), 'mask');
+	const value = parseHex(tokens.shift(), 'value');
+
+	if (mask.length !== value.length || mask.length > MAX_GENERIC_LENGTH) {
+		throw new TypeError('invalid mask or value length in Ascend filter');
+	}
+
+	buf.writeUInt16BE(offset, OFFSET_OFFSET);
+	buf.writeUInt16BE(mask.length, OFFSET_LENGTH);
+	mask.copy(buf, OFFSET_MASK);
+	value.copy(buf, OFFSET_VALUE);
+
+	while (tokens.length) {
+		const token = tokens.shift();
+		if (token === '==') {
+			buf[OFFSET_COMPNEQ] = 0;
+		} else if (token === '!=') {
+			buf[OFFSET_COMPNEQ] = 1;
+		} else if (token === 'more') {
+			buf.writeUInt16BE(1, OFFSET_MORE);
+		} else {
+			throw new TypeError(`unexpected token in Ascend filter: ${token}`);
+		}
+	}
+}
+
+/**
+ * Converts an Ascend filter from its textual form, e.g.
+ * "ip in forward srcip 10.0.0.0/8 tcp dstport = 80",
+ * into the binary filter structure.
+ *
+ * Only "ip" and "generic" filters are supported, although any
+ * filter may also be given in hexadecimal (e.g. "0x0101...").
+ *
+ * @param {string} str - the filter in textual form
+ * @return {Buffer} the binary filter
+ * @throws if the filter cannot be parsed
+ */
+function parse(str)
+{
+	if (typeof str !== 'string') {
+		throw new TypeError('Ascend filter must be a string');
+	}
+
+	// allow filters of unsupported types to be given in hex
+	if (/^0x([0-9a-f]{2})+$/i.test(str.trim())) {
+		return Buffer.from(str.trim().substring(2), 'hex');
+	}
+
+	const tokens = str.trim().toLowerCase().split(/\s+/);
+	const [type, direction, action] = tokens.splice(0, 3);
+	const buf = Buffer.alloc(FILTER_LENGTH);
+
+	if (direction !== 'in' && direction !== 'out') {
+		throw new TypeError(`invalid direction in Ascend filter: ${direction}`);
+	}
+	buf[OFFSET_DIRECTION] = (direction === 'in') ? 1 : 0;
+
+	if (action !== 'forward' && action !== 'drop') {
+		throw new TypeError(`invalid action in Ascend filter: ${action}`);
+	}
+	buf[OFFSET_FORWARD] = (action === 'forward') ? 1 : 0;
+
+	if (type === 'ip') {
+		buf[OFFSET_TYPE] = FILTER_IP;
+		parseIP(buf, tokens);
+	} else if (type === 'generic') {
+		buf[OFFSET_TYPE] = FILTER_GENERIC;
+		parseGeneric(buf, tokens);
+	} else {
+		throw new TypeError(`unsupported Ascend filter type: ${type}`);
+	}
+
+	return buf;
+}
+
+function formatIP(buf)
+{
+	let s = '';
+
+	for (let [name, addr, mask] of [
+		[ 'srcip', OFFSET_SRCIP, OFFSET_SRCMASK ],
+		[ 'dstip', OFFSET_DSTIP, OFFSET_DSTMASK ]
+	]) {
+		const ip = buf.slice(addr, addr + 4);
+		if (ip.some(x => x)) {
+			s += ` ${name} ${[].join.call(ip, '.')}/${buf[mask]}`;
+		}
+	}
+
+	const proto = buf[OFFSET_PROTO];
+	if (proto) {
+		s += ' ' + (protocolNames.get(proto) || proto);
+	}
+
+	for (let [name, port, comp] of [
+		[ 'srcport', OFFSET_SRCPORT, OFFSET_SRCPORTCOMP ],
+		[ 'dstport', OFFSET_DSTPORT, OFFSET_DSTPORTCOMP ]
+	]) {
+		if (portComparisonNames.has(buf[comp])) {
+			s += ` ${name} ${portComparisonNames.get(buf[comp])} ${buf.readUInt16BE(port)}`;
+		}
+	}
+
+	if (buf[OFFSET_ESTABLISHED]) {
+		s += ' est';
+	}
+
+	return s;
+}
+
+function formatGeneric(buf)
+{
+	const length = Math.min(buf.readUInt16BE(OFFSET_LENGTH), MAX_GENERIC_LENGTH);
+	const mask = buf.slice(OFFSET_MASK, OFFSET_MASK + length).toString('hex');
+	const value = buf.slice(OFFSET_VALUE, OFFSET_VALUE + length).toString('hex');
+
+	let s = ` ${buf.readUInt16BE(OFFSET_OFFSET)} ${mask} ${value}`;
+	s += buf[OFFSET_COMPNEQ] ? ' !=' : ' ==';
+	if (buf.readUInt16BE(OFFSET_MORE)) {
+		s += ' more';
+	}
+
+	return s;
+}
+
+/**
+ * Converts an Ascend binary filter into its textual form.  Filters
+ * of an unsupported type or length are shown in hexadecimal.
+ *
+ * @param {Buffer} buf - the binary filter
+ * @return {string} the filter in textual form
+ */
+function format(buf)
+{
+	const type = buf[OFFSET_TYPE];
+	if (buf.length !== FILTER_LENGTH || (type !== FILTER_IP && type !== FILTER_GENERIC)) {
+		return '0x' + buf.toString('hex');
+	}
+
+	let s = (type === FILTER_IP) ? 'ip' : 'generic';
+	s += buf[OFFSET_DIRECTION] ? ' in' : ' out';
+	s += buf[OFFSET_FORWARD] ? ' forward' : ' drop';
+	s += (type === FILTER_IP) ? formatIP(buf) : formatGeneric(buf);
+
+	return s;
+}
+
+module.exports = { parse, format };
@@ -12,12 +12,14 @@
  * @author <a href="mailto:ray@isc.org">Ray Bellis</a>
  */
 
+const crypto = require('crypto');
+const AV = require('./avalue');
 const Dictionary = require('./dictionary');
 const inspect = Symbol.for('nodejs.util.inspect.custom');
 
 function md5(secret, chunk)
 {
-		const hash = require('crypto').createHash('md5');
+		const hash = crypto.createHash('md5');
 		hash.update(secret);
 		hash.update(chunk);
 		return hash.digest();
@@ -74,6 +76,583 @@ function decodeMD5(cipher, secret, authenticator)
 	return stripTrailingNULs(p).toString();
 }
 
+// RFC 2868 §3.5 - the longest password that fits in a Tunnel-Password
+// attribute alongside the tag, salt and length fields
+const MAX_SALT_PASSWORD_LENGTH = 239;
+
+function encodeSalt(password, secret, authenticator)
+{
+	if (password.length > MAX_SALT_PASSWORD_LENGTH) {
+		throw new RangeError('password too long for salt encryption');
+	}
+
+	// the most significant bit of the salt must be set
+	const salt = crypto.randomBytes(2);
+	salt[0] |= 0x80;
+
+	// the plaintext is prefixed with the password length
+	const n = (password.length + 16) & 0xff0;
+	const p = Buffer.alloc(n);
+	const c = Buffer.alloc(n);
+	p[0] = password.length;
+	password.copy(p, 1);
+
+	for (let i = 0; i < n; i += 16) {
+		const chunk = (i === 0) ? Buffer.concat([authenticator, salt]) : c.slice(i - 16, i);
+		const b = md5(secret, chunk);
+		xorBlock(i, c, p, b);
+	}
+
+	return Buffer.concat([salt, c]);
+}
+
+function decodeSalt(cipher, secret, authenticator)
+{
+	const n = cipher.length - 2;
+	if (n < 16 || n % 16 !== 0) {
+		throw new Error('illegal encrypted password length');
+	}
+
+	const salt = cipher.slice(0, 2);
+	const p = Buffer.alloc(n);
+	const c = cipher.slice(2);
+
+	for (let i = 0; i < n; i += 16) {
+		const chunk = (i === 0) ? Buffer.concat([authenticator, salt]) : c.slice(i - 16, i);
+		const b = md5(secret, chunk);
+		xorBlock(i, p, c, b);
+	}
+
+	const length = p[0];
+	if (length > n - 1) {
+		throw new Error('illegal encrypted password length');
+	}
+
+	return p.slice(1, 1 + length);
+}
+
+// the fixed length of Ascend-Send-Secret encrypted values
+const ASCEND_SECRET_LENGTH = 16;
+
+// Ascend-Send-Secret: the value is XORed with MD5(authenticator + secret)
+function encodeAscend(value, secret, authenticator)
+{
+	if (value.length > ASCEND_SECRET_LENGTH) {
+		throw new RangeError('value too long for Ascend-Send-Secret encryption');
+	}
+
+	const c = md5(authenticator, secret);
+	for (let i = 0; i < value.length; ++i) {
+		c[i] ^= value[i];
+	}
+
+	return c;
+}
+
+function decodeAscend(cipher, secret, authenticator)
+{
+	if (cipher.length !== ASCEND_SECRET_LENGTH) {
+		throw new Error('illegal Ascend-Send-Secret encrypted value length');
+	}
+
+	const p = md5(authenticator, secret);
+	for (let i = 0; i < p.length; ++i) {
+		p[i] ^= cipher[i];
+	}
+
+	// the value is terminated by the first NUL
+	const n = p.indexOf(0);
+	return (n < 0) ? p : p.slice(0, n);
+}
+
+// RFC 2868 §3 - the largest tag value, and the largest
+// value of a tagged integer attribute
+const MAX_TAG = 0x1f;
+const MAX_TAGGED_INTEGER = 0xffffff;
+
+function parseTag(dict, tag)
+{
+	// a zero tag is equivalent to no tag
+	if (tag === undefined || tag === 0) {
+		return undefined;
+	}
+
+	if (!dict.flags.has_tag) {
+		throw new TypeError(`${dict.name} does not accept a tag`);
+	}
+
+	if (!Number.isInteger(tag)) {
+		throw new TypeError('attribute tag must be an integer');
+	}
+
+	if (tag < 0 || tag > MAX_TAG) {
+		throw new RangeError(`attribute tag out of range: ${tag}`);
+	}
+
+	return tag;
+}
+
+// add the tag field to the (encrypted) value of a tagged attribute
+function addTag(dict, abuf, tag = 0)
+{
+	// integers carry the tag in their most significant byte
+	if (dict.isNumeric) {
+		abuf[0] = tag;
+		return abuf;
+	}
+
+	// strings only need a tag field if there's a tag, or if the
+	// first byte of the value would be mistaken for one
+	if (tag || dict.flags.encrypt === 2 || abuf[0] <= MAX_TAG) {
+		return Buffer.concat([Buffer.from([tag]), abuf]);
+	}
+
+	return abuf;
+}
+
+// split the value of a tagged attribute into its tag and data
+function removeTag(dict, data)
+{
+	if (dict.isNumeric) {
+		if (data.length === 0) {
+			return [undefined, data];
+		}
+		const tag = data[0];
+		data = Buffer.from(data);
+		data[0] = 0;
+		return [tag, data];
+	}
+
+	if (dict.flags.encrypt === 2 || data[0] <= MAX_TAG) {
+		return [data[0], data.slice(1)];
+	}
+
+	return [undefined, data];
+}
+
+// RFC 6929 §2.2 - the "More" flag of long extended attributes
+const LONG_EXTENDED_MORE = 0x80;
+
+// the maximum amount of data that fits in a single
+// extended or long extended attribute
+const MAX_EXTENDED_LENGTH = 255 - 3;
+const MAX_LONG_EXTENDED_LENGTH = 255 - 4;
+
+// RFC 6929 §2.4 - the Vendor-Id and Vendor-Type that precede
+// the value of an Extended-Vendor-Specific attribute
+const EVS_HEADER_LENGTH = 5;
+
+// write the attribute headers and data for an RFC 6929 extended
+// attribute, fragmenting long extended attributes as necessary
+function writeExtended(buf, offset, dict, abuf)
+{
+	// EVS attributes are prefixed with their vendor headers
+	if (dict.isEVS) {
+		const header = Buffer.alloc(EVS_HEADER_LENGTH);
+		header.writeUInt32BE(dict.vendor.id, 0);
+		header.writeUInt8(dict.sub_id, 4);
+		abuf = Buffer.concat([header, abuf]);
+	}
+
+	const long = dict.isLongExtended;
+	const max = long ? MAX_LONG_EXTENDED_LENGTH : MAX_EXTENDED_LENGTH;
+	const header = long ? 4 : 3;
+
+	if (!long && abuf.length > max) {
+		throw new RangeError('value too long for extended attribute');
+	}
+
+	let n = 0;
+	do {
+		const chunk = abuf.slice(n, n + max);
+		const length = header + chunk.length;
+		n += chunk.length;
+
+		// ensure there's room in the packet
+		if (offset + length >= buf.length) {
+			throw new RangeError('attributes will not fit in buffer');
+		}
+
+		offset = buf.writeUInt8(dict.id, offset);
+		offset = buf.writeUInt8(length, offset);
+		offset = buf.writeUInt8(dict.ext_id, offset);
+		if (long) {
+			offset = buf.writeUInt8(n < abuf.length ? LONG_EXTENDED_MORE : 0, offset);
+		}
+		offset += chunk.copy(buf, offset);
+	} while (n < abuf.length);
+
+	return offset;
+}
+
+// parse the headers of an RFC 6929 extended attribute, reassembling
+// the fragments of a long extended attribute, returning the
+// real dictionary entry and the value
+function parseExtended(buffer, parent, dictionary)
+{
+	const long = parent.isLongExtendedParent;
+	const header = long ? 4 : 3;
+
+	if (buffer.length < header) {
+		throw new RangeError('extended attribute buffer too short');
+	}
+
+	const ext_id = buffer[2];
+	const dict = dictionary.extended(parent.id, ext_id);
+
+	if (!long) {
+		return parseEVS(dict, buffer.slice(header), dictionary);
+	}
+
+	const chunks = [];
+	let offset = 0;
+	let more = true;
+	while (more) {
+		if (offset + header > buffer.length) {
+			throw new RangeError('long extended attribute fragment missing');
+		}
+
+		const length = buffer[offset + 1];
+		if (length < header || offset + length > buffer.length) {
+			throw new RangeError('invalid length for long extended attribute fragment');
+		}
+
+		if (buffer[offset] !== parent.id || buffer[offset + 2] !== ext_id) {
+			throw new RangeError('long extended attribute fragments do not match');
+		}
+
+		more = (buffer[offset + 3] & LONG_EXTENDED_MORE) !== 0;
+		chunks.push(buffer.slice(offset + header, offset + length));
+		offset += length;
+	}
+
+	if (offset !== buffer.length) {
+		throw new RangeError('length mismatch in attribute buffer');
+	}
+
+	return parseEVS(dict, Buffer.concat(chunks), dictionary);
+}
+
+// split the vendor headers from the value of an RFC 6929
+// Extended-Vendor-Specific attribute, returning the vendor's
+// dictionary entry and the value
+function parseEVS(dict, data, dictionary)
+{
+	if (!dict.isEVSParent) {
+		return [dict, data];
+	}
+
+	if (data.length < EVS_HEADER_LENGTH) {
+		throw new RangeError('EVS buffer too short to encode vendor and type');
+	}
+
+	const vendor_id = data.readUInt32BE(0);
+	return [dictionary.evs(dict, vendor_id, data[4]), data.slice(EVS_HEADER_LENGTH)];
+}
+
+// parse the [type][length][value] encoded children of a TLV attribute
+function parseTLV(dict, buf, dictionary)
+{
+	const attrs = [];
+	let n = 0;
+	while (n < buf.length) {
+		if (buf.length - n < 2) {
+			throw new RangeError('truncated TLV in buffer');
+		}
+
+		const length = buf[n + 1];
+		if (length < 2 || n + length > buf.length) {
+			throw new RangeError('invalid length for TLV');
+		}
+
+		const child = dictionary.tlv(dict, buf[n]);
+		attrs.push(new Attribute(child, buf.slice(n + 2, n + length), undefined, dictionary));
+		n += length;
+	}
+	return attrs;
+}
+
+// convert the possible representations of the value of a
+// TLV attribute into a read-only list of child attributes
+function tlvList(dict, value, dictionary)
+{
+	// avoid circular module dependency
+	const AttributeList = require('./attrlist');
+
+	let attrs;
+	if (value instanceof Buffer) {
+		attrs = parseTLV(dict, value, dictionary);
+	} else if (value instanceof AttributeList || Array.isArray(value)) {
+		attrs = [...value].map(a => {
+			if (a instanceof Attribute) {
+				return a;
+			} else if (Array.isArray(a) && a.length === 2) {
+				return new Attribute(dictionary.tlv(dict, a[0]), a[1], undefined, dictionary);
+			} else {
+				throw new TypeError('TLV entries must be attributes or [key, value] pairs');
+			}
+		});
+	} else if (value && typeof value === 'object') {
+		attrs = Object.entries(value).map(([k, v]) => {
+			return new Attribute(dictionary.tlv(dict, k), v, undefined, dictionary);
+		});
+	} else {
+		throw new TypeError('invalid value for TLV attribute');
+	}
+
+	for (let a of attrs) {
+		if (dict.children.get(a.dict.id) !== a.dict) {
+			throw new TypeError(`${a.name} is not a child attribute of ${dict.name}`);
+		}
+	}
+
+	return new AttributeList(attrs, true, dictionary);
+}
+
+// the maximum length of the value of a standard attribute
+const MAX_ATTRIBUTE_LENGTH = 255 - 2;
+
+// the continuation flag of VSAs whose value continues in the next VSA
+const CONTINUATION_MORE = 0x80;
+
+// the length of the VSA headers (if any) that precede the value
+function headerLength(vendor)
+{
+	if (!vendor) {
+		return 0;
+	}
+	return 4 + vendor.typeSize + vendor.lengthSize + (vendor.continuation ? 1 : 0);
+}
+
+// write a standard attribute or VSA containing the given value,
+// setting the continuation flag (if supported) when there's more
+function writeAttribute(buf, offset, dict, abuf, more = false)
+{
+	const vendor = dict.vendor;
+
+	// the standard length, plus space for any VSA headers
+	const length = 2 + headerLength(vendor) + abuf.length;
+
+	// ensure there's room in the packet
+	if (offset + length >= buf.length) {
+		throw new RangeError('attributes will not fit in buffer');
+	}
+
+	// add standard headers
+	offset = buf.writeUInt8(dict.id, offset);
+	offset = buf.writeUInt8(length, offset);
+
+	// add VSA headers
+	if (vendor) {
+		offset = buf.writeUInt32BE(vendor.id, offset);
+		offset = buf.writeUIntBE(dict.sub_id, offset, vendor.typeSize);
+		if (vendor.lengthSize) {
+			const sub_length = headerLength(vendor) - 4 + abuf.length;
+			offset = buf.writeUIntBE(sub_length, offset, vendor.lengthSize);
+		}
+		if (vendor.continuation) {
+			offset = buf.writeUInt8(more ? CONTINUATION_MORE : 0, offset);
+		}
+	}
+
+	// add data
+	abuf.copy(buf, offset);
+
+	// return final buffer offset
+	return offset + abuf.length;
+}
+
+// split the data of a Vendor-Specific Attribute into its sub-attributes,
+// returning an array of [DictionaryEntry, value] pairs, or undefined if
+// the vendor is not known
+function parseVSA(data, dictionary)
+{
+	if (data.length < 4) {
+		throw new RangeError('VSA buffer too short to encode vendor');
+	}
+
+	const vendor_id = data.readUInt32BE(0);
+	const vendor = dictionary.vendor(vendor_id);
+	if (!vendor) {
+		return undefined;
+	}
+
+	const { typeSize, lengthSize } = vendor;
+	const header = typeSize + lengthSize;
+	const result = [];
+
+	let offset = 4;
+	do {
+		if (data.length < offset + header) {
+			throw new RangeError('VSA buffer too short to encode id and length');
+		}
+
+		const sub_id = data.readUIntBE(offset, typeSize);
+
+		// with no sub-length the sub-attribute consumes the whole VSA
+		let sub_length;
+		if (lengthSize) {
+			sub_length = data.readUIntBE(offset + typeSize, lengthSize);
+		} else {
+			sub_length = data.length - offset;
+		}
+
+		if (sub_length < header || offset + sub_length > data.length) {
+			throw new RangeError('invalid length for VSA sub-attribute');
+		}
+
+		const dict = dictionary.vsa(vendor_id, sub_id);
+		result.push([dict, data.slice(offset + header, offset + sub_length)]);
+		offset += sub_length;
+	} while (offset < data.length);
+
+	return result;
+}
+
+// the length of the headers of a VSA with a continuation field
+const CONTINUED_HEADER_LENGTH = 2 + 4 + 3;
+
+// parse consecutive VSAs each holding a single sub-attribute with a
+// continuation field, reassembling the fragments of the value, and
+// returning the dictionary entry and the value
+function parseContinued(buffer, vendor, dictionary)
+{
+	const chunks = [];
+	let sub_id = undefined;
+	let offset = 0;
+	let more = true;
+	while (more) {
+		if (offset + CONTINUED_HEADER_LENGTH > buffer.length) {
+			throw new RangeError('continued VSA fragment missing');
+		}
+
+		const length = buffer[offset + 1];
+		if (length < CONTINUED_HEADER_LENGTH || offset + length > buffer.length) {
+			throw new RangeError('invalid length for continued VSA fragment');
+		}
+
+		if (buffer[offset + 7] !== length - 6) {
+			throw new RangeError('invalid length for VSA sub-attribute');
+		}
+
+		if (buffer.readUInt32BE(offset + 2) !== vendor.id ||
+		    (sub_id !== undefined && buffer[offset + 6] !== sub_id))
+		{
+			throw new RangeError('continued VSA fragments do not match');
+		}
+
+		sub_id = buffer[offset + 6];
+		more = (buffer[offset + 8] & CONTINUATION_MORE) !== 0;
+		chunks.push(buffer.slice(offset + CONTINUED_HEADER_LENGTH, offset + length));
+		offset += length;
+	}
+
+	if (offset !== buffer.length) {
+		throw new RangeError('length mismatch in attribute buffer');
+	}
+
+	return [dictionary.vsa(vendor.id, sub_id), Buffer.concat(chunks)];
+}
+
+// check, decrypt and wrap the raw value of an attribute
+function decodeValue(dict, data, secret, authenticator, dictionary)
+{
+	let tag;
+	if (dict.flags.has_tag) {
+		[tag, data] = removeTag(dict, data);
+	}
+
+	if (data.length < dict.realType.minimumLength) {
+		throw new RangeError('attribute value too short for type');
+	}
+
+	if (data.length > dict.realType.maximumLength) {
+		throw new RangeError('attribute value too long for type');
+	}
+
+	// decrypt the value of encrypted attribues
+	const encrypt = dict.flags.encrypt;
+	if (encrypt !== undefined) {
+		if (encrypt === 1) {
+			data = decodeMD5(data, secret, authenticator);
+		} else if (encrypt === 2) {
+			data = decodeSalt(data, secret, authenticator);
+		} else if (encrypt === 3) {
+			data = decodeAscend(data, secret, authenticator);
+		} else {
+			// @TODO: support additional algorithms
+			throw new Error('attribute uses unsupported encryption scheme');
+		}
+	}
+
+	return new Attribute(dict, data, tag, dictionary);
+}
+
+// convert the value of a struct attribute (either a buffer or an
+// object keyed by member name) into an array of [name, AValue] pairs
+function structMembers(dict, value)
+{
+	const members = dict.members;
+	if (!members.length) {
+		throw new TypeError(`struct ${dict.name} has no members`);
+	}
+
+	if (value instanceof Buffer) {
+		let offset = 0;
+		const result = members.map(({ name, type }) => {
+			const fixed = type.prototype instanceof AV.Fixed;
+			const end = fixed ? offset + type.length : value.length;
+			if (end > value.length) {
+				throw new RangeError(`struct ${dict.name} too short for member ${name}`);
+			}
+
+			const data = value.slice(offset, end);
+			offset = end;
+			return [name, type.fromBuffer(data)];
+		});
+
+		if (offset !== value.length) {
+			throw new RangeError(`struct ${dict.name} longer than its members`);
+		}
+
+		return result;
+	}
+
+	if (!value || typeof value !== 'object') {
+		throw new TypeError(`invalid value for struct ${dict.name}`);
+	}
+
+	for (let key of Object.keys(value)) {
+		if (!members.some(m => m.name === key)) {
+			throw new TypeError(`${key} is not a member of ${dict.name}`);
+		}
+	}
+
+	return members.map(({ name, type }) => {
+		if (!(name in value)) {
+			throw new TypeError(`missing member ${name} of ${dict.name}`);
+		}
+
+		const v = value[name];
+		return [name, (v instanceof Buffer) ? type.fromBuffer(v) : type.fromValue(v)];
+	});
+}
+
+// convert the VALUE name of a numeric attribute into its number
+function namedValue(dict, value)
+{
+	if (!dict.isNumeric || typeof value !== 'string') {
+		return value;
+	}
+
+	const n = dict.values.get(value.toLowerCase());
+	if (n === undefined) {
+		throw new TypeError(`unknown value "${value}" for attribute ${dict.name}`);
+	}
+
+	return n;
+}
+
 /**
  * The representation of a RADIUS attribute.   Once created an Attribute
  * is immutable.
@@ -82,9 +661,23 @@ class Attribute {
 
 	/**
 	 * @param {(number|string|DictionaryEntry)} id - the attribute identifier
-	 * @param value - the attribute's value, as a buffer or in native format
+	 * @param value - the attribute's value, as a buffer or in native format.
+	 *  The value of a TLV attribute may also be an {@link AttributeList} or
+	 *  array of child attributes (or [key, value] pairs), or an object whose
+	 *  keys are the names of the child attributes.  The value of a struct
+	 *  attribute may also be an object whose keys are the member names,
+	 *  and the value of an attribute with the <tt>array</tt> flag is an
+	 *  array of element values.  The value of a numeric attribute may
+	 *  also be the name of one of its dictionary VALUE entries (in any
+	 *  case).
+	 * @param {number} [tag] - the tag (1 - 31) of an attribute that has
+	 *  the <tt>has_tag</tt> flag
+	 * @param {Dictionary} [dictionary] - the dictionary in which to look up
+	 *  the attribute (and any child attributes), if not the default one
 	 */
-	constructor(id, value) {
+	constructor(id, value, tag, dictionary) {
+
+		dictionary = Dictionary.from(dictionary);
 
 		/**
 		 * The descriptor for this type of Attribute.
@@ -93,7 +686,7 @@ class Attribute {
 		 * @type {DictionaryEntry}
 		 */
 		if (typeof id === 'string' || typeof id === 'number') {
-			this.dict = Dictionary.get(id);
+			this.dict = dictionary.get(id);
 		} else if (id instanceof Dictionary.Entry) {
 			this.dict = id;
 		} else {
@@ -102,10 +695,28 @@ class Attribute {
 
 		// convert the value into a wrapped value
 		const type = this.dict.realType;
-		if (value instanceof Buffer) {
+		if (this.dict.isTLV) {
+			this.avalue = type.fromValue(tlvList(this.dict, value, dictionary));
+		} else if (this.dict.isStruct) {
+			this.avalue = type.fromValue(structMembers(this.dict, value));
+		} else if (value instanceof Buffer) {
 			this.avalue = type.fromBuffer(value);
 		} else {
-			this.avalue = type.fromValue(value);
+			this.avalue = type.fromValue(namedValue(this.dict, value));
+		}
+
+		/**
+		 * The RFC 2868 tag of a tagged attribute (or <tt>undefined</tt>
+		 * if the attribute is untagged)
+		 *
+		 * @name Attribute#tag
+		 * @type {number}
+		 */
+		this.tag = parseTag(this.dict, tag);
+
+		// tagged integers only have three bytes for the value
+		if (this.dict.flags.has_tag && this.dict.isNumeric && this.avalue.value > MAX_TAGGED_INTEGER) {
+			throw new RangeError(`value out of range for tagged attribute ${this.name}`);
 		}
 
 		// prevent modification
@@ -127,6 +738,16 @@ class Attribute {
 		return this.avalue.value;
 	}
 
+	/**
+	 * @type {string}
+	 * @desc The name of the dictionary VALUE entry for this attribute's
+	 *  value, or <tt>undefined</tt> if there is none
+	 */
+	get label() {
+		const m = this.dict.values;
+		return m && m.has(this.value) ? m.get(this.value) : undefined;
+	}
+
 	/**
 	 * @return {*} The value of this attribute in its native form.
 	 */
@@ -135,10 +756,41 @@ class Attribute {
 	}
 
 	/**
-	 * @return {string} The value of this attribute as a string.
+	 * @return {string} The value of this attribute as a string, using
+	 *  the name of its dictionary VALUE entry if there is one.
 	 */
 	toString() {
-		return this.avalue.toString();
+		const label = this.label;
+		return (label !== undefined) ? label : this.avalue.toString();
+	}
+
+	/**
+	 * Compares the value of this attribute with another value, which
+	 * may be in any form accepted by the constructor (including the
+	 * VALUE names of numeric attributes), or another Attribute of the
+	 * same type.  Tags are not compared.
+	 *
+	 * @param value - the value to compare with
+	 * @param {Dictionary} [dictionary] - the dictionary in which to look
+	 *  up the children of TLV values, if not the default one
+	 * @return {boolean}
+	 */
+	equals(value, dictionary) {
+		let other;
+		if (value instanceof Attribute) {
+			if (value.dict !== this.dict) {
+				return false;
+			}
+			other = value;
+		} else {
+			try {
+				other = new Attribute(this.dict, value, undefined, dictionary);
+			} catch (e) {
+				return false;
+			}
+		}
+
+		return this.avalue.toBuffer().equals(other.avalue.toBuffer());
 	}
 
 	/**
@@ -150,14 +802,16 @@ class Attribute {
 		// get the display value
 		const v = this.avalue[inspect]();
 
+		// include any tag in the name
+		const name = this.tag ? `${this.name}:${this.tag}` : this.name;
+
 		// get string mapped value if available
-		let m = this.dict.values;
-		if (m && m.has(this.value)) {
-			const s = m.get(this.value);
-			return `${this.name}: ${s} (${v})`;
+		const label = this.label;
+		if (label !== undefined) {
+			return `${name}: ${label} (${v})`;
 		}
 
-		return `${this.name}: ${v}`;
+		return `${name}: ${v}`;
 	}
 
 	/**
@@ -175,56 +829,96 @@ class Attribute {
 		const dict = this.dict;
 		const vendor = dict.vendor;
 
+		if (dict.flags.internal) {
+			throw new Error(`${dict.name} is an internal attribute`);
+		}
+
 		let abuf = this.avalue.toBuffer();
 
 		// convert encrypted attributes
 		// @TODO: support additional algorithms
 		if (dict.flags.encrypt === 1) {
 			abuf = encodeMD5(abuf, secret, authenticator);
+		} else if (dict.flags.encrypt === 2) {
+			abuf = encodeSalt(abuf, secret, authenticator);
+		} else if (dict.flags.encrypt === 3) {
+			abuf = encodeAscend(abuf, secret, authenticator);
 		}
 
-		// assume standard length
-		let length = 2 + abuf.length;
-
-		// then allocate more space for VSA headers
-		if (vendor) {
-			length += 4 + vendor.typeSize + vendor.lengthSize;
+		// add the tag field of tagged attributes
+		if (dict.flags.has_tag) {
+			abuf = addTag(dict, abuf, this.tag);
 		}
 
-		// ensure there's room in the packet
-		if (offset + length >= buf.length) {
-			throw new RangeError('attributes will not fit in buffer');
+		// extended attributes have their own headers, and
+		// long extended attributes fragment themselves
+		const write = dict.isExtended ? writeExtended : writeAttribute;
+		if (dict.isLongExtended) {
+			return write(buf, offset, dict, abuf);
 		}
 
-		// add standard headers
-		offset = buf.writeUInt8(dict.id, offset);
-		offset = buf.writeUInt8(length, offset);
+		// the longest value that fits in a single attribute
+		let max;
+		if (dict.isExtended) {
+			max = MAX_EXTENDED_LENGTH - (dict.isEVS ? EVS_HEADER_LENGTH : 0);
+		} else {
+			max = MAX_ATTRIBUTE_LENGTH - headerLength(vendor);
+		}
 
-		// add VSA headers
-		if (vendor) {
-			offset = buf.writeUInt32BE(vendor.id, offset);
-			offset = buf.writeUIntBE(dict.sub_id, offset, vendor.typeSize);
-			if (vendor.lengthSize) {
-				offset = buf.writeUIntBE(Math.min(abuf.length, 255), offset, vendor.lengthSize);
-			}
+		// arrays may only be split between elements
+		const continued = vendor && dict.isVSA && vendor.continuation;
+		if (dict.isArray && !continued) {
+			const size = dict.realType.elementType.length;
+			max -= max % size;
+		} else if (!dict.flags.concat && !continued) {
+			return write(buf, offset, dict, abuf);
 		}
 
-		// add data
-		abuf.copy(buf, offset);
+		// values that are too long are split over several attributes
+		let n = 0;
+		do {
+			offset = write(buf, offset, dict, abuf.slice(n, n + max), n + max < abuf.length);
+			n += max;
+		} while (n < abuf.length);
 
-		// return final buffer offset
-		offset += abuf.length;
 		return offset;
 	}
 
 	/**
 	 * Construct an Attribute from a wire-encoded {@link Uint8Array}.
+	 *
+	 * A long extended attribute (or a VSA whose value is continued)
+	 * fragmented over several consecutive attributes is passed as a
+	 * single buffer containing all of the fragments.
+	 *
+	 * If the buffer contains a Vendor-Specific Attribute holding more
+	 * than one sub-attribute only the first is returned - use
+	 * {@link Attribute.fromWireAll} to obtain all of them.
  	 *
  	 * @param {Uint8Array} buffer - the wire-encoded attribute
+ 	 * @param {Dictionary} [dictionary] - the dictionary to use, if
+ 	 *  not the default one
  	 * @return {Attribute} the constructed attribute
  	 * @throws if the buffer cannot be parsed
  	 */
-	static fromWire(buffer, secret, authenticator) {
+	static fromWire(buffer, secret, authenticator, dictionary) {
+		return Attribute.fromWireAll(buffer, secret, authenticator, dictionary)[0];
+	}
+
+	/**
+	 * Construct all of the Attributes contained within a wire-encoded
+	 * {@link Uint8Array}, i.e. every sub-attribute of a Vendor-Specific
+	 * Attribute, or otherwise the single Attribute that it holds.
+ 	 *
+ 	 * @param {Uint8Array} buffer - the wire-encoded attribute
+ 	 * @param {Dictionary} [dictionary] - the dictionary to use, if
+ 	 *  not the default one
+ 	 * @return {Attribute[]} the constructed attributes
+ 	 * @throws if the buffer cannot be parsed
+ 	 */
+	static fromWireAll(buffer, secret, authenticator, dictionary) {
+
+		dictionary = Dictionary.from(dictionary);
 
 		if (! (buffer instanceof Uint8Array)) {
 			throw new TypeError('invalid type for attribute buffer');
@@ -235,76 +929,35 @@ class Attribute {
 		}
 
 		const id = buffer[0];
-		let length = buffer[1];
+		const length = buffer[1];
 
-		if (buffer.length !== length) {
-			throw new RangeError('length mismatch in attribute buffer');
-		}
+		const dict = dictionary.get(id);
+		const data = buffer.slice(2);
 
-		let dict = Dictionary.get(id);
-		let data = buffer.slice(2);
-		if (dict.isVSA) {
-			if (data.length < 4) {
-				throw new RangeError('VSA buffer too short to encode vendor');
-			}
-
-			let vendor_id = data.readUInt32BE(0);
-			let vendor = Dictionary.vendor(vendor_id);
-			if (vendor) {
-				let typeSize = vendor.typeSize;
-				let lengthSize = vendor.lengthSize;
-
-				let offset = 4;
-				if (data.length < offset + typeSize + lengthSize) {
-					throw new RangeError('VSA buffer too short to encode id and length');
-				}
-
-				let sub_id;
-				sub_id = data.readUIntBE(offset, typeSize);
-				offset += typeSize;
-
-				let sub_length;
-				if (lengthSize) {
-					sub_length = data.readUIntBE(offset, lengthSize);
-				} else { // no sub-length - consume whole VSA
-					sub_length = buffer.length - offset;
-				}
-				offset += lengthSize;
-
-				// replace the dict entry with the real one for this VSA
-				dict = Dictionary.vsa(vendor_id, sub_id);
-
-				// trim the whole VSA's record length to be that of
-				// this attribute, to allow parser to cope with VSAs
-				// that contain multiple sub-attributes
-				length = offset + sub_length;
-				buffer[1] = length;
-
-				// strip the data down to the current subset
-				data = data.slice(offset, length);
-			}
-		}
-
-		if (data.length < dict.realType.minimumLength) {
-			throw new RangeError('attribute value too short for type');
+		// VSAs of vendors supporting continuation may be fragmented
+		let vendor = undefined;
+		if (dict.isVSA && data.length >= 4) {
+			vendor = dictionary.vendor(data.readUInt32BE(0));
 		}
+		const continued = vendor && vendor.continuation;
 
-		if (data.length > dict.realType.maximumLength) {
-			throw new RangeError('attribute value too long for type');
+		// fragment lengths are checked separately
+		if (buffer.length !== length && !dict.isLongExtendedParent && !continued) {
+			throw new RangeError('length mismatch in attribute buffer');
 		}
 
-		// decrypt the value of encrypted attribues
-		const encrypt = dict.flags.encrypt;
-		if (encrypt !== undefined) {
-			if (encrypt === 1) {
-				data = decodeMD5(data, secret, authenticator);
-			} else {
-				// @TODO: support additional algorithms
-				throw new Error('attribute uses unsupported encryption scheme');
-			}
+		let values;
+		if (dict.isExtendedParent) {
+			values = [ parseExtended(buffer, dict, dictionary) ];
+		} else if (continued) {
+			values = [ parseContinued(buffer, vendor, dictionary) ];
+		} else if (dict.isVSA) {
+			values = parseVSA(data, dictionary) || [ [dict, data] ];
+		} else {
+			values = [ [dict, data] ];
 		}
 
-		return new Attribute(dict, data);
+		return values.map(([dict, data]) => decodeValue(dict, data, secret, authenticator, dictionary));
 	}
 };
 
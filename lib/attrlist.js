@@ -13,36 +13,150 @@
  */
 
 const Attribute = require('./attribute');
+const Dictionary = require('./dictionary');
 
 const inspect = Symbol.for('nodejs.util.inspect.custom');
 
-function addAttribute(list, attr, data)
+function addAttribute(list, attr, data, tag, dictionary)
 {
 	if (!(attr instanceof Attribute)) {
-		attr = new Attribute(attr, data);
+		attr = new Attribute(attr, data, tag, dictionary);
 	}
 
 	list.push(attr);
 }
 
-function parseAttributes(buf, offset, secret, authenticator)
+// find the total length of the consecutive fragments of an RFC 6929
+// long extended attribute, or of a VSA with a continuation field,
+// given the offset of the field containing the "more" flag
+function fragmentsLength(buf, n, flag_offset)
+{
+	const header = flag_offset + 1;
+	let length = 0;
+	while (n + length + header <= buf.length) {
+		const flen = buf[n + length + 1];
+		const more = buf[n + length + flag_offset] & 0x80;
+		length += flen;
+		if (!more || flen < header) {
+			break;
+		}
+	}
+	return length || buf[n + 1];
+}
+
+// the offsets of the "more" flags of fragmented attributes
+const LONG_EXTENDED_FLAG_OFFSET = 3;
+const CONTINUATION_FLAG_OFFSET = 8;
+
+// whether the attribute at the given offset is a VSA
+// whose vendor supports continuation
+function isContinued(buf, n, dictionary)
+{
+	if (!dictionary.get(buf[n]).isVSA || n + 6 > buf.length) {
+		return false;
+	}
+	return dictionary.vendor(buf.readUInt32BE(n + 2)).continuation;
+}
+
+// join the values of consecutive attributes that have the "concat" flag
+function joinConcatenated(attrs, dictionary)
+{
+	const result = [];
+	let run = [];
+
+	function flush() {
+		if (run.length > 1) {
+			const value = Buffer.concat(run.map(a => a.avalue.toBuffer()));
+			result.push(new Attribute(run[0].dict, value, undefined, dictionary));
+		} else {
+			result.push(...run);
+		}
+		run = [];
+	}
+
+	for (let attr of attrs) {
+		if (run.length && attr.dict !== run[0].dict) {
+			flush();
+		}
+
+		if (attr.dict.flags.concat) {
+			run.push(attr);
+		} else {
+			result.push(attr);
+		}
+	}
+	flush();
+
+	return result;
+}
+
+function parseAttributes(buf, offset, secret, authenticator, dictionary)
 {
 	const attrs = [];
 	let len = buf.length;
 	let n = offset;
 	while (n < len) {
-		if (len - n > 2) {
-			const id = buf[n];
-			const len = buf[n + 1];
-			const data = buf.slice(n, n + len);
-			const attr = Attribute.fromWire(data, secret, authenticator);
-			attrs.push(attr);
-			n += len;
-
-			// @TODO account for multiple sub-attributes in a single VSA
+		if (len - n < 2) {
+			throw new RangeError('truncated attribute in buffer');
 		}
+
+		const id = buf[n];
+		let length = buf[n + 1];
+		if (dictionary.get(id).isLongExtendedParent) {
+			length = fragmentsLength(buf, n, LONG_EXTENDED_FLAG_OFFSET);
+		} else if (isContinued(buf, n, dictionary)) {
+			length = fragmentsLength(buf, n, CONTINUATION_FLAG_OFFSET);
+		}
+
+		const data = buf.slice(n, n + length);
+		attrs.push(...Attribute.fromWireAll(data, secret, authenticator, dictionary));
+		n += length;
 	}
-	return attrs;
+	return joinConcatenated(attrs, dictionary);
+}
+
+// the size of the attribute and vendor id headers of a VSA
+const VSA_HEADER_LENGTH = 6;
+
+function writeAttributes(attrs, buf, offset, secret, authenticator, pack_vsas)
+{
+	// the vendor and start offset of the current VSA container
+	let vsa;
+
+	for (const attr of attrs) {
+		const start = offset;
+		offset = attr.toWire(buf, offset, secret, authenticator);
+
+		const vendor = attr.dict.vendor;
+		if (!pack_vsas || !vendor || !attr.dict.isVSA || !vendor.lengthSize || vendor.continuation) {
+			vsa = undefined;
+			continue;
+		}
+
+		// a value split over several containers is left as is,
+		// but later sub-attributes may join the last of them
+		if (buf[start + 1] !== offset - start) {
+			let last = start;
+			while (last + buf[last + 1] < offset) {
+				last += buf[last + 1];
+			}
+			vsa = { vendor: vendor.id, start: last };
+			continue;
+		}
+
+		// move the sub-attribute into the previous
+		// container if it's for the same vendor and fits
+		const sub_length = offset - start - VSA_HEADER_LENGTH;
+		if (vsa && vsa.vendor === vendor.id && buf[vsa.start + 1] + sub_length <= 255) {
+			buf.copy(buf, start, start + VSA_HEADER_LENGTH, offset);
+			buf[vsa.start + 1] += sub_length;
+			offset -= VSA_HEADER_LENGTH;
+		} else {
+			vsa = { vendor: vendor.id, start };
+		}
+	}
+
+	return offset;
 }
 
 /**
@@ -53,8 +167,12 @@ class AttributeList {
 	/**
 	 * @param {Attribute[]} attrs - an array of attributes (default empty)
 	 * @param {boolean} readonly - whether the list is read only (default false)
+	 * @param {Dictionary} [dictionary] - the dictionary used to create new
+	 *  attributes, if not the default one
 	 */
-	constructor(attrs = [], readonly = false) {
+	constructor(attrs = [], readonly = false, dictionary = undefined) {
+
+		dictionary = Dictionary.from(dictionary);
 
 		// check parameters
 		if (!Array.isArray(attrs)) {
@@ -97,42 +215,64 @@ class AttributeList {
 		 * @param {(Attribute|number|string|Dictionary.Entry)} attribute - either an
 		 *  existing Attribute object, or a key for creating a new one
 		 * @param value - for creating new Attributes, the associated value
+		 * @param {number} [tag] - for creating new tagged Attributes, the tag
 		 * @function
 		 * @throws if the list is read-only
 		 */
 		Object.defineProperty(this, 'add', {
-			value: function(attr, value) {
+			value: function(attr, value, tag) {
 				if (readonly) {
 					throw new Error('AttributeList is read-only');
 				}
-				addAttribute(list, attr, value);
+				addAttribute(list, attr, value, tag, dictionary);
 			}
 		});
+
+		/**
+		 * The dictionary used to create new attributes
+		 *
+		 * @name AttributeList#dictionary
+		 * @type {Dictionary}
+		 */
+		Object.defineProperty(this, 'dictionary', {
+			value: dictionary
+		});
 	}
 
 	/**
-	 * @param {string}
+	 * Renders an AttributeList into wire format.
+	 *
+	 * @param {Uint8Array} buf - where the attributes will be stored
+	 * @param {number} offset - where in the buffer to store the attributes (default 0)
+	 * @param {string} secret - the shared secret (for encrypted attributes)
+	 * @param {Uint8Array} authenticator - the authenticator (for encrypted attributes)
+	 * @param {object} [options]
+	 * @param {boolean} [options.pack_vsas=false] - whether to pack consecutive
+	 *  Vendor-Specific Attributes for the same vendor into a single attribute
+	 * @return {number} the resulting buffer offset
 	 */
-	toWire(buf, offset = 0, secret, authenticator) {
-		for (const attr of this) {
-			offset = attr.toWire(buf, offset, secret, authenticator);
-		}
-		return offset;
+	toWire(buf, offset = 0, secret, authenticator, { pack_vsas = false } = {}) {
+		return writeAttributes(this, buf, offset, secret, authenticator, pack_vsas);
 	}
 
 	/**
-	 * Renders an AttributeList into wire format.
+	 * Parses an AttributeList from wire format.  Every sub-attribute
+	 * of a Vendor-Specific Attribute is added to the list, and the values
+	 * of consecutive attributes with the "concat" flag are joined.
 	 *
 	 * @param {Uint8Array} buf - a buffer containing a packet in wire format
 	 * @param {number} offset - where in the buffer to start decoding from
 	 * @param {string} secret - the shared secret with the client/server
 	 * @param {string} authenticator - the inbound request authenticator
+	 * @param {Dictionary} [dictionary] - the dictionary to use, if not
+	 *  the default one
 	 * @return {AttributeList} - a read-only {@link AttributeList}
 	 * @throws if the buffer cannot be parsed
 	 */
-	static fromWire(buf, offset = 0, secret, authenticator) {
-		const attrs = parseAttributes(buf, offset, secret, authenticator);
-		return new AttributeList(attrs, true);
+	static fromWire(buf, offset = 0, secret, authenticator, dictionary = undefined) {
+		dictionary = Dictionary.from(dictionary);
+		const attrs = parseAttributes(buf, offset, secret, authenticator, dictionary);
+		return new AttributeList(attrs, true, dictionary);
 	}
 
 	/**
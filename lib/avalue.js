@@ -7,8 +7,15 @@
  *
  */
 
+const net = require('net');
+const abinary = require('./abinary');
+
 const inspect = Symbol.for('nodejs.util.inspect.custom');
 
+// the maximum length of values that are not limited by the
+// size of a single attribute (i.e. the RADIUS packet size)
+const MAX_LONG_LENGTH = 4096;
+
 /**
  * An abstract wrapper class for RADIUS attribute values
  *
@@ -221,7 +228,7 @@ class AFixed extends ABuffer {
 }
 
 /**
- * The base class for attributes that represent an unsigned integer
+ * The base class for attributes that represent an integer
  * of various sizes
  *
  * @extends AFixed
@@ -253,20 +260,58 @@ class ANumeric extends AFixed {
 			throw new RangeError('non-integer parameter passed for attribute');
 		}
 
-		if (value < 0 || value >= Math.pow(2, 8 * this.length)) {
+		if (value < this.minimum || value > this.maximum) {
 			throw new RangeError(`integer paramer out of range for ${this.name}`);
 		}
 
 		return Object.create(this.prototype, { value: { value, enumerable: true } } );
 	}
 
+	/**
+	 * The smallest value permitted for this type
+	 * @name ANumeric.minimum
+	 * @type number
+	 */
+	static get minimum() {
+		return 0;
+	}
+
+	/**
+	 * The largest value permitted for this type
+	 * @name ANumeric.maximum
+	 * @type number
+	 */
+	static get maximum() {
+		return Math.pow(2, 8 * this.length) - 1;
+	}
+
+	/**
+	 * Converts a numeric string (e.g. from a dictionary file) into
+	 * a value of the native type for this attribute type, without
+	 * range checking
+	 * @param {string} str - the string to convert
+	 * @return {number} the value
+	 * @throws if the string is not an integer
+	 */
+	static parse(str) {
+		const value = Number(str);
+		if (!Number.isInteger(value)) {
+			throw new TypeError(`invalid integer string "${str}"`);
+		}
+		return value;
+	}
+
 	/**
 	 * Convert the value into a string
 	 */
-	[inspect]() {
+	toString() {
 		return this.value.toString();
 	}
 
+	[inspect]() {
+		return this.toString();
+	}
+
 	/**
 	 * Converts the value into a buffer of the appropriate length
 	 * @return {Uint8Array}
@@ -329,6 +374,115 @@ class AInteger extends ANumeric {
 
 }
 
+/**
+ * An attribute that represents a signed integer with
+ * range -2^31 .. 2^31 - 1
+ *
+ * @extends ANumeric
+ * @hideconstructor
+ */
+class ASigned extends ANumeric {
+
+	/**
+	 * Always 4
+	 * @name ASigned.length
+	 * @type number
+	 */
+	static get length() { return 4; }
+
+	static get minimum() { return -0x80000000; }
+
+	static get maximum() { return 0x7fffffff; }
+
+	/**
+	 * Creates a signed attribute value by decoding a buffer
+	 * containing a two's complement big-endian value
+	 */
+	static fromBuffer(buf) {
+		this.bufferCheck(buf);
+		return this.fromValue(buf.readInt32BE(0));
+	}
+
+	/**
+	 * Converts the value into a two's complement buffer
+	 * @return {Uint8Array}
+	 */
+	toBuffer() {
+		const buf = Buffer.alloc(4);
+		buf.writeInt32BE(this.value, 0);
+		return buf;
+	}
+}
+
+/**
+ * An attribute that represents an unsigned integer with
+ * range 0 .. 2^64 - 1, whose value is a BigInt
+ *
+ * @extends ANumeric
+ * @hideconstructor
+ */
+class AInteger64 extends ANumeric {
+
+	/**
+	 * Always 8
+	 * @name AInteger64.length
+	 * @type number
+	 */
+	static get length() { return 8; }
+
+	static get minimum() { return 0n; }
+
+	static get maximum() { return 0xffffffffffffffffn; }
+
+	static fromBuffer(buf) {
+		this.bufferCheck(buf);
+		return this.fromValue(buf.readBigUInt64BE(0));
+	}
+
+	/**
+	 * Creates an attribute value representing a 64-bit number
+	 * @param {(bigint|number)} value - the value of the attribute,
+	 *  which if a number must be a safe integer
+	 */
+	static fromValue(value) {
+		if (typeof value === 'number') {
+			if (!Number.isSafeInteger(value)) {
+				throw new RangeError('non-integer parameter passed for attribute');
+			}
+			value = BigInt(value);
+		}
+
+		if (typeof value !== 'bigint') {
+			throw new TypeError('non-numeric parameter passed for attribute');
+		}
+
+		if (value < this.minimum || value > this.maximum) {
+			throw new RangeError(`integer paramer out of range for ${this.name}`);
+		}
+
+		return Object.create(this.prototype, { value: { value, enumerable: true } } );
+	}
+
+	/**
+	 * @param {string} str - the string to convert
+	 * @return {bigint} the value
+	 * @throws if the string is not an integer
+	 */
+	static parse(str) {
+		try {
+			return BigInt(str);
+		} catch (e) {
+			throw new TypeError(`invalid integer string "${str}"`);
+		}
+	}
+
+	toBuffer() {
+		const buf = Buffer.alloc(8);
+		buf.writeBigUInt64BE(this.value, 0);
+		return buf;
+	}
+}
+
 /**
  * An attribute that represents an IPv4 address
  *
@@ -378,44 +532,865 @@ class AInet4 extends AFixed {
 	}
 };
 
+// convert an IPv6 address string into a 16 byte buffer
+function parseInet6(str)
+{
+	if (typeof str !== 'string') {
+		throw new TypeError('IPv6 address must be a string');
+	}
+
+	str = str.trim();
+	if (!net.isIPv6(str) || str.indexOf('%') >= 0) {
+		throw new TypeError('illegal IPv6 address string');
+	}
+
+	// convert any embedded IPv4 address into two hex groups
+	const m = str.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+	if (m) {
+		const [a, b, c, d] = m.slice(2).map(Number);
+		str = m[1] + ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+	}
+
+	// expand any "::"
+	const [head, tail] = str.split('::');
+	let groups = head ? head.split(':') : [];
+	if (tail !== undefined) {
+		const t = tail ? tail.split(':') : [];
+		groups = groups.concat(Array(8 - groups.length - t.length).fill('0'), t);
+	}
+
+	const buf = Buffer.alloc(16);
+	groups.forEach((g, i) => buf.writeUInt16BE(parseInt(g, 16), 2 * i));
+	return buf;
+}
+
+// convert a 16 byte buffer into RFC 5952 canonical IPv6 format
+function formatInet6(buf)
+{
+	const groups = [];
+	for (let i = 0; i < 16; i += 2) {
+		groups.push(buf.readUInt16BE(i));
+	}
+
+	// find the first longest run of (at least two) zero groups
+	let best = -1, bestLength = 1;
+	for (let i = 0; i < 8; ) {
+		let n = 0;
+		while (i + n < 8 && groups[i + n] === 0) {
+			n++;
+		}
+		if (n > bestLength) {
+			best = i;
+			bestLength = n;
+		}
+		i += n || 1;
+	}
+
+	const hex = groups.map(g => g.toString(16));
+	if (best < 0) {
+		return hex.join(':');
+	}
+
+	const head = hex.slice(0, best).join(':');
+	const tail = hex.slice(best + bestLength).join(':');
+	return `${head}::${tail}`;
+}
+
+// split an "address/length" string, checking the prefix length
+function splitPrefix(str, max)
+{
+	if (typeof str !== 'string') {
+		throw new TypeError('prefix must be a string');
+	}
+
+	const m = str.trim().match(/^([^/]+)\/(\d+)$/);
+	if (!m) {
+		throw new TypeError('illegal prefix string');
+	}
+
+	const length = Number(m[2]);
+	if (length > max) {
+		throw new RangeError(`prefix length out of range: ${length}`);
+	}
+
+	return [m[1], length];
+}
+
+// check that no bits are set beyond the prefix length
+function prefixCheck(addr, length)
+{
+	for (let i = 0; i < addr.length; ++i) {
+		const bits = Math.min(Math.max(length - 8 * i, 0), 8);
+		if (addr[i] & (0xff >> bits)) {
+			throw new RangeError('prefix has bits set beyond the prefix length');
+		}
+	}
+}
+
 /**
- * An attribute that represents a date/timestamp, represented
- * as a 32-bit integer value with the epoch at 1970/01/01
- * 00:00:00Z
+ * An attribute that represents an IPv6 address
  *
- * @extends AInteger
+ * @extends AFixed
  * @hideconstructor
  */
-class ADate extends AInteger {
+class AInet6 extends AFixed {
 
 	/**
-	 * Always 4
-	 * @name ADate.length
+	 * Always 16
+	 * @name AInet6.length
 	 * @type number
 	 */
-	static get length() { return 4; }
+	static get length() { return 16; }
 
 	/**
-	 * Returns the date in ISO-7816 format
-	 * @name ADate#[inspect]
-	 * @type string
+	 * Creates an {@link AInet6} attribute from a string in
+	 * IPv6 notation (e.g. "2001:db8::1")
+	 *
+	 * @param {string} value - an IPv6 address string
+	 * @return {AInet6}
+	 * @throws if the value is invalid.
+	 */
+	static fromValue(value) {
+		return this.fromBuffer(parseInet6(value));
+	}
+
+	/**
+	 * @return {string} the IPv6 address in canonical (RFC 5952) format.
 	 */
+	toString() {
+		return formatInet6(this.value);
+	}
+
 	[inspect]() {
-		return new Date(this.value).toISOString();
+		return this.toString();
 	}
 };
 
-class AVSA extends ABuffer {
+/**
+ * An attribute that represents an IPv6 prefix (RFC 3162), encoded
+ * as a reserved byte, the prefix length, and then only as many bytes
+ * of the prefix as are needed to hold the prefix length.
+ *
+ * @extends ABuffer
+ * @hideconstructor
+ */
+class AInet6Prefix extends ABuffer {
+
+	static bufferCheck(buf) {
+		super.bufferCheck(buf, 2, 18);
+
+		if (buf[0] !== 0) {
+			throw new RangeError('reserved field of IPv6 prefix is not zero');
+		}
+
+		const length = buf[1];
+		if (length > 128) {
+			throw new RangeError(`prefix length out of range: ${length}`);
+		}
+
+		if (buf.length - 2 < Math.ceil(length / 8)) {
+			throw new RangeError('IPv6 prefix too short for prefix length');
+		}
+
+		prefixCheck(buf.slice(2), length);
+	}
+
+	/**
+	 * Creates an {@link AInet6Prefix} attribute from a string in
+	 * IPv6 prefix notation (e.g. "2001:db8::/32")
+	 *
+	 * @param {string} value - an IPv6 prefix string
+	 * @return {AInet6Prefix}
+	 * @throws if the value is invalid.
+	 */
+	static fromValue(value) {
+		const [addr, length] = splitPrefix(value, 128);
+		const prefix = parseInet6(addr);
+		prefixCheck(prefix, length);
+		return this.fromBuffer(Buffer.concat([
+			Buffer.from([0, length]), prefix.slice(0, Math.ceil(length / 8))
+		]));
+	}
+
+	/**
+	 * The length of the prefix (in bits)
+	 * @type number
+	 */
+	get prefixLength() {
+		return this.value[1];
+	}
+
+	/**
+	 * @return {string} the prefix in canonical format (e.g. "2001:db8::/32")
+	 */
+	toString() {
+		const addr = Buffer.alloc(16);
+		this.value.copy(addr, 0, 2);
+		return `${formatInet6(addr)}/${this.prefixLength}`;
+	}
+
+	[inspect]() {
+		return this.toString();
+	}
+};
+
+/**
+ * An attribute that represents an IPv4 prefix (RFC 8044), encoded
+ * as a reserved byte, the prefix length and a four byte address.
+ *
+ * @extends AFixed
+ * @hideconstructor
+ */
+class AInet4Prefix extends AFixed {
+
+	/**
+	 * Always 6
+	 * @name AInet4Prefix.length
+	 * @type number
+	 */
+	static get length() { return 6; }
+
+	static bufferCheck(buf) {
+		super.bufferCheck(buf);
+
+		if (buf[0] !== 0) {
+			throw new RangeError('reserved field of IPv4 prefix is not zero');
+		}
+
+		const length = buf[1];
+		if (length > 32) {
+			throw new RangeError(`prefix length out of range: ${length}`);
+		}
+
+		prefixCheck(buf.slice(2), length);
+	}
+
+	/**
+	 * Creates an {@link AInet4Prefix} attribute from a string in
+	 * IPv4 prefix notation (e.g. "10.0.0.0/8")
+	 *
+	 * @param {string} value - an IPv4 prefix string
+	 * @return {AInet4Prefix}
+	 * @throws if the value is invalid.
+	 */
+	static fromValue(value) {
+		const [addr, length] = splitPrefix(value, 32);
+		const prefix = AInet4.fromValue(addr).value;
+		return this.fromBuffer(Buffer.concat([Buffer.from([0, length]), prefix]));
+	}
+
+	/**
+	 * The length of the prefix (in bits)
+	 * @type number
+	 */
+	get prefixLength() {
+		return this.value[1];
+	}
+
+	/**
+	 * @return {string} the prefix in dotted-quad format (e.g. "10.0.0.0/8")
+	 */
+	toString() {
+		return [].join.call(this.value.slice(2), '.') + `/${this.prefixLength}`;
+	}
+
+	[inspect]() {
+		return this.toString();
+	}
 };
 
+/**
+ * An attribute that represents an IPv6 Interface Identifier (RFC 3162)
+ *
+ * @extends AFixed
+ * @hideconstructor
+ */
+class AIfId extends AFixed {
+
+	/**
+	 * Always 8
+	 * @name AIfId.length
+	 * @type number
+	 */
+	static get length() { return 8; }
+
+	/**
+	 * Creates an {@link AIfId} attribute from a string of four
+	 * colon separated hexadecimal groups (e.g. "0:0:0:1")
+	 *
+	 * @param {string} value - an interface identifier string
+	 * @return {AIfId}
+	 * @throws if the value is invalid.
+	 */
+	static fromValue(value) {
+		if (typeof value !== 'string') {
+			throw new TypeError('interface identifier must be a string');
+		}
+
+		const groups = value.trim().split(':');
+		if (groups.length !== 4 || !groups.every(g => /^[0-9a-f]{1,4}$/i.test(g))) {
+			throw new TypeError('illegal interface identifier string');
+		}
+
+		const buf = Buffer.alloc(8);
+		groups.forEach((g, i) => buf.writeUInt16BE(parseInt(g, 16), 2 * i));
+		return this.fromBuffer(buf);
+	}
+
+	/**
+	 * @return {string} the interface identifier (e.g. "0:0:0:1")
+	 */
+	toString() {
+		const groups = [];
+		for (let i = 0; i < 8; i += 2) {
+			groups.push(this.value.readUInt16BE(i).toString(16));
+		}
+		return groups.join(':');
+	}
+
+	[inspect]() {
+		return this.toString();
+	}
+};
+
+/**
+ * An attribute that represents either an IPv4 or an IPv6
+ * address, distinguished by the length of the value.
+ *
+ * @extends ABuffer
+ * @hideconstructor
+ */
+class AComboIP extends ABuffer {
+
+	static bufferCheck(buf) {
+		super.bufferCheck(buf, 4, 16);
+		if (buf.length !== 4 && buf.length !== 16) {
+			throw new RangeError(`invalid buffer length for ${this.name}`);
+		}
+	}
+
+	/**
+	 * Creates an {@link AComboIP} attribute from a string in
+	 * either IPv4 or IPv6 notation
+	 *
+	 * @param {string} value - an IPv4 or IPv6 address string
+	 * @return {AComboIP}
+	 * @throws if the value is invalid.
+	 */
+	static fromValue(value) {
+		if (typeof value !== 'string') {
+			throw new TypeError('IP address must be a string');
+		}
+
+		if (value.indexOf(':') >= 0) {
+			return this.fromBuffer(parseInet6(value));
+		} else {
+			return this.fromBuffer(AInet4.fromValue(value).value);
+		}
+	}
+
+	/**
+	 * Whether the value is an IPv6 address
+	 * @type boolean
+	 */
+	get isIPv6() {
+		return this.length === 16;
+	}
+
+	/**
+	 * @return {string} the address in dotted-quad or canonical IPv6 format
+	 */
+	toString() {
+		if (this.isIPv6) {
+			return formatInet6(this.value);
+		} else {
+			return [].join.call(this.value, '.');
+		}
+	}
+
+	[inspect]() {
+		return this.toString();
+	}
+};
+
+/**
+ * An attribute that represents an Ethernet (MAC) address
+ *
+ * @extends AFixed
+ * @hideconstructor
+ */
+class AEther extends AFixed {
+
+	/**
+	 * Always 6
+	 * @name AEther.length
+	 * @type number
+	 */
+	static get length() { return 6; }
+
+	/**
+	 * Creates an {@link AEther} attribute from a string of six
+	 * colon (or hyphen) separated hexadecimal bytes
+	 *
+	 * @param {string} value - a MAC address (e.g. "aa:bb:cc:dd:ee:ff")
+	 * @return {AEther}
+	 * @throws if the value is invalid.
+	 */
+	static fromValue(value) {
+		if (typeof value !== 'string') {
+			throw new TypeError('Ethernet address must be a string');
+		}
+
+		const bytes = value.trim().split(/[:-]/);
+		if (bytes.length !== 6 || !bytes.every(b => /^[0-9a-f]{1,2}$/i.test(b))) {
+			throw new TypeError('illegal Ethernet address string');
+		}
+
+		return this.fromBuffer(Buffer.from(bytes.map(b => parseInt(b, 16))));
+	}
+
+	/**
+	 * @return {string} the address in lower case colon separated format
+	 */
+	toString() {
+		return [...this.value].map(b => b.toString(16).padStart(2, '0')).join(':');
+	}
+
+	[inspect]() {
+		return this.toString();
+	}
+};
+
+/**
+ * An attribute that holds an Ascend binary filter, which is
+ * converted to and from the textual filter syntax, e.g.
+ * "ip in forward srcip 10.0.0.0/8 tcp dstport = 80"
+ *
+ * @extends ABuffer
+ * @hideconstructor
+ */
+class AABinary extends ABuffer {
+
+	/**
+	 * Creates an {@link AABinary} attribute from a filter string
+	 *
+	 * @param {string} value - the filter in textual form
+	 * @return {AABinary}
+	 * @throws if the filter cannot be parsed
+	 */
+	static fromValue(value) {
+		return this.fromBuffer(abinary.parse(value));
+	}
+
+	/**
+	 * @return {string} the filter in textual form
+	 */
+	toString() {
+		return abinary.format(this.value);
+	}
+
+	[inspect]() {
+		return `"${this}"`;
+	}
+};
+
+/**
+ * An attribute that represents a date/timestamp, represented
+ * as a 32-bit integer value with the epoch at 1970/01/01
+ * 00:00:00Z
+ *
+ * @extends AInteger
+ * @hideconstructor
+ */
+class ADate extends AInteger {
+
+	/**
+	 * Always 4
+	 * @name ADate.length
+	 * @type number
+	 */
+	static get length() { return 4; }
+
+	/**
+	 * Returns the date in ISO-7816 format
+	 * @name ADate#[inspect]
+	 * @type string
+	 */
+	[inspect]() {
+		return new Date(this.value).toISOString();
+	}
+};
+
+class AVSA extends ABuffer {
+};
+
+/**
+ * The pseudo-type of the RFC 6929 "Extended Type" attributes, whose
+ * values contain an Extended-Type field followed by the value of
+ * the attribute identified by that type.
+ *
+ * @extends ABuffer
+ * @hideconstructor
+ */
+class AExtended extends ABuffer {
+};
+
+/**
+ * The pseudo-type of the RFC 6929 "Long Extended Type" attributes,
+ * whose values may be fragmented across several attributes.
+ *
+ * @extends AExtended
+ * @hideconstructor
+ */
+class ALongExtended extends AExtended {
+};
+
+/**
+ * The pseudo-type of the RFC 6929 "Extended-Vendor-Specific" attributes,
+ * whose values contain a Vendor-Id and Vendor-Type followed by the value
+ * of the vendor's attribute.
+ *
+ * @extends ABuffer
+ * @hideconstructor
+ */
+class AEVS extends ABuffer {
+};
+
+/**
+ * A wrapper for TLV attributes, whose values are a list of child
+ * attributes each encoded as [type][length][value].
+ *
+ * The child attributes can only be interpreted using the dictionary
+ * so TLV values are always created from an {@link AttributeList}
+ * (see {@link Attribute}).
+ *
+ * @extends ABuffer
+ * @hideconstructor
+ */
+class ATLV extends ABuffer {
+
+	/**
+	 * @throws always - TLV values cannot be decoded without the dictionary
+	 */
+	static fromBuffer(buf) {
+		throw new Error('TLV values must be created from an attribute list');
+	}
+
+	/**
+	 * Creates a TLV value from a list of child attributes
+	 * @param {AttributeList} value - the child attributes
+	 * @return {ATLV}
+	 * @throws if the encoded children are too long
+	 */
+	static fromValue(value) {
+		if (!value || typeof value.toWire !== 'function' || !value[Symbol.iterator]) {
+			throw new TypeError('TLV value must be an attribute list');
+		}
+
+		// encode the children now to check that they fit
+		const buf = Buffer.alloc(MAX_LONG_LENGTH + 1);
+		const encoded = buf.slice(0, value.toWire(buf, 0));
+		this.bufferCheck(encoded);
+
+		const result = Object.create(this.prototype, {
+			value: { value, enumerable: true },
+			encoded: { value: encoded }
+		});
+		Object.freeze(result);
+		return result;
+	}
+
+	/**
+	 * The length of the encoded child attributes
+	 */
+	get length() {
+		return this.encoded.length;
+	}
+
+	[inspect]() {
+		const v = [...this.value].map(a => `${a.name}: ${a.avalue[inspect]()}`);
+		return `{ ${v.join(', ')} }`;
+	}
+
+	/**
+	 * @return {Uint8Array} the child attributes in wire format
+	 */
+	toBuffer() {
+		return this.encoded.slice(0);
+	}
+};
+
+/**
+ * A wrapper for "struct" attributes, whose values are a fixed sequence
+ * of members (as defined in the dictionary) encoded without any
+ * headers.  Only the last member may have a variable length.
+ *
+ * The members can only be interpreted using the dictionary so
+ * struct values are always created from a list of member values
+ * (see {@link Attribute}).
+ *
+ * @extends ABuffer
+ * @hideconstructor
+ */
+class AStruct extends ABuffer {
+
+	/**
+	 * @throws always - struct values cannot be decoded without the dictionary
+	 */
+	static fromBuffer(buf) {
+		throw new Error('struct values must be created from a list of members');
+	}
+
+	/**
+	 * Creates a struct value from its members
+	 * @param {Array} value - an array of [name, AValue] pairs
+	 * @return {AStruct}
+	 */
+	static fromValue(value) {
+		if (!Array.isArray(value) || !value.every(([, v]) => v instanceof AValue)) {
+			throw new TypeError('struct value must be an array of members');
+		}
+
+		const encoded = Buffer.concat(value.map(([, v]) => v.toBuffer()));
+		this.bufferCheck(encoded);
+
+		const fields = {};
+		for (let [name, v] of value) {
+			fields[name] = v.valueOf();
+		}
+		Object.freeze(fields);
+
+		const members = value.slice(0);
+		const result = Object.create(this.prototype, {
+			value: { value: fields, enumerable: true },
+			members: { value: members },
+			encoded: { value: encoded }
+		});
+		Object.freeze(result);
+		return result;
+	}
+
+	/**
+	 * The length of the encoded struct
+	 */
+	get length() {
+		return this.encoded.length;
+	}
+
+	[inspect]() {
+		const v = this.members.map(([name, v]) => `${name}: ${v[inspect]()}`);
+		return `{ ${v.join(', ')} }`;
+	}
+
+	/**
+	 * @return {Uint8Array} the struct in wire format
+	 */
+	toBuffer() {
+		return this.encoded.slice(0);
+	}
+};
+
+/**
+ * A wrapper for attributes with the "array" flag, whose values are a
+ * sequence of fixed length values of a single type packed into one
+ * attribute.  The concrete types are obtained via {@link array}.
+ *
+ * @extends ABuffer
+ * @hideconstructor
+ */
+class AArray extends ABuffer {
+
+	/**
+	 * The type of the elements of the array
+	 * @name AArray.elementType
+	 * @type function
+	 * @abstract
+	 */
+	static get elementType() {
+		throw new Error('illegal call to AArray.elementType');
+	}
+
+	// an array may be split over several attributes
+	static bufferCheck(buf, min = 1, max = MAX_LONG_LENGTH) {
+		super.bufferCheck(buf, min, max);
+	}
+
+	static fromBuffer(buf) {
+		this.bufferCheck(buf);
+
+		const type = this.elementType;
+		if (buf.length % type.length !== 0) {
+			throw new RangeError(`invalid buffer length for ${this.name}`);
+		}
+
+		const elements = [];
+		for (let i = 0; i < buf.length; i += type.length) {
+			elements.push(type.fromBuffer(buf.slice(i, i + type.length)));
+		}
+
+		return this.fromElements(elements);
+	}
+
+	/**
+	 * Creates an array value from its native representation
+	 * @param {Array} value - the element values, each either a buffer
+	 *  or in the native format of the element type
+	 * @return {AArray}
+	 */
+	static fromValue(value) {
+		if (!Array.isArray(value)) {
+			throw new TypeError(`value of ${this.name} must be an array`);
+		}
+
+		const type = this.elementType;
+		const elements = value.map(v => (v instanceof Buffer) ? type.fromBuffer(v) : type.fromValue(v));
+
+		return this.fromElements(elements);
+	}
+
+	// wrap an array of element AValues
+	static fromElements(elements) {
+		const encoded = Buffer.concat(elements.map(e => e.toBuffer()));
+		this.bufferCheck(encoded);
+
+		const value = Object.freeze(elements.map(e => e.valueOf()));
+		const result = Object.create(this.prototype, {
+			value: { value, enumerable: true },
+			elements: { value: Object.freeze(elements) },
+			encoded: { value: encoded }
+		});
+		Object.freeze(result);
+		return result;
+	}
+
+	/**
+	 * The length of the encoded array
+	 */
+	get length() {
+		return this.encoded.length;
+	}
+
+	[inspect]() {
+		return `[ ${this.elements.map(e => e[inspect]()).join(', ')} ]`;
+	}
+
+	/**
+	 * @return {Uint8Array} the array elements in wire format
+	 */
+	toBuffer() {
+		return this.encoded.slice(0);
+	}
+};
+
+const fixedTypes = new Map();
+
+/**
+ * Returns a fixed length variant of the octets type (i.e. octets[n])
+ *
+ * @param {number} length - the required length
+ * @return {function} the fixed length attribute type
+ * @throws if the length is out of range
+ */
+function fixedType(length)
+{
+	if (!Number.isInteger(length) || length < 1 || length > 253) {
+		throw new RangeError(`invalid fixed octets length: ${length}`);
+	}
+
+	if (!fixedTypes.has(length)) {
+		const variant = class extends AFixed {
+			static get length() { return length; }
+		};
+		Object.defineProperty(variant, 'name', { value: `octets[${length}]` });
+		fixedTypes.set(length, variant);
+	}
+
+	return fixedTypes.get(length);
+}
+
+const longTypes = new Map();
+
+/**
+ * Returns a variant of a variable length attribute type that permits
+ * values longer than will fit in a single attribute (e.g. for use
+ * by long extended attributes).  Fixed length types are returned as is.
+ *
+ * @param {function} type - the original attribute type
+ * @return {function} the variant attribute type
+ */
+function longType(type)
+{
+	if (type === AFixed || type.prototype instanceof AFixed) {
+		return type;
+	}
+
+	if (!longTypes.has(type)) {
+		const variant = class extends type {
+			static bufferCheck(buf, min = 1, max = MAX_LONG_LENGTH) {
+				super.bufferCheck(buf, min, max);
+			}
+		};
+		Object.defineProperty(variant, 'name', { value: type.name });
+		longTypes.set(type, variant);
+	}
+
+	return longTypes.get(type);
+}
+
+const arrayTypes = new Map();
+
+/**
+ * Returns the type of an "array" attribute whose elements are of
+ * the given fixed length type
+ *
+ * @param {function} type - the element type
+ * @return {function} the array attribute type
+ * @throws if the element type does not have a fixed length
+ */
+function arrayType(type)
+{
+	if (!(type.prototype instanceof AFixed)) {
+		throw new TypeError(`${type.name} cannot be used in an array`);
+	}
+
+	if (!arrayTypes.has(type)) {
+		const variant = class extends AArray {
+			static get elementType() { return type; }
+		};
+		Object.defineProperty(variant, 'name', { value: `${type.name}[]` });
+		arrayTypes.set(type, variant);
+	}
+
+	return arrayTypes.get(type);
+}
+
 module.exports = {
 	Buffer: ABuffer,
 	String: AString,
+	Fixed: AFixed,
 	Numeric: ANumeric,
 	Integer: AInteger,
+	Signed: ASigned,
+	Integer64: AInteger64,
 	Short: AShort,
 	Byte: AByte,
 	Inet4: AInet4,
+	Inet6: AInet6,
+	Inet4Prefix: AInet4Prefix,
+	Inet6Prefix: AInet6Prefix,
+	IfId: AIfId,
+	ComboIP: AComboIP,
+	Ether: AEther,
+	ABinary: AABinary,
 	Date: ADate,
-	VSA: AVSA
+	VSA: AVSA,
+	TLV: ATLV,
+	Struct: AStruct,
+	Array: AArray,
+	Extended: AExtended,
+	LongExtended: ALongExtended,
+	EVS: AEVS,
+	fixed: fixedType,
+	long: longType,
+	array: arrayType
 };
@@ -0,0 +1,187 @@
+/*
+ * Copyright (C) Internet Systems Consortium, Inc. ("ISC")
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+/**
+ * @fileOverview RADIUS Access-Challenge session storage
+ * @author [Ray Bellis]{@link mailto:ray@isc.org}
+ */
+
+const crypto = require('crypto');
+
+// convert a State value into a Map key
+function stateKey(state)
+{
+	// allow a State Attribute to be passed directly
+	if (!(state instanceof Buffer) && state && state.value instanceof Buffer) {
+		state = state.value;
+	}
+
+	if (!(state instanceof Buffer)) {
+		throw new TypeError('State must be a Buffer or an Attribute');
+	}
+
+	return state.toString('hex');
+}
+
+/**
+ * A store for the server-side state of multi-round (i.e. Access-Challenge
+ * based) authentication sessions, keyed by the value of the State attribute
+ * sent in the Access-Challenge and returned in the subsequent Access-Request.
+ *
+ * Entries expire if the client does not return within the configured
+ * timeout, and the number of concurrent entries is limited.
+ */
+class ChallengeStore {
+
+	/**
+	 * @param {object} [conf] - the configuration object
+	 * @param {number} [conf.timeout=60] - how long (in seconds) an entry remains valid
+	 * @param {number} [conf.limit=4096] - the maximum number of concurrent entries
+	 * @throws if the parameters are invalid
+	 */
+	constructor({ timeout = 60, limit = 4096 } = {}) {
+
+		// type and range checks
+		if (typeof timeout !== 'number') {
+			throw new TypeError('ChallengeStore timeout must be a number');
+		}
+
+		if (timeout <= 0) {
+			throw new RangeError('ChallengeStore timeout must be a positive number');
+		}
+
+		if (!Number.isInteger(limit) || limit < 1) {
+			throw new RangeError('ChallengeStore limit must be a positive integer');
+		}
+
+		const entries = new Map();
+
+		// remove any entries that have passed their expiry time
+		function purge() {
+			const now = Date.now();
+			for (let [key, entry] of entries) {
+				if (entry.expires <= now) {
+					entries.delete(key);
+				}
+			}
+		}
+
+		// find a current entry
+		function find(state) {
+			const key = stateKey(state);
+			const entry = entries.get(key);
+			if (entry && entry.expires <= Date.now()) {
+				entries.delete(key);
+				return undefined;
+			}
+			return entry;
+		}
+
+		/**
+		 * Creates a new entry with a random State value.
+		 *
+		 * @name ChallengeStore#create
+		 * @function
+		 * @param {*} data - the data to associate with the new entry
+		 * @return {Buffer} - the State value to be sent in the Access-Challenge
+		 * @throws if the store is full
+		 */
+		function create(data) {
+			if (entries.size >= limit) {
+				purge();
+				if (entries.size >= limit) {
+					throw new RangeError('ChallengeStore is full');
+				}
+			}
+
+			const state = crypto.randomBytes(16);
+			entries.set(stateKey(state), {
+				data, expires: Date.now() + timeout * 1000
+			});
+			return state;
+		}
+
+		/**
+		 * Retrieves the data associated with a State value.
+		 *
+		 * @name ChallengeStore#get
+		 * @function
+		 * @param {(Buffer|Attribute)} state - the State value or attribute
+		 * @return {*} - the associated data, or <tt>undefined</tt> if there
+		 *  is no current entry
+		 */
+		function get(state) {
+			const entry = find(state);
+			return entry ? entry.data : undefined;
+		}
+
+		/**
+		 * Checks whether there is a current entry for a State value.
+		 *
+		 * @name ChallengeStore#has
+		 * @function
+		 * @param {(Buffer|Attribute)} state - the State value or attribute
+		 * @return {boolean}
+		 */
+		function has(state) {
+			return find(state) !== undefined;
+		}
+
+		/**
+		 * Replaces the data associated with an existing State value, and
+		 * restarts its expiry timer.
+		 *
+		 * @name ChallengeStore#set
+		 * @function
+		 * @param {(Buffer|Attribute)} state - the State value or attribute
+		 * @param {*} data - the data to associate with the entry
+		 * @throws if there is no current entry for the State value
+		 */
+		function set(state, data) {
+			const entry = find(state);
+			if (!entry) {
+				throw new RangeError('ChallengeStore has no entry for this State');
+			}
+			entry.data = data;
+			entry.expires = Date.now() + timeout * 1000;
+		}
+
+		/**
+		 * Removes the entry (if any) for a State value.
+		 *
+		 * @name ChallengeStore#delete
+		 * @function
+		 * @param {(Buffer|Attribute)} state - the State value or attribute
+		 * @return {boolean} - whether an entry was removed
+		 */
+		function remove(state) {
+			return entries.delete(stateKey(state));
+		}
+
+		/* add the locally defined instance methods / properties */
+		Object.defineProperties(this, {
+			create: { value: create },
+			get: { value: get },
+			has: { value: has },
+			set: { value: set },
+			delete: { value: remove },
+
+			/**
+			 * The number of entries currently held (including
+			 * any that have expired but not yet been purged)
+			 *
+			 * @name ChallengeStore#size
+			 * @type number
+			 */
+			size: { get: () => entries.size }
+		});
+	}
+}
+
+module.exports = ChallengeStore;
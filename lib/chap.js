@@ -0,0 +1,117 @@
+/*
+ * Copyright (C) Internet Systems Consortium, Inc. ("ISC")
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+/**
+ * @fileOverview RADIUS CHAP authentication
+ * @author [Ray Bellis]{@link mailto:ray@isc.org}
+ */
+
+const crypto = require('crypto');
+
+// attributes are referred to by number so that verification
+// doesn't depend on the dictionary that's loaded
+const USER_NAME = 1;
+const CHAP_PASSWORD = 3;
+const CHAP_CHALLENGE = 60;
+
+// CHAP-Password is the CHAP identifier followed by the MD5 response
+const CHAP_PASSWORD_LENGTH = 17;
+
+/**
+ * Calculates the response to a CHAP challenge
+ * (see <a href="https://tools.ietf.org/html/rfc1994#section-4.1">RFC 1994 §4.1</a>)
+ *
+ * @param {number} id - the CHAP identifier
+ * @param {(string|Buffer)} password - the cleartext password
+ * @param {Buffer} challenge - the challenge value
+ * @return {Buffer} the 16 byte response
+ */
+function response(id, password, challenge)
+{
+	return crypto.createHash('md5')
+		.update(Buffer.from([id]))
+		.update(password)
+		.update(challenge)
+		.digest();
+}
+
+/**
+ * Verifies the CHAP-Password attribute of an Access-Request against
+ * the user's cleartext password.  The challenge is taken from the
+ * CHAP-Challenge attribute or, if that is absent, from the Request
+ * Authenticator (see
+ * <a href="https://tools.ietf.org/html/rfc2865#section-2.2">RFC 2865 §2.2</a>).
+ *
+ * @param {RadiusPacket} req - the Access-Request
+ * @param {(string|Buffer)} password - the user's cleartext password
+ * @return {boolean} whether the request contains a valid CHAP-Password
+ *  for the given password
+ */
+function verify(req, password)
+{
+	const attr = req.get(CHAP_PASSWORD);
+	if (!attr || attr.value.length !== CHAP_PASSWORD_LENGTH) {
+		return false;
+	}
+
+	const challenge = req.get(CHAP_CHALLENGE);
+	const expected = response(attr.value[0], password,
+			challenge ? challenge.value : req.authenticator);
+
+	return crypto.timingSafeEqual(attr.value.slice(1), expected);
+}
+
+/**
+ * Looks up a user's cleartext password
+ *
+ * @callback PasswordLookup
+ * @param {string} username - the value of the User-Name attribute
+ * @param {RadiusPacket} req - the Access-Request
+ * @return {(string|Buffer|Promise)} the password (or a Promise that
+ *  resolves to it), or <tt>undefined</tt> if the user is unknown
+ */
+
+/**
+ * Creates a handler for {@link RadiusServer#use} that authenticates
+ * Access-Requests containing a CHAP-Password.  Valid requests have
+ * their response code set to Access-Accept, and later handlers are
+ * still invoked (e.g. to add attributes to the response).  Invalid
+ * requests (including those from unknown users) are rejected
+ * immediately.  Requests without a CHAP-Password are ignored.
+ *
+ * @param {PasswordLookup} lookup - returns the password of a user
+ * @return {Object} the handler
+ */
+function handler(lookup)
+{
+	if (typeof lookup !== 'function') {
+		throw new TypeError('CHAP password lookup must be a function');
+	}
+
+	return {
+		auth: async function(req, res) {
+			if (!req.has(CHAP_PASSWORD)) {
+				return false;
+			}
+
+			const username = req.get(USER_NAME);
+			const password = username && await lookup(username.toString(), req);
+
+			if (password !== undefined && password !== null && verify(req, password)) {
+				res.code = 'Access-Accept';
+				return false;
+			}
+
+			res.code = 'Access-Reject';
+			return true;
+		}
+	};
+}
+
+module.exports = { response, verify, handler };
@@ -13,10 +13,92 @@
  */
 
 const RadiusPacket = require('./packet');
+const AttributeList = require('./attrlist');
 const Code = require('./code');
+const Dictionary = require('./dictionary');
 
 const dgram = require('dgram');
-const crypto = require('crypto');
+
+// the expected responses to each type of request, and whether
+// they resolve or reject the Promise returned by the request
+const responseTable = new Map([
+	[ Code.ACCESS_REQUEST, new Map([
+		[ Code.ACCESS_ACCEPT, 'resolve' ],
+		[ Code.ACCESS_REJECT, 'reject' ],
+		[ Code.ACCESS_CHALLENGE, 'reject' ]
+	]) ],
+	[ Code.ACCOUNTING_REQUEST, new Map([
+		[ Code.ACCOUNTING_RESPONSE, 'resolve' ]
+	]) ],
+	[ Code.DISCONNECT_REQUEST, new Map([
+		[ Code.DISCONNECT_ACK, 'resolve' ],
+		[ Code.DISCONNECT_NAK, 'reject' ]
+	]) ],
+	[ Code.COA_REQUEST, new Map([
+		[ Code.COA_ACK, 'resolve' ],
+		[ Code.COA_NAK, 'reject' ]
+	]) ]
+]);
+
+// remembers which server sent each Access-Challenge, since
+// RFC 2865 §4.4 requires that the reply is sent to the same server
+const challengeOrigin = new WeakMap();
+
+// RFC 5176 §3 - attributes that may be used to identify the
+// session to which a Disconnect-Request or CoA-Request applies
+const sessionAttributes = new Set([
+	'user-name',
+	'nas-ip-address',
+	'nas-ipv6-address',
+	'nas-identifier',
+	'nas-port',
+	'nas-port-id',
+	'framed-ip-address',
+	'framed-ipv6-prefix',
+	'framed-interface-id',
+	'called-station-id',
+	'calling-station-id',
+	'acct-session-id',
+	'acct-multi-session-id',
+	'chargeable-user-identity',
+	'originating-line-info'
+]);
+
+// build the attribute list for a Dynamic Authorization request
+function sessionRequestAttributes(session, attrs, dictionary)
+{
+	if (typeof session !== 'object' || session === null) {
+		throw new TypeError('session must be an object');
+	}
+
+	const result = new AttributeList([], false, dictionary);
+	for (let [name, value] of Object.entries(session)) {
+		if (!sessionAttributes.has(name.toLowerCase())) {
+			throw new RangeError(`${name} is not a session identification attribute`);
+		}
+		result.add(name, value);
+	}
+
+	if (attrs !== undefined) {
+		for (let attr of attrs) {
+			result.add(attr);
+		}
+	}
+
+	return result;
+}
+
+// determine the destination port for a request
+function requestPort(server, code)
+{
+	if (code === Code.ACCOUNTING_REQUEST) {
+		return server.acct;
+	} else if (code === Code.DISCONNECT_REQUEST || code === Code.COA_REQUEST) {
+		return server.coa;
+	} else {
+		return server.auth;
+	}
+}
 
 async function _request(client_state, code, attrs)
 {
@@ -34,16 +116,20 @@ async function _request(client_state, code, attrs)
 			// round-robin server selection
 			const server = client_state.servers[n];
 			const address = server.server;
-			const port = (code === Code.ACCOUNTING_REQUEST) ? server.acct : server.auth;
+			const port = requestPort(server, code);
 			const secret = server.secret;
 
 			// server-specific packet content
 			const identifier = (server.id++ & 0xff);
-			const authenticator = RadiusPacket.randomAuthenticator();
-			const req = new RadiusPacket(code, identifier, authenticator, attrs);
-			const buffer = req.toWire(secret, response = false);
+			const req = new RadiusPacket(code, identifier, RadiusPacket.randomAuthenticator(), attrs, client_state.dictionary);
+			const require_ma = server.require_message_authenticator;
+			const buffer = req.toWire(secret, false, require_ma);
 
-			state[n] = { code, identifier, authenticator, address, port, secret, buffer };
+			// the authenticator actually sent (which is calculated
+			// rather than random for some request types)
+			const authenticator = buffer.slice(4, 20);
+
+			state[n] = { server, code, identifier, authenticator, address, port, secret, buffer, require_ma };
 		}
 		return state[n];
 	}
@@ -63,10 +149,16 @@ async function _request(client_state, code, attrs)
 				return;
 			}
 
+			// validate packet signature (dropping invalid packets)
+			if (!RadiusPacket.verifyAuthenticator(msg, current.secret, current.authenticator)) {
+				console.log(`bad authenticator on packet from ${rinfo.address}:${rinfo.port}`);
+				return;
+			}
+
 			// parse the response, ignoring any unparseable packets
 			let res = undefined;
 			try {
-				res = RadiusPacket.fromWire(msg);
+				res = RadiusPacket.fromWire(msg, current.secret, current.authenticator, client_state.dictionary);
 			} catch (e) {
 				return;
 			}
@@ -76,35 +168,25 @@ async function _request(client_state, code, attrs)
 				return;
 			}
 
-			// validate packet signature (dropping invalid packets)
-			const hash = crypto.createHash('md5');
-			hash.update(Buffer.from(msg.buffer, 0, 4));
-			hash.update(current.authenticator);
-			hash.update(Buffer.from(msg.buffer, 20));
-			hash.update(current.secret);
-
-            const authen = Buffer.from(msg.buffer, 4, 16);
-            const digest = hash.digest();
-            if (Buffer.compare(authen, digest) !== 0) {
-                console.log(`bad authenticator on packet from ${rinfo.address}:${rinfo.port}`);
-                return;
-            }
+			// enforce the server's Message-Authenticator policy
+			if (current.require_ma && !res.hasMessageAuthenticator) {
+				console.log(`missing Message-Authenticator on packet from ${rinfo.address}:${rinfo.port}`);
+				return;
+			}
 
 			// examine the response code and determine the action to take
-			const req_code = code.toString();
-			const res_code = res.code.toString();
+			const expected = responseTable.get(code);
+			const result = expected && expected.get(res.code);
 
 			let action = undefined;
-			if (req_code === 'Access-Request') {
-				if (res_code === 'Access-Accept') {
-					action = resolve;
-				} else if (res_code === 'Access-Reject') {
-					action = reject;
-				}
-			} else if (req_code === 'Accounting-Request') {
-				if (res_code === 'Accounting-Response') {
-					action = resolve;
-				}
+			if (result === 'resolve') {
+				action = resolve;
+			} else if (result === 'reject') {
+				action = reject;
+			}
+
+			if (res.code === Code.ACCESS_CHALLENGE) {
+				challengeOrigin.set(res, current.server);
 			}
 
 			if (action) {
@@ -160,10 +242,15 @@ class RadiusClient {
  	 * @param {string} config.secret - the shared secret
  	 * @param {number} [config.auth = 1812] - the UDP port for authorization
  	 * @param {number} [config.acct = 1813] - the UDP port for accounting
+ 	 * @param {number} [config.coa = 3799] - the UDP port for dynamic authorization
  	 * @param {number} [config.retry = 3] - how many attempts to make per server
  	 * @param {number} [config.delay = 1] - the delay between attempts
+ 	 * @param {boolean} [config.require_message_authenticator = false] - whether
+ 	 *  requests to and responses from the server must contain a Message-Authenticator
+ 	 * @param {Dictionary} [config.dictionary] - the dictionary used by this client,
+ 	 *  if not the default one
  	 */
-	constructor({ host, secret, auth = 1812, acct = 1813, retry = 3, delay = 1 }) {
+	constructor({ host, secret, auth = 1812, acct = 1813, coa = 3799, retry = 3, delay = 1, require_message_authenticator = false, dictionary = undefined }) {
 
 		// type and range checks
 		if (typeof retry !== 'number') {
@@ -185,7 +272,8 @@ class RadiusClient {
 		// client's persistent state
 		const state = {
 			servers: [],
-			retry, delay
+			retry, delay,
+			dictionary: Dictionary.from(dictionary)
 		};
 
 		/**
@@ -197,10 +285,14 @@ class RadiusClient {
 		 * @param {string} secret - the shared secret
 		 * @param {number} [auth = 1812] - the UDP port for authorization
 		 * @param {number} [acct = 1813] - the UDP port for accounting
+		 * @param {object} [options] - per-server settings
+		 * @param {number} [options.coa = 3799] - the UDP port for dynamic authorization
+		 * @param {boolean} [options.require_message_authenticator = false] - whether
+		 *  requests to and responses from this server must contain a Message-Authenticator
 		 * @return {RadiusClient} - the current client object
 		 * @throws if the parameters are invalid
 		 */
-		function addServer(server, secret, auth = 1812, acct = 1813) {
+		function addServer(server, secret, auth = 1812, acct = 1813, { coa = 3799, require_message_authenticator = false } = {}) {
 
 			// type and range check for parameters
 			if (typeof server !== 'string') {
@@ -227,18 +319,35 @@ class RadiusClient {
 				throw new RangeError('RadiusClient acct port must be an integer between 1 and 65535');
 			}
 
+			if (typeof coa !== 'number') {
+				throw new TypeError('RadiusClient coa port must be a number');
+			}
+
+			if (!Number.isInteger(coa) || coa < 1 || coa > 65535) {
+				throw new RangeError('RadiusClient coa port must be an integer between 1 and 65535');
+			}
+
+			if (typeof require_message_authenticator !== 'boolean') {
+				throw new TypeError('RadiusClient require_message_authenticator must be a boolean');
+			}
+
 			// generate initial ID for queries sent to this client
 			const id = Math.floor(Math.random() * 256);
 
 			// push the (required) first configured server
-			state.servers.push({ server, secret, auth, acct, id });
+			state.servers.push({ server, secret, auth, acct, coa, id, require_message_authenticator });
 		}
 
 		/**
 		 * Creates a RADIUS request with the specified code and list of attributes,
 		 * sending it to the configured servers, and returning a Promise that will
-		 * be "resolved" for successful Access-Request or Accounting-Request packets
-		 * or "rejected" for unsuccessful Access-Requests.
+		 * be "resolved" for successful requests (e.g. Access-Accept, Accounting-Response,
+		 * Disconnect-ACK or CoA-ACK) or "rejected" for unsuccessful requests (e.g.
+		 * Access-Reject, Disconnect-NAK or CoA-NAK).
+		 *
+		 * An Access-Challenge also causes the Promise to be "rejected" with the
+		 * challenge packet, whose Reply-Message and State attributes describe the
+		 * challenge.  It may be answered using {@link RadiusClient#answerChallenge}.
 		 *
 		 * @name RadiusClient#request
 		 * @function
@@ -249,14 +358,90 @@ class RadiusClient {
 			return _request(state, code, attrs);
 		}
 
+		/**
+		 * Answers an Access-Challenge received in response to an earlier request
+		 * by sending a new Access-Request containing the given attributes and the
+		 * State attribute from the challenge to the server that sent the challenge.
+		 * The returned Promise behaves as for {@link RadiusClient#request}, and so
+		 * may itself be "rejected" with a further Access-Challenge.
+		 *
+		 * @name RadiusClient#answerChallenge
+		 * @function
+		 * @param {RadiusPacket} challenge - the Access-Challenge packet
+		 * @param {(AttributeList|Array<Attribute>)} attrs - the attributes to send
+		 *  (e.g. User-Name and the User-Password containing the response)
+		 * @throws if the challenge was not received by this client
+		 */
+		function answerChallenge(challenge, attrs) {
+			const server = challengeOrigin.get(challenge);
+			if (!server || !state.servers.includes(server)) {
+				throw new TypeError('challenge is not an Access-Challenge received by this client');
+			}
+
+			const list = new AttributeList([], false, state.dictionary);
+			if (attrs !== undefined) {
+				for (let attr of attrs) {
+					list.add(attr);
+				}
+			}
+			for (let attr of challenge.getAll('State')) {
+				list.add(attr);
+			}
+
+			const client_state = Object.assign({}, state, { servers: [server] });
+			return _request(client_state, Code.ACCESS_REQUEST, list);
+		}
+
+		/**
+		 * Sends an RFC 5176 CoA-Request to the configured servers' dynamic
+		 * authorization ports, returning a Promise that will be "resolved" with
+		 * the CoA-ACK packet or "rejected" with the CoA-NAK packet (whose
+		 * {@link RadiusPacket#errorCause errorCause} property gives the reason).
+		 *
+		 * @name RadiusClient#coa
+		 * @function
+		 * @param {object} session - session identification attributes, keyed by
+		 *  attribute name (e.g. Acct-Session-Id, User-Name, NAS-IP-Address or
+		 *  Framed-IP-Address)
+		 * @param {(AttributeList|Array<Attribute>)} [attrs] - the authorization
+		 *  changes to send
+		 * @throws if the session identification is invalid
+		 */
+		function coaRequest(session, attrs) {
+			attrs = sessionRequestAttributes(session, attrs, state.dictionary);
+			return _request(state, Code.COA_REQUEST, attrs);
+		}
+
+		/**
+		 * Sends an RFC 5176 Disconnect-Request to the configured servers' dynamic
+		 * authorization ports, returning a Promise that will be "resolved" with
+		 * the Disconnect-ACK packet or "rejected" with the Disconnect-NAK packet
+		 * (whose {@link RadiusPacket#errorCause errorCause} property gives the reason).
+		 *
+		 * @name RadiusClient#disconnect
+		 * @function
+		 * @param {object} session - session identification attributes, keyed by
+		 *  attribute name (e.g. Acct-Session-Id, User-Name, NAS-IP-Address or
+		 *  Framed-IP-Address)
+		 * @param {(AttributeList|Array<Attribute>)} [attrs] - additional attributes to send
+		 * @throws if the session identification is invalid
+		 */
+		function disconnectRequest(session, attrs) {
+			attrs = sessionRequestAttributes(session, attrs, state.dictionary);
+			return _request(state, Code.DISCONNECT_REQUEST, attrs);
+		}
+
 		/* add the locally defined instance methods / properties */
 		Object.defineProperties(this, {
 			addServer: { value: addServer },
-			request: { value: request }
+			request: { value: request },
+			answerChallenge: { value: answerChallenge },
+			coa: { value: coaRequest },
+			disconnect: { value: disconnectRequest }
 		});
 
 		/* Add the server that was specified in the constructor call */
-		this.addServer(host, secret, auth, acct);
+		this.addServer(host, secret, auth, acct, { coa, require_message_authenticator });
 
 		/* create the outbound socket */
 	}
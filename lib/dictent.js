@@ -13,6 +13,7 @@
  */
 
 const AV = require('./avalue');
+const ParseError = require('./parseerror');
 
 const typeMap = new Map([
 	[ 'string', AV.String ],
@@ -22,26 +23,56 @@ const typeMap = new Map([
 	[ 'uint16', AV.Short ],
 	[ 'short', AV.Short ],
 	[ 'integer', AV.Integer ],
-	[ 'uint64', AV.Buffer ],		// @TODO
-	[ 'integer64', AV.Buffer ],		// @TODO
-	[ 'signed', AV.Integer ],		// @TODO
+	[ 'uint32', AV.Integer ],
+	[ 'uint64', AV.Integer64 ],
+	[ 'integer64', AV.Integer64 ],
+	[ 'signed', AV.Signed ],
+	[ 'int32', AV.Signed ],
 	[ 'ipaddr', AV.Inet4 ],
-	[ 'ipv4prefix', AV.Buffer ],	// @TODO
-	[ 'ipv6addr', AV.Buffer ],		// @TODO
-	[ 'ipv6prefix', AV.Buffer ],	// @TODO
-	[ 'ifid', AV.Buffer ],			// @TODO
+	[ 'ipv4addr', AV.Inet4 ],
+	[ 'ipv4prefix', AV.Inet4Prefix ],
+	[ 'ipv6addr', AV.Inet6 ],
+	[ 'ipv6prefix', AV.Inet6Prefix ],
+	[ 'ifid', AV.IfId ],
 	[ 'date', AV.Date ],
-	[ 'tlv', AV.Buffer ],			// @TODO
-	[ 'combo-ip', AV.Buffer ],		// @TODO
-	[ 'abinary', AV.Buffer ],		// @TODO
-	[ 'ether', AV.Buffer ],			// @TODO
-	[ 'struct', AV.Buffer ],		// @TODO
-//	[ 'extended', AV.Buffer ],
-//	[ 'long-extended', AV.Buffer ],
+	[ 'tlv', AV.TLV ],
+	[ 'combo-ip', AV.ComboIP ],
+	[ 'abinary', AV.ABinary ],
+	[ 'ether', AV.Ether ],
+	[ 'struct', AV.Struct ],
+	[ 'extended', AV.Extended ],
+	[ 'long-extended', AV.LongExtended ],
+	[ 'evs', AV.EVS ],
 	[ 'vsa', AV.VSA ],
 ]);
 
-class ParseError extends Error { };
+// convert a dictionary type name into an attribute type
+function parseType(type)
+{
+	type = type.toLowerCase();
+
+	// fixed width octets
+	const m = type.match(/^octets\[(\d+)\]$/);
+	if (m) {
+		try {
+			return AV.fixed(Number(m[1]));
+		} catch (e) {
+			throw new ParseError(`invalid dictionary type entry "${type}"`);
+		}
+	}
+
+	if (!typeMap.has(type)) {
+		throw new ParseError(`unknown dictionary type entry "${type}"`);
+	}
+
+	return typeMap.get(type);
+}
+
+// whether an attribute type has a fixed length
+function isFixed(type)
+{
+	return type.prototype instanceof AV.Fixed;
+}
 
 /**
  * The representation of the meta-data and specification of an
@@ -51,25 +82,27 @@ class ParseError extends Error { };
  */
 class DictionaryEntry {
 
-	constructor(vendor, name, id, type, flags, ...extra) {
-
-		type = type.toLowerCase();
-
-		// ignore field width spec for octets[n]
-		// @TODO - add support
-		if (type.match(/^octets\[\d+\]$/)) {
-			type = 'octets';
-		}
-
-		if (!typeMap.has(type)) {
-			throw new ParseError(`unknown dictionary type entry "${type}"`);
-		}
+	/**
+	 * @param {(Vendor|DictionaryEntry|Object)} parent - the Vendor of a VSA,
+	 *  the parent "extended" attribute of an RFC 6929 extended attribute,
+	 *  the TLV attribute that contains this one, or for an attribute carried
+	 *  in an RFC 6929 Extended-Vendor-Specific attribute an object containing
+	 *  the <tt>evs</tt> attribute and the <tt>vendor</tt>
+	 */
+	constructor(parent, name, id, type, flags, ...extra) {
 
 		/**
 		 * @name DictionaryEntry#type
 		 * @type AValue
 		 */
-		this.type = typeMap.get(type);
+		this.type = parseType(type);
+
+		/**
+		 * @name DictionaryEntry#typeName
+		 * @type string
+		 * @desc the name of the type as given in the dictionary (e.g. "ipaddr")
+		 */
+		this.typeName = type;
 
 		/**
 		 * @name DictionaryEntry#id
@@ -77,8 +110,7 @@ class DictionaryEntry {
 		 */
 		this.id = Number(id);
 		if (!Number.isInteger(this.id)) {
-			// throw new ParseError(`invalid id field (${id}) for dictionary entry`);
-			return;
+			throw new ParseError(`invalid id field (${id}) for dictionary entry`);
 		}
 
 		/**
@@ -87,9 +119,46 @@ class DictionaryEntry {
 		 */
 		this.name = name;
 
-		// VSA properties
-		if (vendor) {
-			this.vendor = vendor;
+		// TLV child attribute properties
+		if (parent instanceof DictionaryEntry && parent.isTLV) {
+			if (this.id < 1 || this.id > 255) {
+				throw new ParseError(`invalid TLV type (${id}) for ${name}`);
+			}
+
+			this.parent = parent;
+		} else if (parent instanceof DictionaryEntry) {
+			// RFC 6929 extended attribute properties
+			if (!parent.isExtendedParent) {
+				throw new ParseError(`parent of ${name} is not an extended or TLV attribute`);
+			}
+			if (this.id < 1 || this.id > 255) {
+				throw new ParseError(`invalid Extended-Type (${id}) for ${name}`);
+			}
+
+			this.parent = parent;
+			this.ext_id = this.id;
+			this.id = parent.id;
+			if (parent.isLongExtendedParent) {
+				this.type = AV.long(this.type);
+			}
+		} else if (parent && parent.evs) {
+			// RFC 6929 Extended-Vendor-Specific attribute properties
+			const evs = parent.evs;
+			if (this.id < 0 || this.id > 255) {
+				throw new ParseError(`invalid EVS Vendor-Type (${id}) for ${name}`);
+			}
+
+			this.parent = evs;
+			this.vendor = parent.vendor;
+			this.sub_id = this.id;
+			this.ext_id = evs.ext_id;
+			this.id = evs.id;
+			if (evs.isLongExtended) {
+				this.type = AV.long(this.type);
+			}
+		} else if (parent) {
+			// VSA properties
+			this.vendor = parent;
 			this.sub_id = this.id;
 			this.id = 26;			// Vendor-Specific
 			this.sub_type = this.type;
@@ -110,14 +179,49 @@ class DictionaryEntry {
 		}
 		Object.freeze(this.flags);
 
+		// "concat" values (and those of vendors supporting continuation)
+		// may be split over several attributes
+		if (this.flags.concat || (this.vendor && this.isVSA && this.vendor.continuation)) {
+			if (this.sub_type) {
+				this.sub_type = AV.long(this.sub_type);
+			} else {
+				this.type = AV.long(this.type);
+			}
+		}
+
+		// "array" values are a sequence of fixed length values
+		if (this.flags.array) {
+			if (!isFixed(this.realType)) {
+				throw new ParseError(`array attribute ${name} must have a fixed length type`);
+			}
+			if (this.sub_type) {
+				this.sub_type = AV.array(this.sub_type);
+			} else {
+				this.type = AV.array(this.type);
+			}
+		}
+
 		// additional tags from the Dictionary file
 		if (extra.length) {
 			this.extra = extra;
 		}
 
-		// allow numeric values to be string mapped
+		// allow numeric values to be string mapped, remembering
+		// each name as it was given (for serialisation)
 		if (this.isNumeric) {
 			this.values = new Map();
+			this.valueNames = new Map();
+		}
+
+		// extended and TLV attributes have child attributes, and
+		// EVS attributes have a table of child attributes per vendor
+		if (this.isExtendedParent || this.isTLV || this.isEVSParent) {
+			this.children = new Map();
+		}
+
+		// struct members are added as the dictionary is parsed
+		if (this.isStruct) {
+			this.members = [];
 		}
 
 		// prevent modifications of the main object
@@ -135,6 +239,103 @@ class DictionaryEntry {
 	get realType() {
 		return this.sub_type || this.type;
 	}
+
+	/**
+	 * Whether this attribute has the "array" flag
+	 */
+	get isArray() {
+		return this.realType.prototype instanceof AV.Array;
+	}
+
+	/**
+	 * Whether this is a struct attribute
+	 */
+	get isStruct() {
+		return this.realType === AV.Struct || this.realType.prototype instanceof AV.Struct;
+	}
+
+	/**
+	 * Adds a member to a struct attribute.  Every member except
+	 * the last must have a fixed length.
+	 *
+	 * @param {string} name - the name of the member
+	 * @param {string} type - the dictionary type of the member
+	 * @throws if this is not a struct, or the member is invalid
+	 */
+	addMember(name, type) {
+		if (!this.isStruct) {
+			throw new ParseError(`${this.name} is not a struct`);
+		}
+
+		const typeName = type;
+		type = parseType(type);
+		if (type === AV.Struct || type === AV.TLV) {
+			throw new ParseError(`invalid type for member ${name} of ${this.name}`);
+		}
+
+		const last = this.members[this.members.length - 1];
+		if (last && !isFixed(last.type)) {
+			throw new ParseError(`member ${name} follows variable length member of ${this.name}`);
+		}
+
+		if (this.members.some(m => m.name.toLowerCase() === name.toLowerCase())) {
+			throw new ParseError(`duplicate member ${name} of ${this.name}`);
+		}
+
+		this.members.push(Object.freeze({ name, type, typeName }));
+	}
+
+	/**
+	 * Whether this is an RFC 6929 "Extended Type" (or "Long Extended
+	 * Type") attribute, i.e. one of 241 - 246
+	 */
+	get isExtendedParent() {
+		return this.type === AV.Extended || this.type.prototype instanceof AV.Extended;
+	}
+
+	/**
+	 * Whether this is an RFC 6929 "Long Extended Type" attribute
+	 */
+	get isLongExtendedParent() {
+		return this.type === AV.LongExtended;
+	}
+
+	/**
+	 * Whether this is a TLV attribute containing child attributes
+	 */
+	get isTLV() {
+		return this.realType === AV.TLV || this.realType.prototype instanceof AV.TLV;
+	}
+
+	/**
+	 * Whether this is an RFC 6929 "Extended-Vendor-Specific" attribute
+	 * containing vendor attributes
+	 */
+	get isEVSParent() {
+		return this.realType === AV.EVS || this.realType.prototype instanceof AV.EVS;
+	}
+
+	/**
+	 * Whether this is a vendor attribute carried within an RFC 6929
+	 * "Extended-Vendor-Specific" attribute
+	 */
+	get isEVS() {
+		return this.isExtended && this.vendor !== undefined;
+	}
+
+	/**
+	 * Whether this attribute is carried within an extended attribute
+	 */
+	get isExtended() {
+		return this.ext_id !== undefined;
+	}
+
+	/**
+	 * Whether this attribute is carried within a long extended attribute
+	 */
+	get isLongExtended() {
+		return this.isExtended && this.parent.isLongExtendedParent;
+	}
 }
 
 module.exports = DictionaryEntry;
@@ -12,186 +12,574 @@
  * @author [Ray Bellis]{@link mailto:ray@isc.org}
  */
 
-/**
- * @typedef {Object} Dictionary
- * @class
- * @hideconstructor
- */
-
 const AV = require('./avalue');
 const Vendor = require('./vendor');
 const DictionaryEntry = require('./dictent');
+const ParseError = require('./parseerror');
+const writer = require('./dictwriter');
 
 const fs = require('fs');
 const path = require('path');
 
 const inspect = Symbol.for('nodejs.util.inspect.custom');
 
-class ParseError extends Error { };
-
-// global state
-const dict = new Map();
-const vendors = new Map();
-const vsas = new Map();
-
 function readFile(file)
 {
 	return fs.readFileSync(file, 'ascii')
 		.split(/\r?\n/)
 		.map(line => line.replace(/\s*#.*$/, '').trim())
-		.map((line, index) => [index + 1, line.split(/\s+/)])
+		.map((line, index) => [index + 1, line])
 		.filter(([_, line]) => line.length)
+		.map(([lineno, line]) => [lineno, line.split(/\s+/)]);
+}
+
+// when an attribute is redefined, keep any child attributes and
+// VALUE entries that were registered against the original
+function inherit(old, ent)
+{
+	for (let table of ['children', 'values', 'valueNames']) {
+		if (old && old[table] && ent[table]) {
+			for (let [key, value] of old[table]) {
+				if (!ent[table].has(key)) {
+					ent[table].set(key, value);
+				}
+			}
+		}
+	}
 }
 
-function addAttributeSpec(vendor, name, id, type, ...extra)
+// find the child with the given number of an extended or TLV attribute
+function child(ds, parent, id)
 {
+	if (parent.isExtendedParent) {
+		return extendedAttr(ds, parent.id, id);
+	} else if (parent.isTLV) {
+		return tlv(ds, parent, id);
+	} else {
+		throw new ParseError(`${parent.name} cannot contain child attributes`);
+	}
+}
+
+// split a (possibly dotted) attribute number into its components
+function parseNumber(id)
+{
+	const path = String(id).split('.').map(Number);
+	if (!path.every(Number.isInteger)) {
+		throw new ParseError(`invalid id field (${id}) for dictionary entry`);
+	}
+	return path;
+}
+
+// store an entry by name in the global dictionary and, for
+// vendor attributes, in the vendor's own table of names
+function addName(ds, vendor, name, ent)
+{
+	name = name.toLowerCase();
+	ds.dict.set(name, ent);
+	if (vendor) {
+		if (!ds.vendorNames.has(vendor.id)) {
+			ds.vendorNames.set(vendor.id, new Map());
+		}
+		ds.vendorNames.get(vendor.id).set(name, ent);
+	}
+}
+
+// find an attribute by name, preferring the attributes of the given vendor
+function findAttribute(ds, vendor, name)
+{
+	name = name.toLowerCase();
+	if (vendor && ds.vendorNames.has(vendor.id)) {
+		const ent = ds.vendorNames.get(vendor.id).get(name);
+		if (ent) {
+			return ent;
+		}
+	}
+	return ds.dict.get(name);
+}
+
+function addChildSpec(ds, parent, name, id, type, ...extra)
+{
+	// walk down through any intermediate levels
+	const path = parseNumber(id);
+	const n = path.pop();
+	for (let p of path) {
+		parent = child(ds, parent, p);
+	}
+
+	if (!parent.children) {
+		throw new ParseError(`${parent.name} cannot contain child attributes`);
+	}
+
+	const ent = new DictionaryEntry(parent, name, n, type, ...extra);
+	inherit(parent.children.get(n), ent);
+	parent.children.set(n, ent);
+
+	// store the entry by name in the dictionary
+	ds.dict.set(name.toLowerCase(), ent);
+	return ent;
+}
+
+function addAttributeSpec(ds, vendor, name, id, type, ...extra)
+{
+	// extended and TLV attributes are numbered "parent.child"
+	if (String(id).indexOf('.') >= 0) {
+		const [first, ...rest] = parseNumber(id);
+		const parent = vendor ? vsa(ds, vendor.id, first) : get(ds, first);
+		return addChildSpec(ds, parent, name, rest.join('.'), type, ...extra);
+	}
+
 	const ent = new DictionaryEntry(vendor, name, id, type, ...extra);
 
-	// store the entry in the appropriate table
+	// store the entry in the appropriate table (internal
+	// attributes are never sent, and so only have a name)
 	if (vendor) {
-		if (vsas.has(vendor.id)) {
-			vsas.get(vendor.id).set(ent.sub_id, ent);
+		if (ds.vsas.has(vendor.id)) {
+			const table = ds.vsas.get(vendor.id);
+			inherit(table.get(ent.sub_id), ent);
+			table.set(ent.sub_id, ent);
 		}
-	} else {
-		dict.set(ent.id, ent);
+	} else if (!ent.flags.internal) {
+		inherit(ds.dict.get(ent.id), ent);
+		ds.dict.set(ent.id, ent);
 	}
 
-	// store the entry by name, too, in the global dictionary
-	dict.set(name.toLowerCase(), ent);
+	// store the entry by name, too
+	addName(ds, vendor, name, ent);
+	return ent;
 }
 
-function addAttributeValue(vendor, attr, name, value)
+function addEVSSpec(ds, evs, vendor, name, id, type, ...extra)
 {
-	attr = attr.toLowerCase();
+	// TLV attributes are numbered "parent.child"
+	if (String(id).indexOf('.') >= 0) {
+		const [first, ...rest] = parseNumber(id);
+		const table = evs.children.get(vendor.id);
+		if (!table || !table.has(first)) {
+			throw new ParseError(`unknown parent attribute ${first} for ${name}`);
+		}
+		return addChildSpec(ds, table.get(first), name, rest.join('.'), type, ...extra);
+	}
 
-	const ent = dict.get(attr.toLowerCase());
+	const ent = new DictionaryEntry({ evs, vendor }, name, id, type, ...extra);
+
+	// each vendor has its own table within the EVS attribute
+	if (!evs.children.has(vendor.id)) {
+		evs.children.set(vendor.id, new Map());
+	}
+
+	const table = evs.children.get(vendor.id);
+	inherit(table.get(ent.sub_id), ent);
+	table.set(ent.sub_id, ent);
+
+	addName(ds, vendor, name, ent);
+	return ent;
+}
+
+function addAttributeValue(ds, vendor, attr, name, value)
+{
+	const ent = findAttribute(ds, vendor, attr);
 	if (!ent) {
 		throw new ParseError(`VALUE entry for unknown attribute name ${attr}`);
 	}
 
+	addEntryValue(ent, name, value);
+}
+
+function addEntryValue(ent, name, value)
+{
+	if (typeof name !== 'string' || value === undefined) {
+		throw new ParseError('VALUE entry without a name and value');
+	}
+
 	if (!ent.isNumeric) {
 		throw new ParseError('VALUE entry for incorrect attribute type');
 	}
 
-	value = Number(value);
-	if (!Number.isInteger(value)) {
+	try {
+		value = ent.realType.parse(value);
+	} catch (e) {
 		throw new ParseError('VALUE entry\'s value is not an integer');
 	}
 
 	let map = ent.values;
 	map.set(value, name);
 	map.set(name.toLowerCase(), value);
+	ent.valueNames.set(name.toLowerCase(), name);
 }
 
-function addVendor(name, id, ...extra)
+function addVendor(ds, name, id, ...extra)
 {
 	id = Number(id);
 	if (!Number.isInteger(id)) {
 		throw new ParseError('VENDOR entry\'s id is not an integer');
 	}
 
-	if (vendors.has(id)) {
-		throw new ParseError(`duplicate VENDOR entry for ID ${id}`);
+	const vendor = new Vendor(name, id, ...extra);
+
+	// identical redefinitions are permitted
+	if (ds.vendors.has(id)) {
+		const old = ds.vendors.get(id);
+		if (old.name.toLowerCase() !== name.toLowerCase() || old.typeSize !== vendor.typeSize ||
+		    old.lengthSize !== vendor.lengthSize || old.continuation !== vendor.continuation)
+		{
+			throw new ParseError(`duplicate VENDOR entry for ID ${id}`);
+		}
+		return old;
 	}
 
 	// create table for holding this vendor's VSAs
-	vsas.set(id, new Map());
+	ds.vsas.set(id, new Map());
 
-	const vendor = new Vendor(name, id, ...extra);
-	vendors.set(id, vendor);
-	vendors.set(name.toLowerCase(), vendor);
+	ds.vendors.set(id, vendor);
+	ds.vendors.set(name.toLowerCase(), vendor);
+	return vendor;
 }
 
-function beginVendor(name)
+// returns the vendor, and the Extended-Vendor-Specific attribute
+// (if any) that carries the vendor's attributes
+function beginVendor(ds, name, format)
 {
 	name = name.toLowerCase();
-	if (!vendors.has(name)) {
+	if (!ds.vendors.has(name)) {
 		throw new ParseError('BEGIN-VENDOR entry for unknown name');
 	}
 
-	return vendors.get(name);
+	let evs = undefined;
+	if (format !== undefined) {
+		const m = format.match(/^format=(.+)$/);
+		if (!m) {
+			throw new ParseError(`invalid BEGIN-VENDOR option "${format}"`);
+		}
+
+		evs = ds.dict.get(m[1].toLowerCase());
+		if (!evs || !evs.isEVSParent) {
+			throw new ParseError(`BEGIN-VENDOR format ${m[1]} is not an Extended-Vendor-Specific attribute`);
+		}
+	}
+
+	return [ds.vendors.get(name), evs];
+}
+
+function addAlias(ds, vendor, name, target)
+{
+	if (target === undefined) {
+		throw new ParseError('ALIAS entry without a target');
+	}
+
+	// the target is either a name or a (dotted) attribute
+	// number, relative to the current vendor (if any)
+	let ent = findAttribute(ds, vendor, target);
+	if (!ent && /^\d+(\.\d+)*$/.test(target)) {
+		const [first, ...rest] = parseNumber(target);
+		ent = vendor ? ds.vsas.get(vendor.id).get(first) : ds.dict.get(first);
+		for (let id of rest) {
+			ent = ent && ent.children && ent.children.get(id);
+		}
+	}
+
+	if (!ent) {
+		throw new ParseError(`ALIAS entry for unknown attribute ${target}`);
+	}
+
+	// an alias may not replace an attribute's own name
+	const existing = findAttribute(ds, vendor, name);
+	if (existing && existing !== ent && existing.name.toLowerCase() === name.toLowerCase()) {
+		throw new ParseError(`ALIAS ${name} conflicts with an existing attribute`);
+	}
+
+	addName(ds, vendor, name, ent);
+	ds.aliases.push({ vendor, name, ent });
+}
+
+function addProtocol(name, id)
+{
+	if (!Number.isInteger(Number(id))) {
+		throw new ParseError('PROTOCOL entry\'s id is not an integer');
+	}
+}
+
+function addMember(struct, name, type)
+{
+	if (!struct) {
+		throw new ParseError('MEMBER entry without a preceding struct attribute');
+	}
+
+	struct.addMember(name, type);
+}
+
+function beginTLV(ds, name)
+{
+	const ent = ds.dict.get(name.toLowerCase());
+	if (!ent) {
+		throw new ParseError('BEGIN-TLV entry for unknown name');
+	}
+
+	if (!ent.isTLV) {
+		throw new ParseError('BEGIN-TLV entry for non-TLV attribute');
+	}
+
+	return ent;
 }
 
-function include(stack, file)
+function include(ctx, file, optional = false)
 {
 	if (typeof file !== 'string') {
-		throw new TypeError('$INCLUDE value is not a string');
+		throw new ParseError('$INCLUDE entry without a file name');
 	}
 
 	if (!path.isAbsolute(file)) {
-		let current = stack[stack.length - 1].file;
+		let current = ctx.stack[ctx.stack.length - 1].file;
 		file = path.join(path.dirname(current), file);
 	}
-	load_impl(stack, file);
+
+	// "$INCLUDE-" silently ignores missing files
+	if (optional && !fs.existsSync(file)) {
+		return;
+	}
+
+	load_impl(ctx, file);
+}
+
+// convert any error raised while parsing a line into a located ParseError
+function locateError(e, stack, file, lineno)
+{
+	// errors from included files are already located
+	if (e instanceof ParseError && e.isLocated) {
+		return e;
+	}
+
+	if (!(e instanceof ParseError)) {
+		e = new ParseError(e.message, { cause: e });
+	}
+
+	const trace = [{ file, line: lineno }];
+	for (let i = stack.length - 1; i >= 0; --i) {
+		trace.push({ file: stack[i].file, line: stack[i].lineno });
+	}
+
+	return e.locate(trace);
+}
+
+// throw a located error, or in lenient mode record it
+function report(ctx, e, stack, file, lineno)
+{
+	const error = locateError(e, stack, file, lineno);
+	if (!ctx.warnings) {
+		throw error;
+	}
+	ctx.warnings.push(error);
 }
 
-function load_impl(stack, file)
+function load_impl(ctx, file)
 {
+	const { ds, stack } = ctx;
 	let vendor = undefined;
+	let evs = undefined;
+	const tlvs = [];
+	let struct = undefined;
+	let internal = false;
+	let protocol = undefined;
+	let skipping = false;
+
 	for (let [lineno, [keyword, ...data]] of readFile(file)) {
+		keyword = keyword.toUpperCase();
+
+		// skip the definitions of protocols other than RADIUS
+		if (skipping && keyword !== 'END-PROTOCOL') {
+			continue;
+		}
+
 		try {
-			switch (keyword.toUpperCase()) {
-				case 'ATTRIBUTE':
-					addAttributeSpec(vendor, ...data);
+			switch (keyword) {
+				case 'ATTRIBUTE': {
+					// internal attributes are marked via their flags
+					if (internal) {
+						const [name, id, type, flags] = data;
+						data = [name, id, type, flags ? `${flags},internal` : 'internal', ...data.slice(4)];
+					}
+
+					let ent;
+					if (tlvs.length) {
+						ent = addChildSpec(ds, tlvs[tlvs.length - 1], ...data);
+					} else if (evs) {
+						ent = addEVSSpec(ds, evs, vendor, ...data);
+					} else {
+						ent = addAttributeSpec(ds, vendor, ...data);
+					}
+					struct = ent.isStruct ? ent : undefined;
+					break;
+				}
+
+				case 'MEMBER':
+					addMember(struct, ...data);
 					break;
 
 				case 'VALUE':
-					addAttributeValue(vendor, ...data);
+					// VALUE entries may precede their attribute
+					if (data.length && !findAttribute(ds, vendor, data[0])) {
+						ctx.pending.push({ vendor, data, file, lineno, stack: stack.slice() });
+					} else {
+						addAttributeValue(ds, vendor, ...data);
+					}
+					break;
+
+				case 'ALIAS':
+					addAlias(ds, vendor, ...data);
 					break;
 
 				case 'VENDOR':
-					addVendor(...data);
+					addVendor(ds, ...data);
 					break;
 
 				case 'BEGIN-VENDOR':
-					vendor = beginVendor(...data);
+					[vendor, evs] = beginVendor(ds, ...data);
 					break;
 
 				case 'END-VENDOR':
+					if (!vendor) {
+						throw new ParseError('END-VENDOR entry without BEGIN-VENDOR');
+					}
 					vendor = undefined;
+					evs = undefined;
+					break;
+
+				case 'BEGIN-TLV':
+					tlvs.push(beginTLV(ds, ...data));
+					break;
+
+				case 'END-TLV':
+					if (!tlvs.length) {
+						throw new ParseError('END-TLV entry without BEGIN-TLV');
+					}
+					tlvs.pop();
+					break;
+
+				case 'FLAGS':
+					if (data[0] === 'internal') {
+						internal = true;
+					} else if (data[0] === '-internal') {
+						internal = false;
+					} else {
+						throw new ParseError(`unsupported FLAGS entry "${data.join(' ')}"`);
+					}
+					break;
+
+				case 'PROTOCOL':
+					addProtocol(...data);
+					break;
+
+				case 'BEGIN-PROTOCOL':
+					if (protocol !== undefined || data[0] === undefined) {
+						throw new ParseError('invalid BEGIN-PROTOCOL entry');
+					}
+					protocol = data[0];
+					skipping = protocol.toUpperCase() !== 'RADIUS';
+					break;
+
+				case 'END-PROTOCOL':
+					if (protocol === undefined || data[0] !== protocol) {
+						throw new ParseError('END-PROTOCOL entry without matching BEGIN-PROTOCOL');
+					}
+					protocol = undefined;
+					skipping = false;
 					break;
 
 				case '$INCLUDE':
+				case '$INCLUDE-':
 					stack.push({ file, lineno });
-					include(stack, ...data);
-					stack.pop();
+					try {
+						include(ctx, data[0], keyword === '$INCLUDE-');
+					} finally {
+						stack.pop();
+					}
 					break;
+
+				default:
+					throw new ParseError(`unsupported dictionary keyword "${keyword}"`);
 			}
 		} catch (e) {
-			if (e instanceof ParseError) {
-				stack.push({ file, lineno });
-				console.error(`parser error: ${e.message}`);
-				while (stack.length) {
-					let { file, lineno} = stack.pop();
-					console.error(`    at ${file}:${lineno}`);
-				}
-				process.exit(1);
-			}
-			throw e;
+			report(ctx, e, stack, file, lineno);
+		}
+	}
+}
+
+// add the VALUE entries whose attribute was not yet defined
+function addPending(ctx)
+{
+	const { ds } = ctx;
+	for (let { vendor, data, file, lineno, stack } of ctx.pending) {
+		try {
+			addAttributeValue(ds, vendor, ...data);
+		} catch (e) {
+			report(ctx, e, stack, file, lineno);
+		}
+	}
+}
+
+// find one of the bundled dictionaries, e.g. "dictionary.rfc2865"
+// (which may also be given as just "rfc2865")
+function bundled(name)
+{
+	const dir = path.join(__dirname, 'dictionary');
+	for (let file of [name, `dictionary.${name}`]) {
+		file = path.join(dir, file);
+		if (fs.existsSync(file)) {
+			return file;
 		}
 	}
+
+	// report the error for the name as given
+	const file = path.join(dir, name);
+	fs.accessSync(file);
+	return file;
 }
 
-function load(file)
+/**
+ * Loads a dictionary file (and any files that it includes).  Relative
+ * paths that are not found are looked for amongst the bundled dictionaries,
+ * so that e.g. <tt>load('standard')</tt> loads the bundled standard set,
+ * covering the attributes defined in the common RADIUS RFCs.
+ *
+ * By default the first error found in the dictionary is thrown (although
+ * any entries before that will already have been loaded).  In lenient
+ * mode lines containing errors (including unsupported keywords) are
+ * skipped, and the errors are returned instead.
+ *
+ * @param {string} file - the dictionary file name
+ * @param {object} [options]
+ * @param {boolean} [options.lenient=false] - whether to skip lines containing errors
+ * @return {ParseError[]} - the errors found in lenient mode
+ * @throws {ParseError} if the dictionary contains an error (except in lenient mode)
+ * @name Dictionary#load
+ * @function
+ */
+function load(ds, file, { lenient = false } = {})
 {
-	const stack = [];
+	const ctx = {
+		ds,
+		stack: [],
+		warnings: lenient ? [] : undefined,
+		pending: []
+	};
 
-	// if relative path isn't found, look relative to here
+	// if relative path isn't found, look amongst the bundled
+	// dictionaries, with or without the "dictionary." prefix
 	if (!path.isAbsolute(file)) {
 		try {
 			fs.accessSync(file);
 		} catch (e) {
 			let p = path.parse(file);
 			if (p.dir === '' || p.dir === '.') {
-				file = path.join(__dirname, 'dictionary', file);
-				fs.accessSync(file);
+				file = bundled(p.base);
 			} else {
 				throw e;
 			}
 		}
 	}
 
-	load_impl(stack, file);
+	load_impl(ctx, file);
+	addPending(ctx);
+	return ctx.warnings || [];
 }
 
 /**
@@ -199,10 +587,10 @@ function load(file)
  * @param {sub_id} - the vendor-specific attribute ID
  * @return {(DictionaryEntry|undefined)} - the matching Dictionary entry
  * @throws if any of the parameters are illegal
+ * @name Dictionary#vsa
  * @function
- * @memberof Dictionary
  */
-function vsa(vendor_id, sub_id)
+function vsa(ds, vendor_id, sub_id)
 {
 	if (vendor_id === undefined) {
 		throw new TypeError('dictionary VSA vendor id unspecified');
@@ -220,12 +608,136 @@ function vsa(vendor_id, sub_id)
 		throw new TypeError('dictionary VSA attribute sub-id not an integer');
 	}
 
-	let v = vendor(vendor_id);	// ensure the Vendor is known (or created)
-	let dict = vsas.get(v.id);
-	if (!dict.has(sub_id)) {
-		addAttributeSpec(v, `${v.name}-Unknown-Attribute-${sub_id}`, sub_id, 'octets');
+	let v = vendor(ds, vendor_id);	// ensure the Vendor is known (or created)
+	let table = ds.vsas.get(v.id);
+	if (!table.has(sub_id)) {
+		ds.unknown.add(addAttributeSpec(ds, v, `${v.name}-Unknown-Attribute-${sub_id}`, sub_id, 'octets'));
+	}
+	return table.get(sub_id);
+}
+
+/**
+ * @param {number} id - the ID of an RFC 6929 "Extended Type" attribute
+ * @param {number} ext_id - the Extended-Type of the attribute
+ * @return {DictionaryEntry} - the matching Dictionary entry
+ * @throws if any of the parameters are illegal
+ * @name Dictionary#extended
+ * @function
+ */
+function extendedAttr(ds, id, ext_id)
+{
+	if (!Number.isInteger(ext_id)) {
+		throw new TypeError('dictionary Extended-Type not an integer');
+	}
+
+	if (ext_id < 1 || ext_id > 255) {
+		throw new RangeError(`dictionary Extended-Type out of range: ${ext_id}`);
+	}
+
+	const parent = get(ds, id);
+	if (!parent.isExtendedParent) {
+		throw new RangeError(`attribute ${id} is not an extended attribute`);
+	}
+
+	if (!parent.children.has(ext_id)) {
+		ds.unknown.add(addChildSpec(ds, parent, `Unknown-Attribute-${id}.${ext_id}`, ext_id, 'octets'));
+	}
+	return parent.children.get(ext_id);
+}
+
+/**
+ * @param {(DictionaryEntry|string)} parent - the TLV attribute (or its name)
+ * @param {(number|string)} id - the number (or name) of the child attribute
+ * @return {DictionaryEntry} - the matching Dictionary entry
+ * @throws if any of the parameters are illegal
+ * @name Dictionary#tlv
+ * @function
+ */
+function tlv(ds, parent, id)
+{
+	if (typeof parent === 'string') {
+		parent = get(ds, parent);
+	}
+
+	if (!(parent instanceof DictionaryEntry) || !parent.isTLV) {
+		throw new TypeError('dictionary TLV parent is not a TLV attribute');
+	}
+
+	if (typeof id === 'string') {
+		// the parent may belong to another dictionary, so fall
+		// back to searching its children by their own names
+		const name = id.toLowerCase();
+		let ent = ds.dict.get(name);
+		if (!ent || parent.children.get(ent.id) !== ent) {
+			ent = [...parent.children.values()].find(e => e.name.toLowerCase() === name);
+		}
+		if (!ent) {
+			throw new RangeError(`unrecognised attribute name: "${id}" in ${parent.name}`);
+		}
+		return ent;
+	}
+
+	if (!Number.isInteger(id)) {
+		throw new TypeError('dictionary TLV child id not an integer');
+	}
+
+	if (id < 1 || id > 255) {
+		throw new RangeError(`dictionary TLV child id out of range: ${id}`);
+	}
+
+	if (!parent.children.has(id)) {
+		ds.unknown.add(addChildSpec(ds, parent, `${parent.name}-Unknown-Attribute-${id}`, id, 'octets'));
+	}
+	return parent.children.get(id);
+}
+
+/**
+ * @param {(DictionaryEntry|string)} parent - the RFC 6929
+ *  Extended-Vendor-Specific attribute (or its name)
+ * @param {number} vendor_id - a 32-bit Enterprise ID
+ * @param {number} sub_id - the Vendor-Type of the attribute
+ * @return {DictionaryEntry} - the matching Dictionary entry
+ * @throws if any of the parameters are illegal
+ * @name Dictionary#evs
+ * @function
+ */
+function evs(ds, parent, vendor_id, sub_id)
+{
+	if (typeof parent === 'string') {
+		parent = get(ds, parent);
+	}
+
+	if (!(parent instanceof DictionaryEntry) || !parent.isEVSParent) {
+		throw new TypeError('dictionary EVS parent is not an Extended-Vendor-Specific attribute');
+	}
+
+	if (!Number.isInteger(sub_id)) {
+		throw new TypeError('dictionary EVS Vendor-Type not an integer');
+	}
+
+	if (sub_id < 0 || sub_id > 255) {
+		throw new RangeError(`dictionary EVS Vendor-Type out of range: ${sub_id}`);
+	}
+
+	const v = vendor(ds, vendor_id);	// ensure the Vendor is known (or created)
+	const table = parent.children.get(v.id);
+	if (!table || !table.has(sub_id)) {
+		const name = `Unknown-Attribute-${parent.id}.${parent.ext_id}.${v.id}.${sub_id}`;
+		ds.unknown.add(addEVSSpec(ds, parent, v, name, sub_id, 'octets'));
+	}
+	return parent.children.get(v.id).get(sub_id);
+}
+
+// RFC 6929 §2.1 - the types of the attributes in the extended space
+function defaultType(id)
+{
+	if (id >= 241 && id <= 244) {
+		return 'extended';
+	} else if (id >= 245 && id <= 246) {
+		return 'long-extended';
+	} else {
+		return 'octets';
 	}
-	return dict.get(sub_id);
 }
 
 /**
@@ -234,15 +746,16 @@ function vsa(vendor_id, sub_id)
  * @param {(string|number)} id - the name or ID of the required entry
  * @throws if the parameters are illegal
  * @return {DictionaryEntry}
- * @memberof Dictionary
+ * @name Dictionary#get
+ * @function
  */
 
-function get(id)
+function get(ds, id)
 {
 	if (typeof id === 'string') {
 		let str = id.toLowerCase();
-		if (dict.has(str)) {
-			return dict.get(str);
+		if (ds.dict.has(str)) {
+			return ds.dict.get(str);
 		} else {
 			throw new RangeError(`unrecognised attribute name: "${id}"`);
 		}
@@ -260,19 +773,22 @@ function get(id)
 		throw new RangeError(`dictionary lookup value out of range: ${id}`);
 	}
 
-	if (!dict.has(id)) {
-		addAttributeSpec(undefined, `Unknown-Attribute-${id}`, id, 'octets');
+	if (!ds.dict.has(id)) {
+		const type = defaultType(id);
+		const name = (type === 'octets') ? `Unknown-Attribute-${id}` : `Extended-Attribute-${id - 240}`;
+		ds.unknown.add(addAttributeSpec(ds, undefined, name, id, type));
 	}
-	return dict.get(id);
+	return ds.dict.get(id);
 }
 
 /**
  * @param {number} - a 32-bit Enterprise ID
  * @return {Vendor} - the matching {@link Vendor} object
  * @throws if the parameter is illegal
- * @memberof Dictionary
+ * @name Dictionary#vendor
+ * @function
  */
-function vendor(id)
+function vendor(ds, id)
 {
 	if (typeof id !== 'number') {
 		throw new TypeError('Dictionary.vendor requires a numeric ID');
@@ -283,11 +799,450 @@ function vendor(id)
 	}
 
 	// create default Vendor object if not found
-	if (!vendors.has(id)) {
-		addVendor(`Vendor${id}`, id);
+	if (!ds.vendors.has(id)) {
+		ds.unknown.add(addVendor(ds, `Vendor${id}`, id));
+	}
+
+	return ds.vendors.get(id);
+}
+
+// names may not contain whitespace or comments
+function checkName(name, what)
+{
+	if (typeof name !== 'string' || !/^[^\s#]+$/.test(name)) {
+		throw new TypeError(`invalid ${what} name: ${name}`);
+	}
+}
+
+// find a vendor given the Vendor (possibly of another dictionary), its name or ID
+function findVendor(ds, vendor)
+{
+	if (vendor === undefined) {
+		return undefined;
+	}
+
+	const key = (vendor instanceof Vendor) ? vendor.id
+		  : (typeof vendor === 'string') ? vendor.toLowerCase() : vendor;
+	if (!ds.vendors.has(key)) {
+		throw new RangeError(`unknown vendor: ${vendor}`);
+	}
+
+	return ds.vendors.get(key);
+}
+
+// convert flags given as an object (e.g. { has_tag: true, encrypt: 2 })
+// into their dictionary form (e.g. "has_tag,encrypt=2")
+function flagString(flags)
+{
+	if (flags === undefined || typeof flags === 'string') {
+		return flags;
+	}
+
+	if (flags === null || typeof flags !== 'object') {
+		throw new TypeError('attribute flags must be a string or an object');
+	}
+
+	const list = [];
+	for (let [key, value] of Object.entries(flags)) {
+		if (value === false || value === undefined) {
+			continue;
+		}
+		const bare = (value === true) || (value === 1 && key !== 'encrypt');
+		list.push(bare ? key : `${key}=${Number(value)}`);
+	}
+	return list.length ? list.join(',') : undefined;
+}
+
+/**
+ * Defines a vendor, as if by a VENDOR entry in a dictionary file.
+ *
+ * @param {string} name - the name of the vendor
+ * @param {number} id - the vendor's 32-bit Enterprise ID
+ * @param {object} [options]
+ * @param {string} [options.format] - the format of the vendor's VSAs,
+ *  e.g. "2,1" or "1,1,c" (default "1,1")
+ * @return {Vendor} - the new (or identical existing) vendor
+ * @throws {ParseError} if a different vendor already has that ID
+ * @name Dictionary#defineVendor
+ * @function
+ */
+function defineVendor(ds, name, id, { format } = {})
+{
+	checkName(name, 'vendor');
+
+	if (!Number.isInteger(id)) {
+		throw new TypeError('vendor id must be an integer');
+	}
+
+	if (format !== undefined && !/^\d+,\d+(,c)?$/.test(format)) {
+		throw new TypeError(`invalid vendor format: ${format}`);
+	}
+
+	return addVendor(ds, name, id, ...(format === undefined ? [] : [`format=${format}`]));
+}
+
+/**
+ * Defines an attribute, as if by an ATTRIBUTE entry in a dictionary file.
+ *
+ * @param {string} name - the name of the attribute
+ * @param {(number|string)} id - the attribute number (the Vendor-Type of
+ *  a vendor attribute), which for the children of extended and TLV
+ *  attributes is dotted, e.g. "241.1"
+ * @param {string} type - the dictionary type, e.g. "integer"
+ * @param {object} [options]
+ * @param {(Vendor|string|number)} [options.vendor] - for vendor
+ *  attributes, the vendor (or its name or ID)
+ * @param {(DictionaryEntry|string)} [options.evs] - for vendor attributes
+ *  carried in an RFC 6929 Extended-Vendor-Specific attribute, that
+ *  attribute (or its name)
+ * @param {(object|string)} [options.flags] - the attribute's flags, e.g.
+ *  <tt>{ has_tag: true, encrypt: 2 }</tt> or "has_tag,encrypt=2"
+ * @param {Array<{name: string, type: string}>} [options.members] - the
+ *  members of a struct attribute
+ * @param {Object<string, (number|string)>} [options.values] - the names
+ *  of the values of a numeric attribute
+ * @return {DictionaryEntry} - the new entry
+ * @throws {ParseError} if the definition is invalid
+ * @name Dictionary#defineAttribute
+ * @function
+ */
+function defineAttribute(ds, name, id, type, { vendor, evs, flags, members = [], values = {} } = {})
+{
+	checkName(name, 'attribute');
+
+	if (typeof type !== 'string') {
+		throw new TypeError(`type of attribute ${name} must be a string`);
+	}
+
+	vendor = findVendor(ds, vendor);
+	flags = flagString(flags);
+
+	let ent;
+	if (evs !== undefined) {
+		if (typeof evs === 'string') {
+			evs = get(ds, evs);
+		}
+		if (!vendor || !(evs instanceof DictionaryEntry) || !evs.isEVSParent) {
+			throw new TypeError(`${name} requires a vendor and an Extended-Vendor-Specific attribute`);
+		}
+		ent = addEVSSpec(ds, evs, vendor, name, id, type, flags);
+	} else {
+		ent = addAttributeSpec(ds, vendor, name, id, type, flags);
+	}
+
+	for (let member of members) {
+		checkName(member.name, 'member');
+		ent.addMember(member.name, member.type);
+	}
+
+	for (let [value_name, value] of Object.entries(values)) {
+		defineValue(ds, ent, value_name, value);
+	}
+
+	return ent;
+}
+
+/**
+ * Defines the name of a value of a numeric attribute, as if by a
+ * VALUE entry in a dictionary file.
+ *
+ * @param {(DictionaryEntry|string)} attr - the attribute (or its name)
+ * @param {string} name - the name of the value
+ * @param {(number|string)} value - the value
+ * @param {object} [options]
+ * @param {(Vendor|string|number)} [options.vendor] - the vendor whose
+ *  attribute of the given name is preferred
+ * @throws {ParseError} if the attribute is not numeric or the value is invalid
+ * @name Dictionary#defineValue
+ * @function
+ */
+function defineValue(ds, attr, name, value, { vendor } = {})
+{
+	checkName(name, 'value');
+
+	if (typeof attr === 'string') {
+		const ent = findAttribute(ds, findVendor(ds, vendor), attr);
+		if (!ent) {
+			throw new RangeError(`unrecognised attribute name: "${attr}"`);
+		}
+		attr = ent;
 	}
 
-	return vendors.get(id);
+	if (!(attr instanceof DictionaryEntry)) {
+		throw new TypeError('VALUE attribute must be a name or dictionary entry');
+	}
+
+	addEntryValue(attr, name, value);
+}
+
+/**
+ * Defines an alternative name for an attribute, as if by an ALIAS
+ * entry in a dictionary file.
+ *
+ * @param {string} name - the alias
+ * @param {string} target - the name or (dotted) number of the attribute
+ * @param {object} [options]
+ * @param {(Vendor|string|number)} [options.vendor] - the vendor to which
+ *  the alias (and a numeric target) belongs
+ * @throws {ParseError} if the target is unknown or the alias conflicts
+ *  with an existing attribute
+ * @name Dictionary#defineAlias
+ * @function
+ */
+function defineAlias(ds, name, target, { vendor } = {})
+{
+	checkName(name, 'alias');
+	addAlias(ds, findVendor(ds, vendor), name, String(target));
+}
+
+// the number of an entry relative to its vendor (or EVS attribute),
+// dotted for the children of extended and TLV attributes
+function entryNumber(ent)
+{
+	if (ent.isEVS) {
+		return ent.sub_id;
+	} else if (ent.parent) {
+		return `${entryNumber(ent.parent)}.${ent.parent.isTLV ? ent.id : ent.ext_id}`;
+	} else {
+		return ent.vendor ? ent.sub_id : ent.id;
+	}
+}
+
+// the definition of a single entry, in the form used by toJSON
+function describeEntry(ent)
+{
+	const def = { name: ent.name, id: entryNumber(ent), type: ent.typeName };
+
+	// the children of TLV attributes belong to the vendor
+	// (if any) of the outermost attribute
+	let root = ent;
+	while (root.parent && root.parent.isTLV) {
+		root = root.parent;
+	}
+
+	if (root.vendor) {
+		def.vendor = root.vendor.name;
+	}
+
+	if (root.isEVS) {
+		def.evs = root.parent.name;
+	}
+
+	if (Object.keys(ent.flags).length) {
+		def.flags = Object.assign({}, ent.flags);
+	}
+
+	if (ent.isStruct) {
+		def.members = ent.members.map(({ name, typeName }) => ({ name, type: typeName }));
+	}
+
+	if (ent.values && ent.valueNames.size) {
+		def.values = {};
+		for (let [key, name] of ent.valueNames) {
+			const value = ent.values.get(key);
+			def.values[name] = (typeof value === 'bigint') ? value.toString() : value;
+		}
+	}
+
+	return def;
+}
+
+// the entries of a Map, in numeric order of their keys
+function sorted(map)
+{
+	return [...map].sort(([a], [b]) => a - b);
+}
+
+/**
+ * Returns the definitions in this dictionary (excluding any attributes
+ * and vendors that were created when unknown ones were looked up) in
+ * a form suitable for conversion to JSON and for passing to
+ * {@link Dictionary.fromJSON}.
+ *
+ * @return {{vendors: object[], attributes: object[], aliases: object[]}}
+ * @name Dictionary#toJSON
+ * @function
+ */
+function toJSON(ds)
+{
+	const attributes = [];
+	const seen = new Set();
+	const used = new Set();
+
+	// add an entry and (recursively) its children
+	function walk(ent) {
+		if (!seen.has(ent) && !ds.unknown.has(ent)) {
+			seen.add(ent);
+			const def = describeEntry(ent);
+			attributes.push(def);
+			if (def.vendor) {
+				used.add(findVendor(ds, def.vendor));
+			}
+		}
+
+		for (let [, child] of sorted(ent.children || [])) {
+			if (ent.isEVSParent) {
+				sorted(child).forEach(([, e]) => walk(e));
+			} else {
+				walk(child);
+			}
+		}
+	}
+
+	// standard attributes, then VSAs, then internal attributes
+	sorted([...ds.dict].filter(([key]) => typeof key === 'number')).forEach(([, ent]) => walk(ent));
+	for (let [, table] of ds.vsas) {
+		sorted(table).forEach(([, ent]) => walk(ent));
+	}
+	for (let ent of [...ds.dict.values(), ...[...ds.vendorNames.values()].flatMap(m => [...m.values()])]) {
+		if (ent.flags.internal) {
+			walk(ent);
+		}
+	}
+
+	const vendors = [];
+	for (let [id, vendor] of ds.vendors) {
+		if (typeof id !== 'number' || (ds.unknown.has(vendor) && !used.has(vendor))) {
+			continue;
+		}
+
+		const def = { name: vendor.name, id };
+		if (vendor.typeSize !== 1 || vendor.lengthSize !== 1 || vendor.continuation) {
+			def.format = `${vendor.typeSize},${vendor.lengthSize}` + (vendor.continuation ? ',c' : '');
+		}
+		vendors.push(def);
+	}
+
+	const aliases = ds.aliases.filter(({ ent }) => seen.has(ent)).map(({ vendor, name, ent }) => {
+		return vendor ? { name, target: ent.name, vendor: vendor.name } : { name, target: ent.name };
+	});
+
+	return { vendors, attributes, aliases };
 }
 
-module.exports = { load, get, vendor, vsa, Entry: DictionaryEntry };
+/**
+ * A set of attribute and vendor definitions.  Each server, client and
+ * packet may be bound to its own Dictionary, and those that are not use
+ * the default one, {@link Dictionary.default}.
+ *
+ * The methods of the default Dictionary are also available as static
+ * methods (e.g. <tt>Dictionary.get('User-Name')</tt>).
+ */
+class Dictionary {
+
+	/**
+	 * Creates an empty Dictionary
+	 */
+	constructor() {
+		const ds = {
+			dict: new Map(),
+			vendors: new Map(),
+			vsas: new Map(),
+			vendorNames: new Map(),
+			aliases: [],
+			unknown: new WeakSet()
+		};
+
+		/* add the locally defined instance methods */
+		Object.defineProperties(this, {
+			load: { value: (file, options) => load(ds, file, options) },
+			get: { value: (id) => get(ds, id) },
+			vendor: { value: (id) => vendor(ds, id) },
+			vsa: { value: (vendor_id, sub_id) => vsa(ds, vendor_id, sub_id) },
+			extended: { value: (id, ext_id) => extendedAttr(ds, id, ext_id) },
+			evs: { value: (parent, vendor_id, sub_id) => evs(ds, parent, vendor_id, sub_id) },
+			tlv: { value: (parent, id) => tlv(ds, parent, id) },
+			defineVendor: { value: (name, id, options) => defineVendor(ds, name, id, options) },
+			defineAttribute: { value: (name, id, type, options) => defineAttribute(ds, name, id, type, options) },
+			defineValue: { value: (attr, name, value, options) => defineValue(ds, attr, name, value, options) },
+			defineAlias: { value: (name, target, options) => defineAlias(ds, name, target, options) },
+			toJSON: { value: () => toJSON(ds) }
+		});
+	}
+
+	/**
+	 * Converts the dictionary into the FreeRADIUS dictionary file format
+	 *
+	 * @return {string} - the text of a dictionary file that, when loaded,
+	 *  recreates this dictionary's definitions
+	 */
+	toText() {
+		return writer.format(this.toJSON());
+	}
+
+	/**
+	 * Creates a Dictionary from definitions previously returned by
+	 * {@link Dictionary#toJSON} (or their JSON encoding)
+	 *
+	 * @param {(object|string)} json - the definitions
+	 * @return {Dictionary} - the new Dictionary
+	 * @throws if any of the definitions is invalid
+	 */
+	static fromJSON(json) {
+		if (typeof json === 'string') {
+			json = JSON.parse(json);
+		}
+
+		const { vendors = [], attributes = [], aliases = [] } = json;
+		const dict = new Dictionary();
+
+		for (let { name, id, format } of vendors) {
+			dict.defineVendor(name, id, { format });
+		}
+
+		for (let { name, id, type, ...options } of attributes) {
+			dict.defineAttribute(name, id, type, options);
+		}
+
+		for (let { name, target, vendor } of aliases) {
+			dict.defineAlias(name, target, { vendor });
+		}
+
+		return dict;
+	}
+
+	/**
+	 * Returns the given Dictionary or, if none is given, the default one
+	 *
+	 * @param {Dictionary} [dictionary]
+	 * @return {Dictionary}
+	 * @throws if the parameter is not a Dictionary
+	 */
+	static from(dictionary) {
+		if (dictionary === undefined) {
+			return defaultDictionary;
+		}
+
+		if (!(dictionary instanceof Dictionary)) {
+			throw new TypeError('dictionary must be a Dictionary instance');
+		}
+
+		return dictionary;
+	}
+
+	/**
+	 * The process-wide default Dictionary
+	 * @type Dictionary
+	 */
+	static get default() {
+		return defaultDictionary;
+	}
+}
+
+const defaultDictionary = new Dictionary();
+
+// the default Dictionary's methods are also available statically
+for (let name of ['load', 'get', 'vendor', 'vsa', 'extended', 'evs', 'tlv',
+		'defineVendor', 'defineAttribute', 'defineValue', 'defineAlias', 'toJSON', 'toText'])
+{
+	Object.defineProperty(Dictionary, name, {
+		value: (...args) => defaultDictionary[name](...args)
+	});
+}
+
+Object.defineProperties(Dictionary, {
+	Entry: { value: DictionaryEntry },
+	ParseError: { value: ParseError }
+});
+
+module.exports = Dictionary;
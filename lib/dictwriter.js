@@ -0,0 +1,105 @@
+/*
+ * Copyright (C) Internet Systems Consortium, Inc. ("ISC")
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+/**
+ * @fileOverview RADIUS Dictionary file output
+ * @author [Ray Bellis]{@link mailto:ray@isc.org}
+ */
+
+// the flags column of an ATTRIBUTE entry ("internal" is set via FLAGS)
+function flagColumn(flags = {})
+{
+	return Object.entries(flags)
+		.filter(([key]) => key !== 'internal')
+		.map(([key, value]) => (value === 1 && key !== 'encrypt') ? key : `${key}=${value}`)
+		.join(',');
+}
+
+// the BEGIN-VENDOR block (if any) that a definition belongs in
+function blockOf({ vendor, evs })
+{
+	if (vendor === undefined) {
+		return '';
+	}
+	return (evs === undefined) ? vendor : `${vendor} format=${evs}`;
+}
+
+/**
+ * Converts dictionary definitions (as returned by
+ * {@link Dictionary#toJSON}) into the FreeRADIUS dictionary file format.
+ *
+ * @param {object} json - the dictionary definitions
+ * @return {string} the text of the dictionary file
+ */
+function format({ vendors = [], attributes = [], aliases = [] })
+{
+	const lines = [ '# -*- text -*-' ];
+
+	let block = '';
+	let internal = false;
+
+	// switch to the BEGIN-VENDOR block (if any) for a definition
+	function enter(def) {
+		const next = blockOf(def);
+		if (next === block) {
+			return;
+		}
+
+		if (block) {
+			lines.push(`END-VENDOR\t${block.split(' ')[0]}`);
+		}
+		if (next) {
+			lines.push('', `BEGIN-VENDOR\t${next}`);
+		}
+		block = next;
+	}
+
+	if (vendors.length) {
+		lines.push('');
+	}
+	for (let { name, id, format } of vendors) {
+		lines.push(`VENDOR\t\t${name}\t${id}` + (format ? `\tformat=${format}` : ''));
+	}
+
+	lines.push('');
+	for (let def of attributes) {
+		enter(def);
+
+		const flags = def.flags || {};
+		if (!!flags.internal !== internal) {
+			internal = !internal;
+			lines.push(internal ? 'FLAGS\tinternal' : 'FLAGS\t-internal');
+		}
+
+		const column = flagColumn(flags);
+		lines.push(`ATTRIBUTE\t${def.name}\t${def.id}\t${def.type}` + (column ? `\t${column}` : ''));
+
+		for (let { name, type } of def.members || []) {
+			lines.push(`MEMBER\t\t${name}\t${type}`);
+		}
+
+		for (let [name, value] of Object.entries(def.values || {})) {
+			lines.push(`VALUE\t${def.name}\t${name}\t${value}`);
+		}
+	}
+
+	if (internal) {
+		lines.push('FLAGS\t-internal');
+	}
+
+	for (let alias of aliases) {
+		enter(alias);
+		lines.push(`ALIAS\t${alias.name}\t${alias.target}`);
+	}
+	enter({});
+
+	return lines.join('\n') + '\n';
+}
+
+module.exports = { format };
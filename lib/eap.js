@@ -0,0 +1,329 @@
+/*
+ * Copyright (C) Internet Systems Consortium, Inc. ("ISC")
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+/**
+ * @fileOverview RADIUS EAP (RFC 3579) authentication
+ * @author [Ray Bellis]{@link mailto:ray@isc.org}
+ */
+
+const crypto = require('crypto');
+const CHAP = require('./chap');
+
+// attributes are referred to by number so that the handler
+// doesn't depend on the dictionary that's loaded
+const STATE = 24;
+const EAP_MESSAGE = 79;
+const MESSAGE_AUTHENTICATOR = 80;
+
+const MAX_ATTRIBUTE_LENGTH = 253;
+
+// EAP packet codes (RFC 3748 §4)
+const REQUEST = 1;
+const RESPONSE = 2;
+const SUCCESS = 3;
+const FAILURE = 4;
+
+// EAP types (RFC 3748 §5)
+const IDENTITY = 1;
+const NAK = 3;
+const MD5_CHALLENGE = 4;
+
+// the length of the EAP-MD5 challenge value
+const MD5_CHALLENGE_LENGTH = 16;
+
+/**
+ * Decodes an EAP packet.
+ *
+ * @param {Buffer} buf - the EAP packet
+ * @return {Object} the packet's <tt>code</tt>, <tt>identifier</tt>
+ *  and, for Requests and Responses, its <tt>type</tt> and type specific
+ *  <tt>data</tt>, or <tt>undefined</tt> if the packet is malformed
+ */
+function parse(buf)
+{
+	if (buf.length < 4 || buf.readUInt16BE(2) !== buf.length) {
+		return undefined;
+	}
+
+	const code = buf[0];
+	const identifier = buf[1];
+	if (code === SUCCESS || code === FAILURE) {
+		return (buf.length === 4) ? { code, identifier } : undefined;
+	}
+
+	if ((code !== REQUEST && code !== RESPONSE) || buf.length < 5) {
+		return undefined;
+	}
+
+	return { code, identifier, type: buf[4], data: buf.slice(5) };
+}
+
+/**
+ * Encodes an EAP packet.
+ *
+ * @param {number} code - the EAP code
+ * @param {number} identifier - the EAP identifier
+ * @param {number} [type] - the EAP type (for Requests and Responses)
+ * @param {Buffer} [data] - the type specific data
+ * @return {Buffer} the EAP packet
+ */
+function encode(code, identifier, type, data = Buffer.alloc(0))
+{
+	const header = Buffer.from([code, identifier, 0, 0]);
+	const buf = (type === undefined) ? header : Buffer.concat([header, Buffer.from([type]), data]);
+	buf.writeUInt16BE(buf.length, 2);
+	return buf;
+}
+
+// add an EAP packet to a response, split over as many EAP-Message
+// attributes as necessary, together with the Message-Authenticator
+// that RFC 3579 §3.3 requires
+function addMessage(res, buf)
+{
+	if (!res.has(MESSAGE_AUTHENTICATOR)) {
+		res.add(MESSAGE_AUTHENTICATOR, Buffer.alloc(16));
+	}
+
+	for (let i = 0; i < buf.length; i += MAX_ATTRIBUTE_LENGTH) {
+		res.add(EAP_MESSAGE, buf.slice(i, i + MAX_ATTRIBUTE_LENGTH));
+	}
+}
+
+/**
+ * An EAP authentication method
+ *
+ * @typedef {Object} EAPMethod
+ * @property {number} type - the EAP type of the method
+ * @property {Function} start - called as <tt>start(session, req)</tt>
+ *  when the method is selected, and returns (or resolves to) the
+ *  type specific data of the first EAP-Request
+ * @property {Function} process - called as <tt>process(session, data,
+ *  req)</tt> with the type specific data of each EAP-Response, and
+ *  returns (or resolves to) <tt>true</tt> if authentication has
+ *  succeeded, <tt>false</tt> if it has failed, or a Buffer containing
+ *  the type specific data of the next EAP-Request
+ */
+
+/**
+ * A handler for {@link RadiusServer#use} that authenticates
+ * Access-Requests containing EAP-Message attributes, using the EAP
+ * methods registered with it.
+ *
+ * The EAP conversation starts with the peer's EAP-Response/Identity,
+ * after which the first registered method (or the first that the peer
+ * will accept, if it responds with a Nak) is started.  Each EAP-Request
+ * is sent in an Access-Challenge, whose State attribute identifies the
+ * session in the server's {@link ChallengeStore}.  The session object
+ * passed to the methods holds the peer's <tt>identity</tt>, the current
+ * EAP <tt>identifier</tt> and a <tt>data</tt> object in which the
+ * current method may keep its own state.
+ *
+ * On success the response code is set to Access-Accept and an EAP
+ * Success is added, and later handlers are still invoked.  On failure
+ * (including a malformed EAP packet, an unexpected identifier or an
+ * expired session) the request is rejected immediately with an EAP
+ * Failure.  Requests without an EAP-Message are ignored.
+ */
+class EAPHandler {
+
+	/**
+	 * @param {object} [conf] - the configuration object
+	 * @param {EAPMethod[]} [conf.methods] - the initial methods, in order
+	 *  of preference
+	 */
+	constructor({ methods = [] } = {}) {
+
+		const registry = new Map();
+
+		/**
+		 * Adds an EAP method.  Methods are offered in the order in
+		 * which they are registered.
+		 *
+		 * @name EAPHandler#register
+		 * @function
+		 * @param {EAPMethod} method - the method
+		 * @return {EAPHandler} - the current handler
+		 * @throws if the method is invalid or its type is already registered
+		 */
+		const register = (method) => {
+			if (!method || typeof method.start !== 'function' || typeof method.process !== 'function') {
+				throw new TypeError('EAP method must have start and process functions');
+			}
+
+			const { type } = method;
+			if (!Number.isInteger(type) || type <= NAK || type > 255) {
+				throw new RangeError(`invalid EAP method type ${type}`);
+			}
+
+			if (registry.has(type)) {
+				throw new RangeError(`EAP method type ${type} is already registered`);
+			}
+
+			registry.set(type, method);
+			return this;
+		};
+
+		// start the first acceptable method that hasn't already been tried
+		async function begin(session, req, acceptable) {
+			const type = [...registry.keys()].find(t => acceptable.includes(t) && !session.tried.includes(t));
+			if (type === undefined) {
+				return false;
+			}
+
+			session.method = type;
+			session.tried.push(type);
+			session.data = {};
+			return registry.get(type).start(session, req);
+		}
+
+		// process an EAP-Response, returning the method's result
+		async function dispatch(session, eap, req) {
+			if (session.identity === undefined) {
+				if (eap.type !== IDENTITY) {
+					return false;
+				}
+				session.identity = eap.data.toString();
+				return begin(session, req, [...registry.keys()]);
+			}
+
+			if (eap.type === NAK) {
+				return begin(session, req, [...eap.data]);
+			}
+
+			if (eap.type === session.method) {
+				return registry.get(eap.type).process(session, eap.data, req);
+			}
+
+			return false;
+		}
+
+		/**
+		 * The authentication handler
+		 *
+		 * @name EAPHandler#auth
+		 * @function
+		 * @type {Handler}
+		 */
+		async function auth(req, res, challenges) {
+			const messages = req.getAll(EAP_MESSAGE);
+			if (!messages.length) {
+				return false;
+			}
+
+			const eap = parse(Buffer.concat(messages.map(m => m.value)));
+			if (!eap || eap.code !== RESPONSE) {
+				return fail(res, eap ? eap.identifier : 0);
+			}
+
+			// continue the existing session (if any)
+			const state = req.get(STATE);
+			let session;
+			if (state) {
+				session = challenges.get(state);
+				if (!session || eap.identifier !== session.identifier) {
+					return fail(res, eap.identifier);
+				}
+			} else {
+				session = { identity: undefined, identifier: eap.identifier, method: undefined, tried: [], data: {} };
+			}
+
+			const result = await dispatch(session, eap, req);
+			if (result === true) {
+				res.code = 'Access-Accept';
+				addMessage(res, encode(SUCCESS, eap.identifier));
+				return false;
+			}
+
+			if (!(result instanceof Buffer)) {
+				return fail(res, eap.identifier);
+			}
+
+			// send the next EAP-Request in an Access-Challenge
+			session.identifier = (eap.identifier + 1) & 0xff;
+			res.code = 'Access-Challenge';
+			addMessage(res, encode(REQUEST, session.identifier, session.method, result));
+
+			if (state) {
+				challenges.set(state, session);
+				res.add(STATE, state.value);
+			} else {
+				res.add(STATE, challenges.create(session));
+			}
+
+			return true;
+		}
+
+		function fail(res, identifier) {
+			res.code = 'Access-Reject';
+			addMessage(res, encode(FAILURE, identifier));
+			return true;
+		}
+
+		/* add the locally defined instance methods / properties */
+		Object.defineProperties(this, {
+			register: { value: register },
+			auth: { value: auth },
+
+			/**
+			 * The types of the registered methods, in order of preference
+			 *
+			 * @name EAPHandler#methods
+			 * @type number[]
+			 */
+			methods: { get: () => [...registry.keys()] }
+		});
+
+		methods.forEach(register);
+	}
+
+	/**
+	 * Creates an EAP-MD5-Challenge method (RFC 3748 §5.4).
+	 *
+	 * @param {PasswordLookup} lookup - returns the cleartext password of
+	 *  a user, given the identity from the EAP-Response/Identity
+	 * @return {EAPMethod} the method
+	 */
+	static md5(lookup) {
+		if (typeof lookup !== 'function') {
+			throw new TypeError('EAP-MD5 password lookup must be a function');
+		}
+
+		return {
+			type: MD5_CHALLENGE,
+
+			start(session) {
+				const challenge = crypto.randomBytes(MD5_CHALLENGE_LENGTH);
+				session.data.challenge = challenge;
+				return Buffer.concat([Buffer.from([challenge.length]), challenge]);
+			},
+
+			async process(session, data, req) {
+				const value = data.slice(1, 1 + data[0]);
+				if (data.length === 0 || value.length !== data[0]) {
+					return false;
+				}
+
+				const password = await lookup(session.identity, req);
+				if (password === undefined || password === null) {
+					return false;
+				}
+
+				const expected = CHAP.response(session.identifier, password, session.data.challenge);
+				return value.length === expected.length && crypto.timingSafeEqual(value, expected);
+			}
+		};
+	}
+}
+
+Object.defineProperties(EAPHandler, {
+	parse: { value: parse },
+	encode: { value: encode }
+});
+
+module.exports = EAPHandler;
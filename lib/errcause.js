@@ -0,0 +1,147 @@
+/*
+ * Copyright (C) Internet Systems Consortium, Inc. ("ISC")
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+/**
+ * @fileOverview RADIUS Error-Cause Attribute Values
+ * @author [Ray Bellis]{@link mailto:ray@isc.org}
+ */
+
+const inspect = Symbol.for('nodejs.util.inspect.custom');
+
+const causeTable = [
+	// RFC 5176 §3.5 - successful completion
+	[ 201,	'Residual-Context-Removed' ],
+	[ 202,	'Invalid-EAP-Packet' ],
+
+	// RFC 5176 §3.5 - fatal errors committed by the RADIUS server
+	[ 401,	'Unsupported-Attribute' ],
+	[ 402,	'Missing-Attribute' ],
+	[ 403,	'NAS-Identification-Mismatch' ],
+	[ 404,	'Invalid-Request' ],
+	[ 405,	'Unsupported-Service' ],
+	[ 406,	'Unsupported-Extension' ],
+	[ 407,	'Invalid-Attribute-Value' ],
+
+	// RFC 5176 §3.5 - fatal errors occurring on the NAS or RADIUS proxy
+	[ 501,	'Administratively-Prohibited' ],
+	[ 502,	'Proxy-Request-Not-Routable' ],
+	[ 503,	'Session-Context-Not-Found' ],
+	[ 504,	'Session-Context-Not-Removable' ],
+	[ 505,	'Proxy-Processing-Error' ],
+	[ 506,	'Resources-Unavailable' ],
+	[ 507,	'Request-Initiated' ],
+	[ 508,	'Multiple-Session-Selection-Unsupported' ],
+];
+
+const causeToName = new Map(causeTable);
+
+function keyName(name)
+{
+	return name.toUpperCase().replace(/-/g, '_');
+}
+
+/**
+ * Encapsulates mapping of the values of the RFC 5176 Error-Cause
+ * attribute sent in Disconnect-ACK/NAK and CoA-ACK/NAK packets.
+ */
+class ErrorCause {
+
+	// private constructor
+	constructor() {
+		throw new Error('ErrorCause constructor cannot be invoked');
+	}
+
+	/**
+	 * @name ErrorCause#cause
+	 * @type number
+	 * @desc the numeric value of the Error-Cause
+	 */
+
+	/**
+	 * @return {number} - the numeric value of the Error-Cause
+	 */
+	valueOf() {
+		return this.cause;
+	}
+
+	/**
+	 * @return {string} - the Error-Cause in string format (e.g. "Unsupported-Service")
+	 */
+	toString() {
+		return causeToName.get(this.cause);
+	}
+
+	/**
+	 * @name ErrorCause#[inspect]
+	 * @function
+	 * @return {string} the Error-Cause in string format (e.g. "Unsupported-Service")
+	 */
+	[inspect]() {
+		return "'" + this.toString() + "'";
+	}
+
+	/**
+	 * Whether this Error-Cause indicates successful completion
+	 * (i.e. is in the range 200 - 299)
+	 * @type boolean
+	 */
+	get isSuccess() {
+		return this.cause >= 200 && this.cause < 300;
+	}
+
+	static from(value) {
+		if (value instanceof this) {
+			return value;
+		}
+
+		if (typeof value === 'string') {
+			value = keyName(value);
+		}
+
+		if (this.hasOwnProperty(value) && this[value] instanceof this) {
+			return this[value];
+		} else {
+			throw new RangeError('ErrorCause lookup for unknown value');
+		}
+	}
+};
+
+/**
+ * A static object wrapping the Unsupported-Service Error-Cause
+ * @name ErrorCause.UNSUPPORTED_SERVICE
+ */
+
+/**
+ * A static object wrapping the Session-Context-Not-Found Error-Cause
+ * @name ErrorCause.SESSION_CONTEXT_NOT_FOUND
+ */
+
+for (let [cause, name] of causeTable) {
+
+	const c = Object.create(ErrorCause.prototype, {
+		cause: {
+			value: cause,
+			enumerable: true
+		}
+	});
+	Object.freeze(c);
+
+	Object.defineProperty(ErrorCause, cause, {
+		value: c,
+		enumerable: true
+	});
+
+	Object.defineProperty(ErrorCause, keyName(name), {
+		value: c
+	});
+}
+
+Object.freeze(ErrorCause.prototype);
+
+module.exports = ErrorCause;
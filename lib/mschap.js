@@ -0,0 +1,372 @@
+/*
+ * Copyright (C) Internet Systems Consortium, Inc. ("ISC")
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+/**
+ * @fileOverview RADIUS MS-CHAP (v1 and v2) authentication
+ * @author [Ray Bellis]{@link mailto:ray@isc.org}
+ */
+
+const crypto = require('crypto');
+
+const USER_NAME = 1;
+
+// Microsoft VSAs (RFC 2548) are found by number so that requests
+// can be examined without the Microsoft dictionary being loaded
+const MICROSOFT = 311;
+const MS_CHAP_RESPONSE = 1;
+const MS_CHAP_CHALLENGE = 11;
+const MS_CHAP2_RESPONSE = 25;
+
+// MS-CHAP-Response and MS-CHAP2-Response are both 50 bytes long,
+// ending with the 24 byte NT-Response
+const RESPONSE_LENGTH = 50;
+const NT_RESPONSE_OFFSET = 26;
+
+// RFC 2759 §8.7
+const AUTH_MAGIC_1 = Buffer.from('Magic server to client signing constant');
+const AUTH_MAGIC_2 = Buffer.from('Pad to make it do more than one iteration');
+
+// RFC 3079 §3.4
+const MPPE_MAGIC_1 = Buffer.from('This is the MPPE Master Key');
+const MPPE_MAGIC_2 = Buffer.from('On the client side, this is the send key; on the server side, it is the receive key.');
+const MPPE_MAGIC_3 = Buffer.from('On the client side, this is the receive key; on the server side, it is the send key.');
+const SHS_PAD_1 = Buffer.alloc(40, 0x00);
+const SHS_PAD_2 = Buffer.alloc(40, 0xf2);
+
+// MD4 (RFC 1320), which OpenSSL 3 no longer provides by default
+function md4(data)
+{
+	const n = ((data.length + 8) >> 6) + 1;
+	const buf = Buffer.alloc(n * 64);
+	data.copy(buf);
+	buf[data.length] = 0x80;
+	buf.writeUInt32LE((data.length * 8) >>> 0, buf.length - 8);
+	buf.writeUInt32LE(Math.floor(data.length / 0x20000000), buf.length - 4);
+
+	const rotl = (x, s) => (x << s) | (x >>> (32 - s));
+	const f = (x, y, z) => (x & y) | (~x & z);
+	const g = (x, y, z) => (x & y) | (x & z) | (y & z);
+	const h = (x, y, z) => x ^ y ^ z;
+
+	let [a, b, c, d] = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+
+	for (let offset = 0; offset < buf.length; offset += 64) {
+		const x = [];
+		for (let i = 0; i < 16; ++i) {
+			x.push(buf.readInt32LE(offset + i * 4));
+		}
+
+		const [aa, bb, cc, dd] = [a, b, c, d];
+
+		for (let i = 0; i < 16; i += 4) {
+			a = rotl(a + f(b, c, d) + x[i], 3);
+			d = rotl(d + f(a, b, c) + x[i + 1], 7);
+			c = rotl(c + f(d, a, b) + x[i + 2], 11);
+			b = rotl(b + f(c, d, a) + x[i + 3], 19);
+		}
+
+		for (let i = 0; i < 4; ++i) {
+			a = rotl(a + g(b, c, d) + x[i] + 0x5a827999, 3);
+			d = rotl(d + g(a, b, c) + x[i + 4] + 0x5a827999, 5);
+			c = rotl(c + g(d, a, b) + x[i + 8] + 0x5a827999, 9);
+			b = rotl(b + g(c, d, a) + x[i + 12] + 0x5a827999, 13);
+		}
+
+		for (let i of [0, 2, 1, 3]) {
+			a = rotl(a + h(b, c, d) + x[i] + 0x6ed9eba1, 3);
+			d = rotl(d + h(a, b, c) + x[i + 8] + 0x6ed9eba1, 9);
+			c = rotl(c + h(d, a, b) + x[i + 4] + 0x6ed9eba1, 11);
+			b = rotl(b + h(c, d, a) + x[i + 12] + 0x6ed9eba1, 15);
+		}
+
+		a = (a + aa) | 0;
+		b = (b + bb) | 0;
+		c = (c + cc) | 0;
+		d = (d + dd) | 0;
+	}
+
+	const digest = Buffer.alloc(16);
+	[a, b, c, d].forEach((v, i) => digest.writeInt32LE(v, i * 4));
+	return digest;
+}
+
+function sha1(...data)
+{
+	const hash = crypto.createHash('sha1');
+	data.forEach(d => hash.update(d));
+	return hash.digest();
+}
+
+// single DES encryption of one block with a 56-bit key, done as
+// triple DES with three identical keys since OpenSSL 3 no longer
+// provides single DES by default
+function desEncrypt(key, clear)
+{
+	// spread the seven key bytes over eight, leaving the parity bits clear
+	const k = Buffer.from([
+		key[0],
+		(key[0] << 7) | (key[1] >> 1),
+		(key[1] << 6) | (key[2] >> 2),
+		(key[2] << 5) | (key[3] >> 3),
+		(key[3] << 4) | (key[4] >> 4),
+		(key[4] << 3) | (key[5] >> 5),
+		(key[5] << 2) | (key[6] >> 6),
+		key[6] << 1
+	].map(b => b & 0xfe));
+
+	const cipher = crypto.createCipheriv('des-ede3-ecb', Buffer.concat([k, k, k]), null);
+	cipher.setAutoPadding(false);
+	return Buffer.concat([cipher.update(clear), cipher.final()]);
+}
+
+// RFC 2759 §8.5
+function challengeResponse(challenge, password_hash)
+{
+	const z = Buffer.concat([password_hash, Buffer.alloc(5)]);
+	return Buffer.concat([0, 7, 14].map(i => desEncrypt(z.slice(i, i + 7), challenge)));
+}
+
+// RFC 2759 §8.2
+function challengeHash(peer_challenge, auth_challenge, username)
+{
+	return sha1(peer_challenge, auth_challenge, username).slice(0, 8);
+}
+
+/**
+ * Calculates the NT password hash of a cleartext password
+ * (see <a href="https://tools.ietf.org/html/rfc2759#section-8.3">RFC 2759 §8.3</a>)
+ *
+ * @param {string} password - the cleartext password
+ * @return {Buffer} the 16 byte hash
+ */
+function ntPasswordHash(password)
+{
+	return md4(Buffer.from(password, 'utf16le'));
+}
+
+// accept either a cleartext password or its NT hash
+function passwordHash(password)
+{
+	if (typeof password === 'string') {
+		return ntPasswordHash(password);
+	}
+
+	if (!(password instanceof Buffer) || password.length !== 16) {
+		throw new TypeError('MS-CHAP password must be a string or a 16 byte NT hash');
+	}
+
+	return password;
+}
+
+// find a Microsoft VSA in a packet
+function find(req, sub_id)
+{
+	for (let attr of req.attributes) {
+		const { vendor } = attr.dict;
+		if (vendor && vendor.id === MICROSOFT && attr.dict.sub_id === sub_id) {
+			return attr;
+		}
+	}
+	return undefined;
+}
+
+// extract the MS-CHAP exchange from a request, or return
+// undefined if there isn't a well-formed one
+function parse(req)
+{
+	const challenge = find(req, MS_CHAP_CHALLENGE);
+	const response = find(req, MS_CHAP2_RESPONSE) || find(req, MS_CHAP_RESPONSE);
+	if (!challenge || !response || response.value.length !== RESPONSE_LENGTH) {
+		return undefined;
+	}
+
+	const value = response.value;
+	const result = {
+		version: (response.dict.sub_id === MS_CHAP2_RESPONSE) ? 2 : 1,
+		ident: value[0],
+		challenge: challenge.value,
+		nt_response: value.slice(NT_RESPONSE_OFFSET)
+	};
+
+	if (result.version === 1) {
+		// only the NT-Response is supported, not the LM-Response
+		return (challenge.value.length === 8 && value[1] === 1) ? result : undefined;
+	}
+
+	// the challenge hash uses the user name without any domain
+	const username = req.get(USER_NAME);
+	if (challenge.value.length !== 16 || !username) {
+		return undefined;
+	}
+
+	result.username = username.toString().replace(/^.*\\/, '');
+	result.peer_challenge = value.slice(2, 18);
+	return result;
+}
+
+// the NT-Response expected for an MS-CHAP exchange
+function ntResponse(m, password_hash)
+{
+	if (m.version === 1) {
+		return challengeResponse(m.challenge, password_hash);
+	}
+
+	const hash = challengeHash(m.peer_challenge, m.challenge, m.username);
+	return challengeResponse(hash, password_hash);
+}
+
+// RFC 2759 §8.7
+function authenticatorResponse(m, password_hash)
+{
+	const digest = sha1(md4(password_hash), m.nt_response, AUTH_MAGIC_1);
+	const hash = challengeHash(m.peer_challenge, m.challenge, m.username);
+	return 'S=' + sha1(digest, hash, AUTH_MAGIC_2).toString('hex').toUpperCase();
+}
+
+// RFC 3079 §3.4 - the server's 128-bit MPPE send and receive keys
+function mppeKeys(m, password_hash)
+{
+	const master = sha1(md4(password_hash), m.nt_response, MPPE_MAGIC_1).slice(0, 16);
+	const start = (magic) => sha1(master, SHS_PAD_1, magic, SHS_PAD_2).slice(0, 16);
+	return [start(MPPE_MAGIC_3), start(MPPE_MAGIC_2)];
+}
+
+/**
+ * Verifies the MS-CHAP-Response (RFC 2433) or MS-CHAP2-Response (RFC
+ * 2759) attribute of an Access-Request, together with its
+ * MS-CHAP-Challenge, against the user's password.
+ *
+ * @param {RadiusPacket} req - the Access-Request
+ * @param {(string|Buffer)} password - the user's cleartext password,
+ *  or its 16 byte NT hash
+ * @return {boolean} whether the request contains a valid MS-CHAP
+ *  response for the given password
+ */
+function verify(req, password)
+{
+	const m = parse(req);
+	if (!m) {
+		return false;
+	}
+
+	return crypto.timingSafeEqual(m.nt_response, ntResponse(m, passwordHash(password)));
+}
+
+/**
+ * Adds the attributes that complete a successful MS-CHAP
+ * authentication to the response.  For MS-CHAPv2 these are the
+ * MS-CHAP2-Success attribute (containing the authenticator response)
+ * and the MS-MPPE-Send-Key and MS-MPPE-Recv-Key attributes.  For
+ * MS-CHAPv1 the MPPE keys are sent in an MS-CHAP-MPPE-Keys attribute.
+ * The Microsoft dictionary must be loaded.
+ *
+ * @param {RadiusPacket} req - the (verified) Access-Request
+ * @param {RadiusPacket} res - the response
+ * @param {(string|Buffer)} password - the user's cleartext password,
+ *  or its 16 byte NT hash
+ * @throws if the request doesn't contain an MS-CHAP exchange
+ */
+function addSuccess(req, res, password)
+{
+	const m = parse(req);
+	if (!m) {
+		throw new Error('request does not contain an MS-CHAP response');
+	}
+
+	const password_hash = passwordHash(password);
+
+	if (m.version === 1) {
+		// the LM-Key is not supported, and so is left as zeroes
+		const keys = Buffer.concat([Buffer.alloc(8), md4(password_hash)]);
+		res.add('MS-CHAP-MPPE-Keys', keys);
+		return;
+	}
+
+	const success = authenticatorResponse(m, password_hash);
+	res.add('MS-CHAP2-Success', Buffer.concat([Buffer.from([m.ident]), Buffer.from(success)]));
+
+	const [send, recv] = mppeKeys(m, password_hash);
+	res.add('MS-MPPE-Send-Key', send);
+	res.add('MS-MPPE-Recv-Key', recv);
+}
+
+/**
+ * Adds an MS-CHAP-Error attribute reporting an authentication failure
+ * (error 691, without permitting a retry) to the response.  The
+ * Microsoft dictionary must be loaded.
+ *
+ * @param {RadiusPacket} req - the Access-Request
+ * @param {RadiusPacket} res - the response
+ */
+function addError(req, res)
+{
+	const m = parse(req);
+	const ident = m ? m.ident : 0;
+
+	let message = 'E=691 R=0';
+	if (!m || m.version === 2) {
+		const challenge = crypto.randomBytes(16).toString('hex').toUpperCase();
+		message += ` C=${challenge} V=3 M=Authentication failed`;
+	}
+
+	res.add('MS-CHAP-Error', Buffer.concat([Buffer.from([ident]), Buffer.from(message)]));
+}
+
+/**
+ * Looks up a user's password
+ *
+ * @callback NTPasswordLookup
+ * @param {string} username - the value of the User-Name attribute
+ * @param {RadiusPacket} req - the Access-Request
+ * @return {(string|Buffer|Promise)} the cleartext password or its NT
+ *  hash (or a Promise that resolves to either), or <tt>undefined</tt>
+ *  if the user is unknown
+ */
+
+/**
+ * Creates a handler for {@link RadiusServer#use} that authenticates
+ * Access-Requests containing an MS-CHAP-Challenge.  Valid requests have
+ * their response code set to Access-Accept and the attributes added by
+ * {@link addSuccess}, and later handlers are still invoked.  Invalid
+ * requests (including those from unknown users) are rejected
+ * immediately with an MS-CHAP-Error attribute.  Other requests are
+ * ignored.  The Microsoft dictionary must be loaded.
+ *
+ * @param {NTPasswordLookup} lookup - returns the password of a user
+ * @return {Object} the handler
+ */
+function handler(lookup)
+{
+	if (typeof lookup !== 'function') {
+		throw new TypeError('MS-CHAP password lookup must be a function');
+	}
+
+	return {
+		auth: async function(req, res) {
+			if (!find(req, MS_CHAP_CHALLENGE)) {
+				return false;
+			}
+
+			const username = req.get(USER_NAME);
+			const password = username && await lookup(username.toString(), req);
+
+			if (password !== undefined && password !== null && verify(req, password)) {
+				res.code = 'Access-Accept';
+				addSuccess(req, res, password);
+				return false;
+			}
+
+			res.code = 'Access-Reject';
+			addError(req, res);
+			return true;
+		}
+	};
+}
+
+module.exports = { ntPasswordHash, verify, addSuccess, addError, handler };
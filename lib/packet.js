@@ -15,10 +15,29 @@
 const Dictionary = require('./dictionary');
 const AttributeList = require('./attrlist');
 const Code = require('./code');
+const ErrorCause = require('./errcause');
 
 const crypto = require('crypto');
 const inspect = Symbol.for('nodejs.util.inspect.custom');
 
+// RFC 2869 §5.14 - Message-Authenticator
+const MESSAGE_AUTHENTICATOR = 80;
+const MESSAGE_AUTHENTICATOR_LENGTH = 18;
+
+// RFC 5176 §3.5 - Error-Cause
+const ERROR_CAUSE = 101;
+
+// RFC 2865 §3 - maximum packet size
+const MAX_PACKET_LENGTH = 4096;
+
+// RFC 2866 §3 / RFC 5176 §2.3 - requests whose Request Authenticator
+// is an MD5 hash over the packet contents instead of a random value
+const hashedRequests = new Set([
+	Code.ACCOUNTING_REQUEST,
+	Code.DISCONNECT_REQUEST,
+	Code.COA_REQUEST
+]);
+
 function parseCode(code)
 {
 	if (code instanceof Code) {
@@ -54,13 +73,15 @@ function parseAuthenticator(authenticator)
 	return authenticator;
 }
 
-function parseAttributes(attributes) {
+function parseAttributes(attributes, dictionary) {
 	if (attributes === undefined || attributes === null) {
-		return new AttributeList();
-	} else if (attributes instanceof AttributeList) {
+		return new AttributeList([], false, dictionary);
+	} else if (attributes instanceof AttributeList &&
+		   (dictionary === undefined || attributes.dictionary === dictionary))
+	{
 		return attributes;
 	} else if (typeof attributes[Symbol.iterator] === 'function') {
-		const result = new AttributeList();
+		const result = new AttributeList([], false, dictionary);
 		for (let attr of attributes) {
 			result.add(attr);
 		}
@@ -70,6 +91,82 @@ function parseAttributes(attributes) {
 	}
 }
 
+// find the offset of the first attribute with the given ID within
+// a wire-format packet, or -1 if it isn't present
+function findAttribute(buf, id)
+{
+	let offset = 20;
+	while (offset + 2 <= buf.length) {
+		const length = buf[offset + 1];
+		if (length < 2) {
+			break;
+		}
+		if (buf[offset] === id) {
+			return offset;
+		}
+		offset += length;
+	}
+	return -1;
+}
+
+// RFC 3579 §3.2 - calculate the HMAC-MD5 Message-Authenticator of a
+// wire-format packet, with the Message-Authenticator value (at the
+// given offset) treated as zero, and optionally substituting the
+// given authenticator for the one in the packet header
+function messageAuthenticator(buf, offset, secret, authenticator)
+{
+	const tmp = Buffer.from(buf);
+	if (authenticator) {
+		authenticator.copy(tmp, 4);
+	}
+	tmp.fill(0, offset + 2, offset + MESSAGE_AUTHENTICATOR_LENGTH);
+
+	const hmac = crypto.createHmac('md5', secret);
+	hmac.update(tmp);
+	return hmac.digest();
+}
+
+// check the Message-Authenticator (if present) of a wire-format packet
+function verifyMessageAuthenticator(buf, secret, authenticator)
+{
+	const offset = findAttribute(buf, MESSAGE_AUTHENTICATOR);
+	if (offset < 0) {
+		return true;
+	}
+
+	if (buf[offset + 1] !== MESSAGE_AUTHENTICATOR_LENGTH) {
+		return false;
+	}
+
+	const expected = messageAuthenticator(buf, offset, secret, authenticator);
+	const actual = buf.slice(offset + 2, offset + MESSAGE_AUTHENTICATOR_LENGTH);
+	return crypto.timingSafeEqual(expected, actual);
+}
+
+// determine what value the authenticator field held when the packet's
+// authenticators were calculated - for responses that's the request
+// authenticator, for hashed requests it's all zeroes, and for other
+// requests it's the value actually in the packet (i.e. undefined)
+function originalAuthenticator(code, request_authenticator)
+{
+	if (request_authenticator) {
+		return request_authenticator;
+	} else if (hashedRequests.has(code)) {
+		return Buffer.alloc(16);
+	}
+}
+
+// returns a function that tests whether an attribute is of the given
+// type and (if specified) has the given value
+function matcher(dictionary, id, value)
+{
+	const dict = dictionary.get(id);
+	if (value === undefined) {
+		return (attr) => attr.dict === dict;
+	}
+	return (attr) => attr.dict === dict && attr.equals(value, dictionary);
+}
+
 /**
  * A representation of a <a href="https://tools.ietf.org/html/rfc2865">RADIUS</a> packet.
  *
@@ -80,19 +177,27 @@ function parseAttributes(attributes) {
  * Reply packets or outbound Request packets.</p>
  *
  * <p><strong>NB:</strong> The RADIUS protocol permits multiple sub-attributes
- * to be encoded within a single Vendor-Specific Attribute (VSA).  This code
- * will ignore any additional sub-attributes beyond the first.</p>
+ * to be encoded within a single Vendor-Specific Attribute (VSA).  Each of
+ * these is decoded into a separate {@link Attribute}.</p>
  *
  */
 class RadiusPacket {
 
-	constructor(code, id, authenticator, attrs) {
+	/**
+	 * @param {(Code|string|number)} code - the packet code
+	 * @param {number} id - the packet identifier
+	 * @param {Uint8Array} authenticator - the packet authenticator
+	 * @param {(AttributeList|Iterable)} [attrs] - the packet's attributes
+	 * @param {Dictionary} [dictionary] - the dictionary used for the
+	 *  packet's attributes, if not that of <tt>attrs</tt> (or the default one)
+	 */
+	constructor(code, id, authenticator, attrs, dictionary) {
 
 		// check and parse the parameters
 		code = parseCode(code);
 		id = parseId(id);
 		authenticator = parseAuthenticator(authenticator);
-		attrs = parseAttributes(attrs);
+		attrs = parseAttributes(attrs, dictionary);
 
 		/**
 		 * @name RadiusPacket#attributes - the packet authenticator
@@ -139,6 +244,14 @@ class RadiusPacket {
 			attributes: {
 				value: attrs,
 				enumerable: true
+			},
+
+			/**
+			 * @name RadiusPacket#dictionary - the dictionary used for the packet's attributes
+			 * @type Dictionary
+			 */
+			dictionary: {
+				value: attrs.dictionary
 			}
 		});
 	}
@@ -151,11 +264,12 @@ class RadiusPacket {
      * @param {(Attribute|number|string|Dictionary.Entry)} attribute - either
      *  an existing Attribute object, or a key for creating a new one
      * @param value - for creating new Attributes, the associated value
+     * @param {number} [tag] - for creating new tagged Attributes, the tag
          * @function
      * @throws if the packet is read-only
      */
-	add(id, value) {
-		this.attributes.add(id, value);
+	add(id, value, tag) {
+		this.attributes.add(id, value, tag);
 		return this;
 	}
 
@@ -163,16 +277,12 @@ class RadiusPacket {
 	 * Check whether an attribute with the given ID exists.
 	 *
 	 * @param {(number|string)} id - the attribute ID or name
+	 * @param [value] - if given, only match attributes with this value
+	 *  (see {@link Attribute#equals})
 	 * @return {boolean}
 	 */
-	has(id) {
-		const dict = Dictionary.get(id);
-		for (let attr of this.attributes) {
-			if (attr.dict === dict) {
-				return true;
-			}
-		}
-		return false;
+	has(id, value) {
+		return this.get(id, value) !== undefined;
 	}
 
 	/**
@@ -180,12 +290,14 @@ class RadiusPacket {
 	 * with the same ID exist, only the first is returned.
 	 *
 	 * @param {(number|string)} id - the attribute ID or name
+	 * @param [value] - if given, only match attributes with this value
+	 *  (see {@link Attribute#equals})
 	 * @return {Attribute}
 	 */
-	get(id) {
-		const dict = Dictionary.get(id);
+	get(id, value) {
+		const match = matcher(this.dictionary, id, value);
 		for (let attr of this.attributes) {
-			if (attr.dict === dict) {
+			if (match(attr)) {
 				return attr;
 			}
 		}
@@ -196,13 +308,15 @@ class RadiusPacket {
 	 * Get an array of the packet's attributes that match the given ID.
 	 *
 	 * @param {(number|string)} id - the attribute ID or name
+	 * @param [value] - if given, only match attributes with this value
+	 *  (see {@link Attribute#equals})
 	 * @return {Array<Attribute>}
 	 */
-	getAll(id) {
-		const dict = Dictionary.get(id);
+	getAll(id, value) {
+		const match = matcher(this.dictionary, id, value);
 		const results = [];
 		for (let attr of this.attributes) {
-			if (attr.dict === dict) {
+			if (match(attr)) {
 				results.push(attr);
 			}
 		}
@@ -231,24 +345,34 @@ class RadiusPacket {
 		return s;
 	}
 
-	// generate a random Authenticator
+	// generate a random Authenticator (RFC 2865 §3 requires
+	// that these be unpredictable)
 	static randomAuthenticator() {
-		const r = Buffer.alloc(16);
-		for (let i = 0; i < 16; ++i) {
-			r[i] = Math.floor(256 * Math.random());
-		}
-		return r;
+		return crypto.randomBytes(16);
 	}
 
 	/**
 	 * Generates a buffer containing the packet in wire format.
+	 *
+	 * If the packet contains a Message-Authenticator attribute (or one
+	 * is requested) its value is calculated over the finished packet
+	 * as described in RFC 3579 §3.2.
+	 *
+	 * For Accounting-Request, Disconnect-Request and CoA-Request packets
+	 * the packet's own authenticator is ignored and the Request
+	 * Authenticator is calculated as described in RFC 2866 §3.
+	 *
 	 * @param {string} secret - the shared secret
 	 * @param {boolean} response - whether the packet is a response to a request, or a new request
+	 * @param {boolean} message_authenticator - whether to add a Message-Authenticator
+	 *  attribute (as the first attribute) if the packet doesn't already contain one
+	 * @param {boolean} pack_vsas - whether to pack consecutive Vendor-Specific
+	 *  Attributes for the same vendor into a single attribute
 	 * @return {Uint8Array}
 	 */
-	toWire(secret, response = true) {
+	toWire(secret, response = true, message_authenticator = false, pack_vsas = false) {
 
-		let buffer = Buffer.alloc(4096);
+		let buffer = Buffer.alloc(MAX_PACKET_LENGTH);
 		let offset = 0;
 
 		// write code and identifier
@@ -260,23 +384,49 @@ class RadiusPacket {
 		offset = buffer.writeUInt16BE(0, offset);
 
 		// copy the authenticator (which should be a copy of
-		// the request authenticator if this is a response packet)
+		// the request authenticator if this is a response packet,
+		// and is zero for requests with a hashed authenticator)
+		const hashed = !response && hashedRequests.has(this.code);
+		const authenticator = hashed ? Buffer.alloc(16) : this.authenticator;
 		const authen_offset = offset;
-		this.authenticator.copy(buffer, authen_offset);
+		authenticator.copy(buffer, authen_offset);
 		offset += 16;
 
 		// add the attributes
-		offset = this.attributes.toWire(buffer, offset, secret, this.authenticator);
+		offset = this.attributes.toWire(buffer, offset, secret, authenticator, { pack_vsas });
+
+		// truncate the buffer
+		buffer = buffer.slice(0, offset);
+
+		// insert a placeholder Message-Authenticator if required
+		let ma_offset = findAttribute(buffer, MESSAGE_AUTHENTICATOR);
+		if (message_authenticator && ma_offset < 0) {
+			const ma = Buffer.alloc(MESSAGE_AUTHENTICATOR_LENGTH);
+			ma.writeUInt8(MESSAGE_AUTHENTICATOR, 0);
+			ma.writeUInt8(MESSAGE_AUTHENTICATOR_LENGTH, 1);
+			buffer = Buffer.concat([buffer.slice(0, authen_offset + 16), ma, buffer.slice(authen_offset + 16)]);
+			ma_offset = authen_offset + 16;
+		}
 
 		// find total length and re-write it to the header
-		const length = offset;
+		const length = buffer.length;
+		if (length > MAX_PACKET_LENGTH) {
+			throw new RangeError('attributes will not fit in buffer');
+		}
 		buffer.writeUInt16BE(length, length_offset);
 
-		// truncate the buffer
-		buffer = buffer.slice(0, length);
+		// calculate the Message-Authenticator (using the request
+		// authenticator if this is a response packet)
+		if (ma_offset >= 0) {
+			if (buffer[ma_offset + 1] !== MESSAGE_AUTHENTICATOR_LENGTH) {
+				throw new RangeError('Message-Authenticator attribute has an invalid length');
+			}
+			const digest = messageAuthenticator(buffer, ma_offset, secret);
+			digest.copy(buffer, ma_offset + 2);
+		}
 
-		// write out the response authenticator
-		if (response) {
+		// write out the response (or hashed request) authenticator
+		if (response || hashed) {
 			const hash = crypto.createHash('md5');
 			hash.update(buffer);
 			hash.update(secret);
@@ -289,12 +439,20 @@ class RadiusPacket {
 	/**
 	 * Constructs a read-only {@link RadiusPacket} from a raw input buffer
 	 *
+	 * If the packet contains a Message-Authenticator attribute and the
+	 * secret is known then the Message-Authenticator is verified.
+	 *
 	 * @param {Uint8Array} buf - a buffer containing a packet in wire format
 	 * @param {string} secret - the secret shared with the sender
+	 * @param {Uint8Array} [request_authenticator] - for response packets,
+	 *  the authenticator of the original request
+	 * @param {Dictionary} [dictionary] - the dictionary used to parse
+	 *  the attributes, if not the default one
 	 * @return {RadiusPacket} - the resulting (read-only) packet
-	 * @throws if the buffer cannot be parsed
+	 * @throws if the buffer cannot be parsed or the Message-Authenticator
+	 *  is invalid
 	 */
-	static fromWire(buf, secret) {
+	static fromWire(buf, secret, request_authenticator, dictionary) {
 
 		if (buf.length < 20) {
 			throw new Error('RADIUS buffer too short');
@@ -305,10 +463,20 @@ class RadiusPacket {
 			throw new Error('RADIUS buffer length mismatch');
 		}
 
+		// ignore any trailing data beyond the RADIUS length field
+		buf = buf.slice(0, length);
+
 		const code = Code[buf[0]];
+		const original = originalAuthenticator(code, request_authenticator);
+
+		// verify the Message-Authenticator, if present
+		if (secret !== undefined && !verifyMessageAuthenticator(buf, secret, original)) {
+			throw new Error('Message-Authenticator verification failed');
+		}
+
 		const id = buf[1];
 		const authenticator = buf.slice(4, 20);
-		const attrs = AttributeList.fromWire(buf, 20, secret, authenticator);
+		const attrs = AttributeList.fromWire(buf, 20, secret, original || authenticator, dictionary);
 
 		const pkt = new RadiusPacket(code, id, authenticator, attrs);
 
@@ -320,6 +488,83 @@ class RadiusPacket {
 
 		return pkt;
 	}
+
+	/**
+	 * Verifies the authenticators of a raw input buffer, i.e. the
+	 * Response Authenticator of a response packet, the Request
+	 * Authenticator of an Accounting-Request, Disconnect-Request
+	 * or CoA-Request packet, and the Message-Authenticator attribute
+	 * (if present) of any packet.
+	 *
+	 * @param {Uint8Array} buf - a buffer containing a packet in wire format
+	 * @param {string} secret - the secret shared with the sender
+	 * @param {Uint8Array} [request_authenticator] - for response packets,
+	 *  the authenticator of the original request
+	 * @return {boolean} - whether the authenticators are valid
+	 */
+	static verifyAuthenticator(buf, secret, request_authenticator) {
+
+		if (buf.length < 20) {
+			return false;
+		}
+
+		const length = buf.readUInt16BE(2);
+		if (length < 20 || buf.length < length) {
+			return false;
+		}
+
+		buf = buf.slice(0, length);
+
+		const code = Code[buf[0]];
+		const original = originalAuthenticator(code, request_authenticator);
+
+		// check the packet header's authenticator
+		if (original) {
+			const hash = crypto.createHash('md5');
+			hash.update(buf.slice(0, 4));
+			hash.update(original);
+			hash.update(buf.slice(20));
+			hash.update(secret);
+			if (!crypto.timingSafeEqual(hash.digest(), buf.slice(4, 20))) {
+				return false;
+			}
+		}
+
+		return verifyMessageAuthenticator(buf, secret, original);
+	}
+
+	/**
+	 * Whether the packet contains a Message-Authenticator attribute
+	 * @type boolean
+	 */
+	get hasMessageAuthenticator() {
+		for (let attr of this.attributes) {
+			if (attr.dict.id === MESSAGE_AUTHENTICATOR && !attr.dict.vendor) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	/**
+	 * The value of the packet's Error-Cause attribute (if any), as
+	 * an {@link ErrorCause} if the value is known, or otherwise as
+	 * a number.
+	 * @type {(ErrorCause|number|undefined)}
+	 */
+	get errorCause() {
+		for (let attr of this.attributes) {
+			if (attr.dict.id === ERROR_CAUSE && !attr.dict.vendor) {
+				const buf = attr.avalue.toBuffer();
+				if (buf.length !== 4) {
+					return undefined;
+				}
+				const cause = buf.readUInt32BE(0);
+				return ErrorCause[cause] || cause;
+			}
+		}
+		return undefined;
+	}
 };
 
 module.exports = RadiusPacket;
@@ -0,0 +1,89 @@
+/*
+ * Copyright (C) Internet Systems Consortium, Inc. ("ISC")
+ *
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ *
+ */
+
+/**
+ * @fileOverview RADIUS Dictionary parse errors
+ * @author [Ray Bellis]{@link mailto:ray@isc.org}
+ */
+
+/**
+ * An error found while loading a dictionary file.  Once the error
+ * has been located the message includes the file name and line number
+ * and the location is also available in structured form.
+ */
+class ParseError extends Error {
+
+	/**
+	 * @param {string} reason - a description of the error
+	 * @param {object} [options] - passed to the Error constructor
+	 *  (e.g. the <tt>cause</tt> of the error)
+	 */
+	constructor(reason, options) {
+		super(reason, options);
+
+		/**
+		 * A description of the error (without its location)
+		 * @name ParseError#reason
+		 * @type string
+		 */
+		this.reason = reason;
+	}
+
+	get name() {
+		return 'ParseError';
+	}
+
+	/**
+	 * Whether the location of the error has been recorded
+	 * @type boolean
+	 */
+	get isLocated() {
+		return this.trace !== undefined;
+	}
+
+	/**
+	 * Records where the error occurred.
+	 *
+	 * @param {Array<{file: string, line: number}>} trace - the line
+	 *  containing the error followed by the <tt>$INCLUDE</tt> lines
+	 *  that led to that file (i.e. innermost first)
+	 * @return {ParseError} this error
+	 */
+	locate(trace) {
+		const [{ file, line }] = trace;
+
+		/**
+		 * The dictionary file containing the error
+		 * @name ParseError#file
+		 * @type string
+		 */
+		this.file = file;
+
+		/**
+		 * The line number of the error
+		 * @name ParseError#line
+		 * @type number
+		 */
+		this.line = line;
+
+		/**
+		 * The location of the error and of the <tt>$INCLUDE</tt>
+		 * lines that led to it, innermost first
+		 * @name ParseError#trace
+		 * @type Array<{file: string, line: number}>
+		 */
+		this.trace = trace.map(({ file, line }) => Object.freeze({ file, line }));
+		Object.freeze(this.trace);
+
+		this.message = this.reason + trace.map(({ file, line }) => `\n    at ${file}:${line}`).join('');
+		return this;
+	}
+}
+
+module.exports = ParseError;
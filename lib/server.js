@@ -16,10 +16,25 @@ const dgram = require('dgram');
 const RadiusPacket = require('./packet');
 const Dictionary = require('./dictionary');
 const Code = require('./code');
+const ErrorCause = require('./errcause');
+const ChallengeStore = require('./challenge');
+
+// RFC 5176 §3.5 - Error-Cause
+const ERROR_CAUSE = 101;
+
+// RFC 3579 §3.3 - EAP-Message
+const EAP_MESSAGE = 79;
+
+// the types of listener supported, and their default ports
+const listenerTypes = new Map([
+	[ 'auth', 1812 ],
+	[ 'acct', 1813 ],
+	[ 'coa', 3799 ]
+]);
 
 // generate default response packets (may be
 // modified later by handlers)
-function defaultResponse(type, req)
+function defaultResponse(type, req, message_authenticator)
 {
 	let res_code;
 
@@ -33,6 +48,12 @@ function defaultResponse(type, req)
 		if (req.code === Code.ACCOUNTING_REQUEST) {
 			res_code = Code.ACCOUNTING_RESPONSE;
 		}
+	} else if (type === 'coa') {
+		if (req.code === Code.DISCONNECT_REQUEST) {
+			res_code = Code.DISCONNECT_NAK;
+		} else if (req.code === Code.COA_REQUEST) {
+			res_code = Code.COA_NAK;
+		}
 	}
 
 	// can't generate appropriate response
@@ -41,7 +62,14 @@ function defaultResponse(type, req)
 	}
 
 	// build default return packet (using request authenticator)
-	const res = new RadiusPacket(res_code, req.identifier, req.authenticator);
+	const res = new RadiusPacket(res_code, req.identifier, req.authenticator, undefined, req.dictionary);
+
+	// CVE-2024-3596 - put the Message-Authenticator first, so that it
+	// can't be influenced by attacker-controlled content preceding it
+	// (the value is calculated when the packet is encoded)
+	if (message_authenticator) {
+		res.add(80, Buffer.alloc(16));
+	}
 
 	// RFC 2865 §2 - copy Proxy-State attributes from request to response
 	const attrs = req.getAll('Proxy-State');
@@ -52,20 +80,60 @@ function defaultResponse(type, req)
 	return res;
 }
 
-async function invokeHandlers(req, res, type, handlers)
+// determine which handler function is used for the given request,
+// since the Dynamic Authorization listener has one for each request type
+function handlerSlot(type, req)
 {
-	for (let handler of handlers) {
-		if (handler[type]) {
-			if (await handler[type](req, res)) {
+	if (type === 'coa') {
+		return (req.code === Code.COA_REQUEST) ? 'coa' : 'disconnect';
+	} else {
+		return type;
+	}
+}
+
+async function invokeHandlers(req, res, slot, state)
+{
+	for (let handler of state.handlers) {
+		if (handler[slot]) {
+			if (await handler[slot](req, res, state.challenges)) {
 				break;
 			}
 		}
 	}
 }
 
-async function getResponse(type, req, handlers)
+// RFC 5176 §3.5 - a NAK that doesn't otherwise explain itself is
+// sent with Error-Cause 'Unsupported-Service'
+function addErrorCause(res)
+{
+	if (res.code !== Code.DISCONNECT_NAK && res.code !== Code.COA_NAK) {
+		return;
+	}
+
+	if (res.errorCause === undefined) {
+		const buf = Buffer.alloc(4);
+		buf.writeUInt32BE(ErrorCause.UNSUPPORTED_SERVICE.valueOf(), 0);
+		res.add(ERROR_CAUSE, buf);
+	}
+}
+
+// a final response to an Access-Request ends any
+// multi-round authentication session
+function endChallenge(req, res, challenges)
 {
-	const res = defaultResponse(type, req)
+	if (res.code === Code.ACCESS_CHALLENGE) {
+		return;
+	}
+
+	const state = req.get('State');
+	if (state) {
+		challenges.delete(state);
+	}
+}
+
+async function getResponse(type, req, state, message_authenticator)
+{
+	const res = defaultResponse(type, req, message_authenticator);
 	if (!res) {
 		// incorrect packet type - dump it on the floor
 		console.log(`unexpected packet code ${req.code} received`);
@@ -75,7 +143,13 @@ async function getResponse(type, req, handlers)
 	try {
 		// pass to handlers, unless it's a Status-Server packet
 		if (req.code !== Code.STATUS_SERVER) {
-			await invokeHandlers(req, res, type, handlers);
+			await invokeHandlers(req, res, handlerSlot(type, req), state);
+		}
+
+		if (type === 'auth') {
+			endChallenge(req, res, state.challenges);
+		} else if (type === 'coa') {
+			addErrorCause(res);
 		}
 		return res;
 	} catch (e) {
@@ -92,6 +166,10 @@ function startServer(type, port, state)
 		socket.close();
 	});
 
+	socket.on('close', () => {
+		state.sockets.delete(socket);
+	});
+
 	socket.on('listening', () => {
 		const a = socket.address();
 		console.log(`listening for ${type} on ${a.address}:${a.port}`);
@@ -105,15 +183,42 @@ function startServer(type, port, state)
 				return;
 			}
 
-			const secret = state.clients.get(client);
+			const conf = state.clients.get(client);
+			const secret = conf.secret;
+
+			// check the Request Authenticator (for those packet types
+			// that have one) and any Message-Authenticator
+			if (!RadiusPacket.verifyAuthenticator(msg, secret)) {
+				state.stats[type].bad_authenticators++;
+				console.error(`${type} packet from ${client} with invalid authenticator ignored`);
+				return;
+			}
 
-			const req = RadiusPacket.fromWire(msg, secret);
+			const req = RadiusPacket.fromWire(msg, secret, undefined, state.dictionary);
 			if (state.debug) {
 				console.log(`-- ${type} request --`);
 				console.log(req);
 			}
 
-			let res = await getResponse(type, req, state.handlers);
+			// enforce the client's Message-Authenticator policy
+			const has_ma = req.hasMessageAuthenticator;
+			if (type === 'auth') {
+				if (has_ma) {
+					conf.seen_message_authenticator = true;
+				} else if (conf.require_message_authenticator) {
+					console.error(`${type} packet from ${client} without Message-Authenticator ignored`);
+					return;
+				} else if (req.has(EAP_MESSAGE)) {
+					console.error(`${type} packet from ${client} with EAP-Message but no Message-Authenticator ignored`);
+					return;
+				} else if (conf.limit_proxy_state && conf.seen_message_authenticator && req.has('Proxy-State')) {
+					console.error(`${type} packet from ${client} with Proxy-State but no Message-Authenticator ignored`);
+					return;
+				}
+			}
+
+			const message_authenticator = has_ma || (type === 'auth' && conf.require_message_authenticator);
+			let res = await getResponse(type, req, state, message_authenticator);
 			if (res) {
 				if (state.debug) {
 					console.log(`-- ${type} response --`);
@@ -129,6 +234,7 @@ function startServer(type, port, state)
 	});
 
 	socket.bind(port);
+	state.sockets.add(socket);
 }
 
 /**
@@ -137,6 +243,8 @@ function startServer(type, port, state)
  * @async
  * @param {RadiusPacket} req - a received RADIUS Request packet
  * @param {RadiusPacket} res - a RADIUS Reply packet to be filled out
+ * @param {ChallengeStore} challenges - the server's store of multi-round
+ *  authentication sessions, keyed by State attribute
  * @return {boolean} - true to send the response without fall-through
  */
 
@@ -147,27 +255,60 @@ function startServer(type, port, state)
 class RadiusServer {
 
 	/**
+	 * Any of the listeners may be disabled by passing <tt>null</tt>
+	 * as its port number.
+	 *
 	 * @param {object} [conf] - the configuration object
-	 * @param {number} [conf.auth=1812] the UDP port on which to listen for authentication requests
-	 * @param {number} [conf.acct=1813] the UDP port on which to listen for accounting requests
+	 * @param {?number} [conf.auth=1812] the UDP port on which to listen for authentication requests
+	 * @param {?number} [conf.acct=1813] the UDP port on which to listen for accounting requests
+	 * @param {?number} [conf.coa=3799] the UDP port on which to listen for
+	 *  dynamic authorization (i.e. Disconnect and CoA) requests.  This listener
+	 *  is started by default, so pass <tt>null</tt> if the server should not
+	 *  bind port 3799.
+	 * @param {object} [conf.challenge] - the configuration of the server's
+	 *  {@link ChallengeStore} (i.e. <tt>timeout</tt> and <tt>limit</tt>)
+	 * @param {Dictionary} [conf.dictionary] - the dictionary used by this
+	 *  server, if not the default one
+	 * @param {boolean} [conf.debug=true] - whether to log every request and response
 	 */
-	constructor({ auth = 1812, acct = 1813 } = {}) {
+	constructor(conf = {}) {
 
-		// type checking
-		if (!Number.isInteger(auth) || !Number.isInteger(acct)) {
-			throw new TypeError('RadiusPacket ports must be integer values');
-		}
+		const ports = new Map();
+		for (let [type, port] of listenerTypes) {
+			if (conf[type] !== undefined) {
+				port = conf[type];
+			}
+
+			if (port === null) {
+				continue;
+			}
+
+			// type checking
+			if (!Number.isInteger(port)) {
+				throw new TypeError('RadiusPacket ports must be integer values');
+			}
+
+			// range checking
+			if (port < 1 || port > 65535) {
+				throw new RangeError('RadiusPacket ports must be between 1 and 65535');
+			}
 
-		// range checking
-		if (auth < 1 || acct < 1 || auth > 65535 || acct > 65535) {
-			throw new RangeError('RadiusPacket ports must be between 1 and 65535');
+			ports.set(type, port);
 		}
 
 		// internal state for passing around
 		const state = {
 			clients: new Map(),
 			handlers: [],
-			debug: true
+			sockets: new Set(),
+			challenges: new ChallengeStore(conf.challenge),
+			dictionary: Dictionary.from(conf.dictionary),
+			stats: {
+				auth: { bad_authenticators: 0 },
+				acct: { bad_authenticators: 0 },
+				coa: { bad_authenticators: 0 }
+			},
+			debug: conf.debug !== false
 		};
 
 		/**
@@ -175,9 +316,17 @@ class RadiusServer {
 		 *
 		 * @param {string} client - the IP address of a valid client
 		 * @param {string} secret - the shared secret for this client
+		 * @param {object} [options] - per-client policy settings
+		 * @param {boolean} [options.require_message_authenticator=false] - whether
+		 *  authentication requests from this client that lack a Message-Authenticator
+		 *  attribute are silently discarded
+		 * @param {boolean} [options.limit_proxy_state=false] - whether authentication
+		 *  requests from this client that contain Proxy-State but lack a
+		 *  Message-Authenticator are silently discarded once the client has been
+		 *  seen to send a Message-Authenticator
 		 * @return {RadiusServer} - the current server object
 		 */
-		this.addClient = function(client, secret) {
+		this.addClient = function(client, secret, { require_message_authenticator = false, limit_proxy_state = false } = {}) {
 
 			// type checking
 			if (typeof client !== 'string') {
@@ -188,7 +337,18 @@ class RadiusServer {
 				throw new TypeError('secret parameter must be a string');
 			}
 
-			state.clients.set(client, secret);
+			if (typeof require_message_authenticator !== 'boolean') {
+				throw new TypeError('require_message_authenticator must be a boolean');
+			}
+
+			if (typeof limit_proxy_state !== 'boolean') {
+				throw new TypeError('limit_proxy_state must be a boolean');
+			}
+
+			state.clients.set(client, {
+				secret, require_message_authenticator, limit_proxy_state,
+				seen_message_authenticator: false
+			});
 			return this;
 		}
 
@@ -196,21 +356,21 @@ class RadiusServer {
 		 * @param {Object} handler - an object containing functions to be added to the request processing chain
 		 * @param {Handler} [handler.auth] - the authentication handler
 		 * @param {Handler} [handler.acct] - the accounting handler
+		 * @param {Handler} [handler.coa] - the CoA-Request handler
+		 * @param {Handler} [handler.disconnect] - the Disconnect-Request handler
 		 * @return {RadiusServer} - the current server object
 		 */
 		this.use = function(handler) {
 
 			// type checking
 			if (typeof handler !== 'function' && typeof handler !== 'object') {
-				return new TypeError('handler must be a function or object');
+				throw new TypeError('handler must be a function or object');
 			}
 
-			if (('auth' in handler) && typeof handler.auth !== 'function') {
-				return new TypeError('handler.auth must be a function or undefined');
-			}
-
-			if (('acct' in handler) && typeof handler.acct !== 'function') {
-				return new TypeError('handler.acct must be a function or undefined');
+			for (let slot of ['auth', 'acct', 'coa', 'disconnect']) {
+				if ((slot in handler) && typeof handler[slot] !== 'function') {
+					throw new TypeError(`handler.${slot} must be a function or undefined`);
+				}
 			}
 
 			// remember the list
@@ -224,21 +384,59 @@ class RadiusServer {
 		 * @return {RadiusServer} - the current server object
 		 */
 		this.start = function() {
-			startServer('auth', auth, state);
-			startServer('acct', acct, state);
+			for (let [type, port] of ports) {
+				startServer(type, port, state);
+			}
 			return this;
 		}
 
 		/**
-		 * Loads a RADIUS dictionary file into the server.
+		 * Closes the UDP sockets of the server, which stops processing.
+		 *
+		 * @return {RadiusServer} - the current server object
+		 */
+		this.stop = function() {
+			for (let socket of state.sockets) {
+				socket.close();
+			}
+			return this;
+		}
+
+		/**
+		 * Returns a snapshot of the server's packet counters, keyed by
+		 * listener type (i.e. "auth", "acct" or "coa").  Each entry contains:
+		 *
+		 * - <tt>bad_authenticators</tt> - the number of packets dropped
+		 *   because their Request Authenticator or Message-Authenticator
+		 *   was invalid
+		 *
+		 * @return {object} - the current counters
+		 */
+		this.getStatistics = function() {
+			const result = {};
+			for (let [type, stats] of Object.entries(state.stats)) {
+				result[type] = Object.assign({}, stats);
+			}
+			return result;
+		}
+
+		/**
+		 * Loads a RADIUS dictionary file into the server's dictionary.
 		 *
 		 * @param {string} file - the file to load.  If a relative path is supplied but
 		 * the file can't be found the server will look in lib/dictionary/ for the requested
-		 * file.
+		 * file, with or without its "dictionary." prefix (e.g. "standard" for the bundled
+		 * set of standard dictionaries).
+		 * @param {object} [options]
+		 * @param {boolean} [options.lenient=false] - whether to skip (and log)
+		 *  lines of the dictionary that contain errors instead of throwing
 		 * @return {RadiusServer} - the current server object
+		 * @throws {ParseError} if the dictionary contains an error (except in lenient mode)
 		 */
-		this.loadDictionary = function(file) {
-			Dictionary.load(file);
+		this.loadDictionary = function(file, options) {
+			for (let warning of state.dictionary.load(file, options)) {
+				console.error(`dictionary warning: ${warning.message}`);
+			}
 			return this;
 		}
 	}
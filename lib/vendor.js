@@ -68,12 +68,25 @@ class Vendor {
 		 */
 		this.lengthSize = 1;
 
+		/**
+		 * @name Vendor#continuation
+		 * @type boolean
+		 * @desc whether the Vendor's VSAs have a WiMAX style continuation
+		 *  field, allowing values to be continued in subsequent VSAs
+		 */
+		this.continuation = false;
+
 		// parse format string
 		for (let field of extra) {
 			let r = field.match(/^format=(\d+),(\d+)(,(.*?))?$/);
 			if (r) {
 				this.typeSize = Number(r[1]);
 				this.lengthSize = Number(r[2]);
+				if (r[4] === 'c') {
+					this.continuation = true;
+				} else if (r[4] !== undefined) {
+					throw new Error('illegal VSA format option specified');
+				}
 			}
 		}
 
@@ -86,6 +99,10 @@ class Vendor {
 			throw new Error('illegal VSA type length specified');
 		}
 
+		if (this.continuation && (this.typeSize !== 1 || this.lengthSize !== 1)) {
+			throw new Error('VSA continuation requires format=1,1');
+		}
+
 		Object.freeze(this);
 	}
 };
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+
+const RADIUS = require('.');
+
+RADIUS.Dictionary.load('dictionary.rfc2865');
+RADIUS.Dictionary.load('dictionary.rfc2866');
+
+let client = new RADIUS.Client({host: '127.0.0.1', secret: 'secret'});
+
+client.disconnect({ 'Acct-Session-Id': '0123456789' }).then(function(p) {
+	console.log('-- disconnect succeeded --');
+	console.log(p);
+}).catch(function(e) {
+	if (e instanceof RADIUS.Packet) {
+		console.log(`-- disconnect failed: ${e.errorCause} --`);
+		console.log(e);
+	} else {
+		console.error(e);
+	}
+});
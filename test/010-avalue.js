@@ -118,6 +118,89 @@ describe('AV.String', () => {
 	});
 });
 
+describe('AV.Signed', () => {
+
+	const type = AV.Signed;
+
+	describe('.fromBuffer(buf)', () => {
+		it('should decode two\'s complement values', () => {
+			assert.equal(type.fromBuffer(Buffer.from([0xff, 0xff, 0xff, 0xfe])).value, -2);
+			assert.equal(type.fromBuffer(Buffer.from([0x80, 0, 0, 0])).value, -0x80000000);
+			assert.equal(type.fromBuffer(Buffer.from([0x7f, 0xff, 0xff, 0xff])).value, 0x7fffffff);
+		});
+
+		it('should throw if the buffer length is out of range', () => {
+			assert.throws(() => type.fromBuffer(Buffer.alloc(3)), RangeError);
+			assert.throws(() => type.fromBuffer(Buffer.alloc(5)), RangeError);
+		});
+	});
+
+	describe('.fromValue(value)', () => {
+		it('should throw if the parameter is not a 32 bit signed number', () => {
+			assert.throws(() => type.fromValue(null), TypeError);
+			assert.throws(() => type.fromValue(4.2), RangeError);
+			assert.throws(() => type.fromValue(-0x80000001), RangeError);
+			assert.throws(() => type.fromValue(0x80000000), RangeError);
+		});
+	});
+
+	describe('#toBuffer()', () => {
+		it('should encode negative values', () => {
+			assert.deepEqual(type.fromValue(-2).toBuffer(), Buffer.from([0xff, 0xff, 0xff, 0xfe]));
+			assert.equal(type.fromValue(-2)[inspect](), '-2');
+		});
+	});
+
+	describe('.parse(str)', () => {
+		it('should parse negative integers', () => {
+			assert.equal(type.parse('-10'), -10);
+			assert.throws(() => type.parse('x'), TypeError);
+		});
+	});
+});
+
+describe('AV.Integer64', () => {
+
+	const type = AV.Integer64;
+	const buf = Buffer.from([0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xfe]);
+
+	describe('.fromBuffer(buf)', () => {
+		it('should decode a 64 bit value as a BigInt', () => {
+			assert.equal(type.fromBuffer(buf).value, 0xfffffffffffffffen);
+			assert.equal(type.fromBuffer(buf)[inspect](), '18446744073709551614');
+		});
+
+		it('should throw if the buffer length is out of range', () => {
+			assert.throws(() => type.fromBuffer(Buffer.alloc(4)), RangeError);
+			assert.throws(() => type.fromBuffer(Buffer.alloc(9)), RangeError);
+		});
+	});
+
+	describe('.fromValue(value)', () => {
+		it('should accept BigInt and safe integer values', () => {
+			assert.deepEqual(type.fromValue(0xfffffffffffffffen).toBuffer(), buf);
+			assert.equal(type.fromValue(42).value, 42n);
+		});
+
+		it('should throw if the parameter is not a 64 bit unsigned number', () => {
+			assert.throws(() => type.fromValue(null), TypeError);
+			assert.throws(() => type.fromValue('1'), TypeError);
+			assert.throws(() => type.fromValue(4.2), RangeError);
+			assert.throws(() => type.fromValue(Math.pow(2, 60)), RangeError);
+			assert.throws(() => type.fromValue(-1n), RangeError);
+			assert.throws(() => type.fromValue(1n << 64n), RangeError);
+		});
+	});
+
+	describe('.parse(str)', () => {
+		it('should parse integers beyond the safe integer range', () => {
+			assert.equal(type.parse('18446744073709551615'), 0xffffffffffffffffn);
+			assert.equal(type.parse('0x10'), 16n);
+			assert.throws(() => type.parse('1.5'), TypeError);
+		});
+	});
+});
+
 //
 // Generic numeric attributes of various lengths
 //
@@ -362,3 +445,284 @@ describe('AV.Inet4', () => {
 		});
 	});
 });
+
+describe('AV.Inet6', () => {
+
+	const type = AV.Inet6;
+	const buf = Buffer.from('20010db8000000000000000000000001', 'hex');
+
+	describe('.fromBuffer(buf)', () => {
+		it('should throw if the buffer length is out of range', () => {
+			assert.throws(() => type.fromBuffer(Buffer.alloc(15)), RangeError);
+			assert.throws(() => type.fromBuffer(Buffer.alloc(17)), RangeError);
+		});
+	});
+
+	describe('.fromValue(str)', () => {
+		it('should accept an IPv6 address string literal', () => {
+			assert.deepEqual(type.fromValue('2001:db8::1').toBuffer(), buf);
+			assert.deepEqual(type.fromValue('2001:DB8:0:0:0:0:0:1').toBuffer(), buf);
+			assert.deepEqual(type.fromValue('::ffff:192.0.2.1').toBuffer(),
+				Buffer.from('00000000000000000000ffffc0000201', 'hex'));
+		});
+
+		it('should throw if the parameter is an invalid string', () => {
+			assert.throws(() => type.fromValue(''), TypeError);
+			assert.throws(() => type.fromValue('10.1.2.4'), TypeError);
+			assert.throws(() => type.fromValue('2001:db8::1::1'), TypeError);
+			assert.throws(() => type.fromValue('2001:db8::g'), TypeError);
+			assert.throws(() => type.fromValue('fe80::1%eth0'), TypeError);
+			assert.throws(() => type.fromValue(1), TypeError);
+		});
+	});
+
+	describe('#toString()', () => {
+		it('should convert a value to canonical IPv6 format', () => {
+			assert.equal(type.fromBuffer(buf).toString(), '2001:db8::1');
+			assert.equal(type.fromValue('0:0:0:0:0:0:0:0').toString(), '::');
+			assert.equal(type.fromValue('2001:db8:0:0:1:0:0:1').toString(), '2001:db8::1:0:0:1');
+			assert.equal(type.fromValue('2001:db8:0:1:1:1:1:1').toString(), '2001:db8:0:1:1:1:1:1');
+			assert.equal(type.fromBuffer(buf)[inspect](), '2001:db8::1');
+		});
+	});
+});
+
+describe('AV.Inet6Prefix', () => {
+
+	const type = AV.Inet6Prefix;
+	const buf = Buffer.from([0, 48, 0x20, 0x01, 0x0d, 0xb8, 0, 0]);
+
+	describe('.fromBuffer(buf)', () => {
+		it('should accept a truncated or full length prefix', () => {
+			assert.equal(type.fromBuffer(buf).toString(), '2001:db8::/48');
+			assert.equal(type.fromBuffer(Buffer.concat([buf, Buffer.alloc(10)])).toString(), '2001:db8::/48');
+			assert.equal(type.fromBuffer(Buffer.from([0, 0])).toString(), '::/0');
+		});
+
+		it('should throw if the reserved field is not zero', () => {
+			assert.throws(() => type.fromBuffer(Buffer.from([1, 0])), RangeError);
+		});
+
+		it('should throw if the prefix length is invalid', () => {
+			assert.throws(() => type.fromBuffer(Buffer.from([0, 129])), RangeError);
+			assert.throws(() => type.fromBuffer(Buffer.from([0, 48, 0x20, 0x01])), RangeError);
+			assert.throws(() => type.fromBuffer(Buffer.alloc(19)), RangeError);
+		});
+
+		it('should throw if bits are set beyond the prefix length', () => {
+			assert.throws(() => type.fromBuffer(Buffer.from([0, 12, 0x20, 0x01])), RangeError);
+		});
+	});
+
+	describe('.fromValue(str)', () => {
+		it('should accept an IPv6 prefix string literal', () => {
+			const attr = type.fromValue('2001:db8::/48');
+			assert.deepEqual(attr.toBuffer(), buf);
+			assert.equal(attr.prefixLength, 48);
+			assert.equal(type.fromValue('2001:db8::1/128').toString(), '2001:db8::1/128');
+		});
+
+		it('should throw if the parameter is an invalid string', () => {
+			assert.throws(() => type.fromValue('2001:db8::'), TypeError);
+			assert.throws(() => type.fromValue('2001:db8::/129'), RangeError);
+			assert.throws(() => type.fromValue('2001:db8::1/64'), RangeError);
+		});
+	});
+});
+
+describe('AV.Inet4Prefix', () => {
+
+	const type = AV.Inet4Prefix;
+	const buf = Buffer.from([0, 8, 10, 0, 0, 0]);
+
+	describe('.fromBuffer(buf)', () => {
+		it('should throw if the buffer is invalid', () => {
+			assert.throws(() => type.fromBuffer(Buffer.from([0, 8, 10, 0, 0])), RangeError);
+			assert.throws(() => type.fromBuffer(Buffer.from([1, 8, 10, 0, 0, 0])), RangeError);
+			assert.throws(() => type.fromBuffer(Buffer.from([0, 33, 10, 0, 0, 0])), RangeError);
+			assert.throws(() => type.fromBuffer(Buffer.from([0, 8, 10, 0, 0, 1])), RangeError);
+		});
+	});
+
+	describe('.fromValue(str)', () => {
+		it('should accept an IPv4 prefix string literal', () => {
+			const attr = type.fromValue('10.0.0.0/8');
+			assert.deepEqual(attr.toBuffer(), buf);
+			assert.equal(attr.prefixLength, 8);
+			assert.equal(attr.toString(), '10.0.0.0/8');
+		});
+
+		it('should throw if the parameter is an invalid string', () => {
+			assert.throws(() => type.fromValue('10.0.0.0'), TypeError);
+			assert.throws(() => type.fromValue('10.0.0.0/33'), RangeError);
+			assert.throws(() => type.fromValue('10.0.0.1/8'), RangeError);
+		});
+	});
+});
+
+describe('AV.IfId', () => {
+
+	const type = AV.IfId;
+	const buf = Buffer.from([0, 0, 0, 0, 0, 0, 0, 1]);
+
+	describe('.fromValue(str)', () => {
+		it('should accept an interface identifier string literal', () => {
+			assert.deepEqual(type.fromValue('0:0:0:1').toBuffer(), buf);
+			assert.deepEqual(type.fromValue('0000:0000:0000:0001').toBuffer(), buf);
+		});
+
+		it('should throw if the parameter is an invalid string', () => {
+			assert.throws(() => type.fromValue('0:0:1'), TypeError);
+			assert.throws(() => type.fromValue('0:0:0:10000'), TypeError);
+			assert.throws(() => type.fromValue('::1'), TypeError);
+		});
+	});
+
+	describe('#toString()', () => {
+		it('should convert a value to an interface identifier string', () => {
+			assert.equal(type.fromBuffer(buf).toString(), '0:0:0:1');
+			assert.equal(type.fromValue('02ab:cdff:fe01:2345').toString(), '2ab:cdff:fe01:2345');
+		});
+	});
+});
+
+describe('AV.ComboIP', () => {
+
+	const type = AV.ComboIP;
+
+	it('should choose the address family by length', () => {
+		assert.ok(!type.fromBuffer(Buffer.from([192, 0, 2, 1])).isIPv6);
+		assert.ok(type.fromBuffer(Buffer.alloc(16)).isIPv6);
+		assert.throws(() => type.fromBuffer(Buffer.alloc(8)), RangeError);
+	});
+
+	it('should convert to and from either address format', () => {
+		assert.equal(type.fromValue('192.0.2.1').toString(), '192.0.2.1');
+		assert.equal(type.fromValue('2001:db8::1').toString(), '2001:db8::1');
+		assert.equal(type.fromValue('2001:db8::1').length, 16);
+		assert.throws(() => type.fromValue('192.0.2'), TypeError);
+	});
+});
+
+describe('AV.ABinary', () => {
+
+	const type = AV.ABinary;
+	const ip = 'ip in forward srcip 10.0.0.0/8 dstip 192.168.1.0/24 tcp dstport = 80 est';
+	const ipbuf = Buffer.from('010101000a000000c0a80100081806010000005000020000' + '00'.repeat(8), 'hex');
+
+	describe('.fromValue(str)', () => {
+		it('should convert an IP filter into binary', () => {
+			const attr = type.fromValue(ip);
+			assert.deepEqual(attr.toBuffer(), ipbuf);
+			assert.equal(attr.length, 32);
+		});
+
+		it('should accept port names and comparisons', () => {
+			const attr = type.fromValue('ip out drop udp srcport > 1023 dstport = domain');
+			assert.equal(attr.toString(), 'ip out drop udp srcport > 1023 dstport = 53');
+		});
+
+		it('should convert a generic filter into binary', () => {
+			const attr = type.fromValue('generic in forward 12 ffff 0800 != more');
+			const buf = attr.toBuffer();
+			assert.equal(buf[0], 0);
+			assert.equal(buf.readUInt16BE(4), 12);
+			assert.equal(buf.readUInt16BE(6), 2);
+			assert.equal(buf.readUInt16BE(8), 1);
+			assert.equal(attr.toString(), 'generic in forward 12 ffff 0800 != more');
+		});
+
+		it('should accept a filter in hex', () => {
+			assert.deepEqual(type.fromValue('0x' + ipbuf.toString('hex')).toBuffer(), ipbuf);
+		});
+
+		it('should throw if the filter is invalid', () => {
+			assert.throws(() => type.fromValue(1), TypeError);
+			assert.throws(() => type.fromValue('ipx in forward'), TypeError);
+			assert.throws(() => type.fromValue('ip sideways forward'), TypeError);
+			assert.throws(() => type.fromValue('ip in accept'), TypeError);
+			assert.throws(() => type.fromValue('ip in forward srcip 10.0.0/8'), TypeError);
+			assert.throws(() => type.fromValue('ip in forward srcip 10.0.0.0/33'), TypeError);
+			assert.throws(() => type.fromValue('ip in forward dstport = 80'), TypeError);
+			assert.throws(() => type.fromValue('ip in forward tcp dstport ~ 80'), TypeError);
+			assert.throws(() => type.fromValue('ip in forward tcp udp'), TypeError);
+			assert.throws(() => type.fromValue('generic in forward 0 ffff 08'), TypeError);
+			assert.throws(() => type.fromValue('generic in forward 0 ffffffffffffff 00000000000000'), TypeError);
+		});
+	});
+
+	describe('#toString()', () => {
+		it('should convert an IP filter into text', () => {
+			assert.equal(type.fromBuffer(ipbuf).toString(), ip);
+			assert.equal(type.fromValue('ip in drop').toString(), 'ip in drop');
+			assert.equal(type.fromBuffer(ipbuf)[inspect](), `"${ip}"`);
+		});
+
+		it('should show unsupported filters in hex', () => {
+			assert.equal(type.fromBuffer(Buffer.from([2, 1, 1, 0])).toString(), '0x02010100');
+		});
+	});
+});
+
+describe('AV.Ether', () => {
+
+	const type = AV.Ether;
+
+	it('should convert to and from a MAC address string', () => {
+		const attr = type.fromValue('00:1B:44:11:3a:b7');
+		assert.deepEqual(attr.toBuffer(), Buffer.from([0x00, 0x1b, 0x44, 0x11, 0x3a, 0xb7]));
+		assert.equal(attr.toString(), '00:1b:44:11:3a:b7');
+		assert.equal(attr[inspect](), '00:1b:44:11:3a:b7');
+	});
+
+	it('should throw if the value is invalid', () => {
+		assert.throws(() => type.fromValue('00:1b:44:11:3a'), TypeError);
+		assert.throws(() => type.fromValue('00:1b:44:11:3a:b7:00'), TypeError);
+		assert.throws(() => type.fromValue('00:1b:44:11:3a:zz'), TypeError);
+		assert.throws(() => type.fromBuffer(Buffer.alloc(5)), RangeError);
+	});
+});
+
+describe('AV.fixed', () => {
+
+	it('should create fixed length octet types', () => {
+		const type = AV.fixed(3);
+		assert.equal(type, AV.fixed(3));
+		assert.equal(type.length, 3);
+		assert.equal(type.fromBuffer(Buffer.from([1, 2, 3])).length, 3);
+		assert.throws(() => type.fromBuffer(Buffer.from([1, 2])), RangeError);
+		assert.throws(() => type.fromBuffer(Buffer.from([1, 2, 3, 4])), RangeError);
+	});
+
+	it('should throw if the length is out of range', () => {
+		assert.throws(() => AV.fixed(0), RangeError);
+		assert.throws(() => AV.fixed(254), RangeError);
+	});
+});
+
+describe('AV.array', () => {
+
+	const type = AV.array(AV.Inet4);
+
+	it('should create array types of fixed length types', () => {
+		assert.equal(type, AV.array(AV.Inet4));
+		assert.equal(type.elementType, AV.Inet4);
+		assert.throws(() => AV.array(AV.String), TypeError);
+	});
+
+	it('should convert to and from an array of values', () => {
+		const attr = type.fromValue(['192.0.2.1', '192.0.2.2']);
+		assert.deepEqual(attr.value, [Buffer.from([192, 0, 2, 1]), Buffer.from([192, 0, 2, 2])]);
+		assert.deepEqual(attr.elements.map(String), ['192.0.2.1', '192.0.2.2']);
+		assert.deepEqual(attr.toBuffer(), Buffer.from([192, 0, 2, 1, 192, 0, 2, 2]));
+		assert.equal(attr.length, 8);
+		assert.equal(attr[inspect](), '[ 192.0.2.1, 192.0.2.2 ]');
+		assert.deepEqual(type.fromBuffer(attr.toBuffer()).value, attr.value);
+	});
+
+	it('should throw if the value is invalid', () => {
+		assert.throws(() => type.fromValue('192.0.2.1'), TypeError);
+		assert.throws(() => type.fromValue([]), RangeError);
+		assert.throws(() => type.fromBuffer(Buffer.alloc(6)), RangeError);
+	});
+});
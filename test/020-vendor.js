@@ -39,6 +39,16 @@ describe('Vendor', () => {
 			assert.equal(v.id, 429);
 			assert.equal(v.typeSize, 4);
 			assert.equal(v.lengthSize, 0);
+			assert.equal(v.continuation, false);
+		});
+
+		it('should parse the continuation format option', () => {
+			let v = new Vendor('WiMAX', 24757, 'format=1,1,c');
+			assert.equal(v.typeSize, 1);
+			assert.equal(v.lengthSize, 1);
+			assert.equal(v.continuation, true);
+			assert.throws(() => new Vendor('WiMAX', 24757, 'format=2,1,c'));
+			assert.throws(() => new Vendor('WiMAX', 24757, 'format=1,1,x'));
 		});
 	});
 });
@@ -1,10 +1,123 @@
 const assert = require('assert').strict;
 
 const Dictionary = require('../lib/dictionary.js');
+const AV = require('../lib/avalue.js');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
 Dictionary.load(__dirname + '/dictionary/dictionary.rfc2865');
 Dictionary.load(__dirname + '/dictionary/dictionary.lucent');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc6929');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc7499');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc6930');
+Dictionary.load(__dirname + '/dictionary/dictionary.tlv');
+Dictionary.load(__dirname + '/dictionary/dictionary.types');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc5580');
+Dictionary.load(__dirname + '/dictionary/dictionary.array');
+Dictionary.load(__dirname + '/dictionary/dictionary.v3');
 
 describe('Dictionary', () => {
+	describe('load', () => {
+
+		const errors = __dirname + '/dictionary/dictionary.errors';
+		const include = __dirname + '/dictionary/dictionary.include';
+
+		it('should throw a located ParseError', () => {
+			assert.throws(() => Dictionary.load(errors), (e) => {
+				assert.ok(e instanceof Dictionary.ParseError);
+				assert.equal(e.file, errors);
+				assert.equal(e.line, 6);
+				assert.match(e.reason, /unsupported dictionary keyword "ENUM"/);
+				assert.match(e.message, /dictionary\.errors:6/);
+				return true;
+			});
+			assert.equal(Dictionary.get('Example-Before-Error').id, 200);
+		});
+
+		it('should report the $INCLUDE lines that led to an error', () => {
+			assert.throws(() => Dictionary.load(include), (e) => {
+				assert.deepEqual(e.trace, [
+					{ file: errors, line: 6 },
+					{ file: include, line: 6 }
+				]);
+				return true;
+			});
+		});
+
+		it('should throw if the file is missing', () => {
+			assert.throws(() => Dictionary.load(__dirname + '/dictionary/dictionary.missing'), /ENOENT/);
+		});
+
+		it('should collect every error in lenient mode', () => {
+			const warnings = Dictionary.load(include, { lenient: true });
+			assert.deepEqual(warnings.map(e => e.line), [6, 7, 8]);
+			assert.match(warnings[1].reason, /invalid id field/);
+			assert.match(warnings[2].reason, /unknown attribute name/);
+			assert.equal(Dictionary.get('Example-After-Error').id, 201);
+		});
+
+		it('should return no warnings for a valid dictionary', () => {
+			assert.deepEqual(Dictionary.load(__dirname + '/dictionary/dictionary.array', { lenient: true }), []);
+		});
+
+		it('should permit identical VENDOR redefinitions', () => {
+			assert.deepEqual(Dictionary.load(__dirname + '/dictionary/dictionary.v3', { lenient: true }), []);
+		});
+	});
+
+	describe('FreeRADIUS v3 grammar', () => {
+
+		it('should skip the definitions of other protocols', () => {
+			assert.throws(() => Dictionary.get('Example-DHCP-Opcode'), RangeError);
+		});
+
+		it('should accept VALUE entries that precede their attribute', () => {
+			assert.equal(Dictionary.get('Example-Forward').values.get('later'), 2);
+		});
+
+		it('should support ALIAS entries', () => {
+			const ent = Dictionary.get('Example-Forward');
+			assert.equal(Dictionary.get('Example-Alias'), ent);
+			assert.equal(Dictionary.get('Example-Numeric-Alias'), ent);
+			assert.equal(Dictionary.get('Example-WiMAX-Release-Alias'), Dictionary.get('Example-WiMAX-Release'));
+		});
+
+		it('should look up VALUE attributes within the current vendor', () => {
+			const wimax = Dictionary.vsa(99997, 3);
+			const evs = Dictionary.evs('Extended-Vendor-Specific-1', 99996, 2);
+			assert.equal(wimax.values.get('fast'), 1);
+			assert.ok(!wimax.values.has('slow'));
+			assert.equal(evs.values.get('slow'), 2);
+			assert.ok(!evs.values.has('fast'));
+		});
+
+		it('should support vendor continuation', () => {
+			assert.ok(Dictionary.vendor(99997).continuation);
+		});
+
+		it('should support Extended-Vendor-Specific vendors', () => {
+			const ent = Dictionary.get('Example-EVS-String');
+			assert.ok(ent.isEVS);
+			assert.equal(ent.id, 241);
+			assert.equal(ent.ext_id, 26);
+			assert.equal(ent.sub_id, 1);
+			assert.equal(ent.vendor.id, 99996);
+			assert.equal(Dictionary.evs('Extended-Vendor-Specific-1', 99996, 1), ent);
+		});
+
+		it('should create unknown Extended-Vendor-Specific attributes', () => {
+			const ent = Dictionary.evs('Extended-Vendor-Specific-1', 9, 5);
+			assert.equal(ent.name, 'Unknown-Attribute-241.26.9.5');
+			assert.equal(ent, Dictionary.evs('Extended-Vendor-Specific-1', 9, 5));
+			assert.throws(() => Dictionary.evs('User-Name', 9, 5), TypeError);
+		});
+
+		it('should mark internal attributes', () => {
+			assert.equal(Dictionary.get('Example-Internal').flags.internal, 1);
+			assert.ok(!Dictionary.get('Example-Forward').flags.internal);
+		});
+	});
+
 	describe('get', () => {
 
 		it('should throw if the parameter is of the wrong type', () => {
@@ -49,6 +162,21 @@ describe('Dictionary', () => {
 		it('should be able to parse attribute flags', () => {
 			assert.equal(Dictionary.get('User-Password').flags.encrypt, 1);
 		});
+
+		it('should parse VALUE entries for signed and 64-bit attributes', () => {
+			assert.ok(Dictionary.get('Example-Signed').isNumeric);
+			assert.equal(Dictionary.get('Example-Signed').values.get('minus-one'), -1);
+			assert.equal(Dictionary.get('Example-Counter64').values.get('huge'), 0xffffffffffffffffn);
+			assert.equal(Dictionary.get('Example-Counter64').values.get(0xffffffffffffffffn), 'Huge');
+		});
+
+		it('should parse the array flag', () => {
+			const dict = Dictionary.get('Example-Address-List');
+			assert.ok(dict.isArray);
+			assert.equal(dict.type.elementType, AV.Inet4);
+			assert.ok(!Dictionary.get('Framed-IP-Address').isArray);
+			assert.throws(() => new Dictionary.Entry(undefined, 'Example-Bad-List', 200, 'string', 'array'));
+		});
 	});
 
 	describe('vendor', () => {
@@ -110,4 +238,324 @@ describe('Dictionary', () => {
 		});
 
 	});
+
+	describe('extended', () => {
+
+		it('should throw if the parameters are of the wrong type or out of range', () => {
+			assert.throws(() => Dictionary.extended(241, undefined), TypeError);
+			assert.throws(() => Dictionary.extended(241, '1'), TypeError);
+			assert.throws(() => Dictionary.extended(241, 0), RangeError);
+			assert.throws(() => Dictionary.extended(241, 256), RangeError);
+		});
+
+		it('should throw if the parent is not an extended attribute', () => {
+			assert.throws(() => Dictionary.extended(1, 1), RangeError);
+		});
+
+		it('should correctly return an extended attribute by id', () => {
+			const ent = Dictionary.extended(241, 1);
+			assert.equal(ent.name, 'Frag-Status');
+			assert.equal(ent.id, 241);
+			assert.equal(ent.ext_id, 1);
+			assert.ok(ent.isExtended);
+			assert.ok(!ent.isLongExtended);
+		});
+
+		it('should correctly return an extended attribute by name', () => {
+			assert.equal(Dictionary.get('Proxy-State-Length'), Dictionary.extended(241, 2));
+		});
+
+		it('should parse VALUE entries for extended attributes', () => {
+			assert.equal(Dictionary.get('Frag-Status').values.get('more-data-pending'), 2);
+		});
+
+		it('should create unknown extended attributes', () => {
+			const ent = Dictionary.extended(245, 200);
+			assert.equal(ent.name, 'Unknown-Attribute-245.200');
+			assert.ok(ent.isLongExtended);
+			assert.equal(ent, Dictionary.extended(245, 200));
+		});
+
+		it('should know the extended attribute types without a dictionary', () => {
+			assert.ok(Dictionary.get(243).isExtendedParent);
+			assert.ok(!Dictionary.get(243).isLongExtendedParent);
+			assert.ok(Dictionary.get(246).isLongExtendedParent);
+		});
+	});
+
+	describe('struct', () => {
+
+		it('should parse struct MEMBER entries', () => {
+			const ent = Dictionary.get('Location-Information');
+			assert.ok(ent.isStruct);
+			assert.deepEqual(ent.members.map(m => m.name),
+				['Index', 'Code', 'Entity', 'Sighting-Time', 'Time-To-Live', 'Method']);
+			assert.equal(ent.members[0].type.length, 2);
+			assert.equal(ent.members[3].type.length, 8);
+		});
+
+		it('should reject invalid members', () => {
+			const ent = Dictionary.get('Location-Information');
+			assert.throws(() => ent.addMember('Extra', 'integer'));
+			assert.throws(() => Dictionary.get('User-Name').addMember('Extra', 'integer'));
+		});
+
+		it('should parse fixed width octets', () => {
+			const ent = Dictionary.get('Example-Fixed-Octets');
+			assert.equal(ent.type.length, 4);
+			assert.equal(ent.type.name, 'octets[4]');
+		});
+	});
+
+	describe('tlv', () => {
+
+		it('should throw if the parent is not a TLV attribute', () => {
+			assert.throws(() => Dictionary.tlv('User-Name', 1), TypeError);
+			assert.throws(() => Dictionary.tlv(undefined, 1), TypeError);
+		});
+
+		it('should throw if the child id is of the wrong type or out of range', () => {
+			assert.throws(() => Dictionary.tlv('IPv6-6rd-Configuration', true), TypeError);
+			assert.throws(() => Dictionary.tlv('IPv6-6rd-Configuration', 0), RangeError);
+			assert.throws(() => Dictionary.tlv('IPv6-6rd-Configuration', 256), RangeError);
+		});
+
+		it('should correctly return a child attribute numbered parent.child', () => {
+			const parent = Dictionary.get('IPv6-6rd-Configuration');
+			const ent = Dictionary.tlv(parent, 3);
+			assert.ok(parent.isTLV);
+			assert.equal(ent.name, 'IPv6-6rd-BR-IPv4-Address');
+			assert.equal(ent.id, 3);
+			assert.equal(ent.parent, parent);
+			assert.equal(Dictionary.get('IPv6-6rd-IPv4MaskLen'), Dictionary.tlv(parent, 1));
+		});
+
+		it('should correctly return a child attribute by name', () => {
+			const ent = Dictionary.tlv('IPv6-6rd-Configuration', 'ipv6-6rd-prefix');
+			assert.equal(ent.id, 2);
+			assert.throws(() => Dictionary.tlv('IPv6-6rd-Configuration', 'User-Name'), RangeError);
+		});
+
+		it('should parse BEGIN-TLV blocks', () => {
+			const parent = Dictionary.get(192);
+			assert.ok(parent.isTLV);
+			assert.equal(Dictionary.tlv(parent, 2).name, 'Example-Capability-Flags');
+
+			const limits = Dictionary.tlv(parent, 3);
+			assert.equal(limits.name, 'Example-Capability-Limits');
+			assert.ok(limits.isTLV);
+			assert.equal(Dictionary.tlv(limits, 2).name, 'Example-Limit-Bandwidth');
+		});
+
+		it('should parse VALUE entries for TLV children', () => {
+			assert.equal(Dictionary.get('Example-Capability-Flags').values.get('accounting'), 2);
+		});
+
+		it('should create unknown TLV children', () => {
+			const ent = Dictionary.tlv('IPv6-6rd-Configuration', 99);
+			assert.equal(ent.name, 'IPv6-6rd-Configuration-Unknown-Attribute-99');
+			assert.equal(ent, Dictionary.tlv('IPv6-6rd-Configuration', 99));
+		});
+	});
+
+	describe('bundled dictionaries', () => {
+
+		const dir = __dirname + '/../lib/dictionary';
+
+		// files containing VALUE entries for another file's attributes
+		const requires = new Map([
+			[ 'dictionary.rfc2867', [ 'dictionary.rfc2866' ] ],
+			[ 'dictionary.rfc3576', [ 'dictionary.rfc2865' ] ],
+			[ 'dictionary.rfc5176', [ 'dictionary.rfc2865', 'dictionary.rfc3576' ] ]
+		]);
+
+		for (let file of fs.readdirSync(dir)) {
+			it(`should parse ${file}`, () => {
+				const dict = new Dictionary();
+				for (let dep of requires.get(file) || []) {
+					dict.load(path.join(dir, dep));
+				}
+				assert.deepEqual(dict.load(path.join(dir, file), { lenient: true }), []);
+			});
+		}
+
+		it('should load the standard set by name', () => {
+			const dict = new Dictionary();
+			assert.deepEqual(dict.load('standard'), []);
+			assert.equal(dict.get('Acct-Input-Gigawords').id, 52);
+			assert.ok(dict.get('EAP-Message').flags.concat);
+			assert.equal(dict.get('Message-Authenticator').id, 80);
+			assert.equal(dict.get('NAS-Port-Type').values.get('ethernet'), 15);
+			assert.equal(dict.get('Error-Cause').values.get('unsupported-service'), 405);
+			assert.equal(dict.get('Error-Cause').values.get(508), 'Multiple-Session-Selection-Unsupported');
+			assert.equal(dict.get('ADSL-Agent-Circuit-Id').vendor.id, 3561);
+			assert.ok(dict.get('Extended-Vendor-Specific-1').isEVSParent);
+			assert.equal(dict.get('WLAN-RF-Band').id, 190);
+			assert.deepEqual(dict.get('Location-Information').members.map(m => m.name),
+				['Index', 'Code', 'Entity', 'Sighting-Time', 'Time-To-Live', 'Method']);
+			assert.deepEqual(dict.get('Location-Data').members.map(m => m.name), ['Index', 'Location']);
+		});
+
+		it('should load a bundled file without its prefix', () => {
+			const dict = new Dictionary();
+			dict.load('rfc2865');
+			assert.equal(dict.get('User-Name').id, 1);
+			assert.throws(() => dict.load('rfc0000'), /ENOENT/);
+		});
+	});
+
+	describe('definitions', () => {
+
+		function example() {
+			const dict = new Dictionary();
+			dict.defineVendor('Example', 99990, { format: '2,1' });
+			dict.defineAttribute('Example-Name', 1, 'string');
+			dict.defineAttribute('Example-Secret', 2, 'string', { flags: { has_tag: true, encrypt: 2 } });
+			dict.defineAttribute('Example-Level', 3, 'integer', { values: { Low: 1, High: 2 } });
+			dict.defineAttribute('Example-VSA', 1, 'tlv', { vendor: 'Example' });
+			dict.defineAttribute('Example-VSA-Child', '1.1', 'ipaddr', { vendor: 99990 });
+			dict.defineAttribute('Example-Location', 4, 'struct', {
+				members: [ { name: 'Index', type: 'uint16' }, { name: 'Method', type: 'string' } ]
+			});
+			dict.defineValue('Example-Level', 'Medium', 5);
+			dict.defineAlias('Example-Other-Name', 'Example-Name');
+			return dict;
+		}
+
+		it('should define vendors and attributes', () => {
+			const dict = example();
+			assert.equal(dict.vendor(99990).typeSize, 2);
+			assert.equal(dict.get('Example-Name').id, 1);
+			assert.equal(dict.get('Example-Secret').flags.encrypt, 2);
+			assert.equal(dict.get('Example-Level').values.get('medium'), 5);
+			assert.equal(dict.get('Example-VSA-Child').parent, dict.vsa(99990, 1));
+			assert.equal(dict.get('Example-Location').members.length, 2);
+			assert.equal(dict.get('Example-Other-Name'), dict.get('Example-Name'));
+		});
+
+		it('should define vendor attributes within an EVS attribute', () => {
+			const dict = new Dictionary();
+			dict.load(__dirname + '/dictionary/dictionary.rfc6929');
+			dict.defineVendor('Example', 99990);
+			const ent = dict.defineAttribute('Example-EVS', 1, 'integer', {
+				vendor: 'Example', evs: 'Extended-Vendor-Specific-1'
+			});
+			assert.ok(ent.isEVS);
+			assert.equal(dict.evs('Extended-Vendor-Specific-1', 99990, 1), ent);
+		});
+
+		it('should throw for invalid definitions', () => {
+			const dict = example();
+			assert.throws(() => dict.defineVendor('Bad Name', 1), TypeError);
+			assert.throws(() => dict.defineVendor('Example-2', 2, { format: 'x' }), TypeError);
+			assert.throws(() => dict.defineVendor('Other', 99990), Dictionary.ParseError);
+			assert.throws(() => dict.defineAttribute('Example-Bad', 5, 'unknown'), Dictionary.ParseError);
+			assert.throws(() => dict.defineAttribute('Example-Bad', 5, 'string', { vendor: 'Nobody' }), RangeError);
+			assert.throws(() => dict.defineValue('Example-Name', 'One', 1), Dictionary.ParseError);
+			assert.throws(() => dict.defineValue('Example-Missing', 'One', 1), RangeError);
+			assert.throws(() => dict.defineAlias('Example-Alias', 'Example-Missing'), Dictionary.ParseError);
+		});
+
+		it('should convert to JSON', () => {
+			const json = example().toJSON();
+			assert.deepEqual(json.vendors, [ { name: 'Example', id: 99990, format: '2,1' } ]);
+			assert.deepEqual(json.attributes, [
+				{ name: 'Example-Name', id: 1, type: 'string' },
+				{ name: 'Example-Secret', id: 2, type: 'string', flags: { has_tag: 1, encrypt: 2 } },
+				{ name: 'Example-Level', id: 3, type: 'integer', values: { Low: 1, High: 2, Medium: 5 } },
+				{ name: 'Example-Location', id: 4, type: 'struct', members: [
+					{ name: 'Index', type: 'uint16' }, { name: 'Method', type: 'string' }
+				] },
+				{ name: 'Example-VSA', id: 1, type: 'tlv', vendor: 'Example' },
+				{ name: 'Example-VSA-Child', id: '1.1', type: 'ipaddr', vendor: 'Example' }
+			]);
+			assert.deepEqual(json.aliases, [ { name: 'Example-Other-Name', target: 'Example-Name' } ]);
+		});
+
+		it('should omit attributes and vendors created by lookups', () => {
+			const dict = example();
+			dict.get(99);
+			dict.vsa(12345, 1);
+			dict.tlv(dict.vsa(99990, 1), 9);
+			const json = dict.toJSON();
+			assert.equal(json.vendors.length, 1);
+			assert.equal(json.attributes.length, 6);
+		});
+
+		it('should round-trip via JSON', () => {
+			const dict = new Dictionary();
+			dict.load('standard');
+			dict.load(__dirname + '/dictionary/dictionary.v3');
+			const json = dict.toJSON();
+			const copy = Dictionary.fromJSON(JSON.stringify(json));
+			assert.deepEqual(copy.toJSON(), json);
+			assert.equal(copy.get('Service-Type').values.get('framed-user'), 2);
+			assert.equal(copy.get('Acct-Status-Type').values.get('alive'), 3);
+		});
+
+		it('should round-trip via a dictionary file', () => {
+			const dict = new Dictionary();
+			dict.load('standard');
+			for (let file of ['v3', 'tlv', 'rfc5580', 'types', 'array', 'rfc7499']) {
+				dict.load(__dirname + '/dictionary/dictionary.' + file);
+			}
+
+			const text = dict.toText();
+			assert.match(text, /^BEGIN-VENDOR\tExample-EVS format=Extended-Vendor-Specific-1$/m);
+			assert.match(text, /^FLAGS\tinternal$/m);
+			assert.match(text, /^VALUE\tAcct-Status-Type\tAlive\t3$/m);
+
+			const file = path.join(os.tmpdir(), `dictionary.${process.pid}`);
+			fs.writeFileSync(file, text);
+			try {
+				const copy = new Dictionary();
+				copy.load(file);
+				assert.deepEqual(copy.toJSON(), dict.toJSON());
+			} finally {
+				fs.unlinkSync(file);
+			}
+		});
+	});
+
+	describe('instances', () => {
+
+		const instance = __dirname + '/dictionary/dictionary.instance';
+
+		it('should use the default instance for the static methods', () => {
+			assert.ok(Dictionary.default instanceof Dictionary);
+			assert.equal(Dictionary.get('User-Name'), Dictionary.default.get('User-Name'));
+			assert.equal(Dictionary.from(), Dictionary.default);
+		});
+
+		it('should start empty', () => {
+			const dict = new Dictionary();
+			assert.throws(() => dict.get('User-Name'), RangeError);
+			assert.equal(dict.get(1).name, 'Unknown-Attribute-1');
+		});
+
+		it('should keep definitions separate from the default', () => {
+			const dict = new Dictionary();
+			dict.load(instance);
+			assert.equal(dict.get(1).name, 'Example-Instance-Name');
+			assert.equal(dict.get('Example-Instance-Number').values.get('one'), 1);
+			assert.equal(Dictionary.get(1).name, 'User-Name');
+			assert.throws(() => Dictionary.get('Example-Instance-Name'), RangeError);
+		});
+
+		it('should keep instances separate from each other', () => {
+			const a = new Dictionary();
+			const b = new Dictionary();
+			a.load(instance);
+			assert.throws(() => b.get('Example-Instance-Name'), RangeError);
+			assert.equal(a.vendor(99999).name, 'Vendor99999');
+			assert.notEqual(a.vendor(99999), b.vendor(99999));
+			assert.notEqual(a.vsa(99999, 1), b.vsa(99999, 1));
+		});
+
+		it('should check the type of a dictionary', () => {
+			const dict = new Dictionary();
+			assert.equal(Dictionary.from(dict), dict);
+			assert.throws(() => Dictionary.from({}), TypeError);
+		});
+	});
 });
@@ -1,9 +1,25 @@
 const assert = require('assert').strict;
+const crypto = require('crypto');
 
 const Attribute = require('../lib/attribute.js');
+const AttributeList = require('../lib/attrlist.js');
 const Dictionary = require('../lib/dictionary.js');
+const inspect = Symbol.for('nodejs.util.inspect.custom');
 Dictionary.load(__dirname + '/dictionary/dictionary.rfc2865');
 Dictionary.load(__dirname + '/dictionary/dictionary.cisco'); // required for some VSA tests
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc6929');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc7499');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc6930');
+Dictionary.load(__dirname + '/dictionary/dictionary.tlv');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc3162');
+Dictionary.load(__dirname + '/dictionary/dictionary.types');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc5580');
+Dictionary.load(__dirname + '/dictionary/dictionary.array');
+Dictionary.load(__dirname + '/dictionary/dictionary.v3');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc3579');
+Dictionary.load(__dirname + '/dictionary/dictionary.concat');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc2868');
+Dictionary.load(__dirname + '/dictionary/dictionary.ascend');
 
 describe('Attribute', () => {
 
@@ -34,6 +50,35 @@ describe('Attribute', () => {
 			assert.equal(attr.toString(), '10.0.0.1');
 		});
 
+		it('should accept IPv6 address, prefix and interface id attributes', () => {
+			assert.equal(new Attribute('Login-IPv6-Host', '2001:DB8::1').toString(), '2001:db8::1');
+			assert.equal(new Attribute('Framed-IPv6-Prefix', '2001:db8::/48').toString(), '2001:db8::/48');
+			assert.equal(new Attribute('Framed-Interface-Id', '0:0:0:1').toString(), '0:0:0:1');
+		});
+
+		it('should accept signed and 64-bit integer attributes', () => {
+			assert.equal(new Attribute('Example-Signed', -5).value, -5);
+			assert.equal(new Attribute('Example-Counter64', 1n << 40n).value, 1n << 40n);
+			assert.equal(new Attribute('Example-Integer64', 7).value, 7n);
+			assert.throws(() => new Attribute('Example-Counter64', -1), RangeError);
+		});
+
+		it('should round-trip signed and 64-bit integer attributes', () => {
+			const buf = Buffer.alloc(32);
+			let n = new Attribute('Example-Signed', -5).toWire(buf);
+			assert.deepEqual(buf.slice(0, n), Buffer.from([193, 6, 0xff, 0xff, 0xff, 0xfb]));
+			assert.equal(Attribute.fromWire(buf.slice(0, n)).value, -5);
+
+			n = new Attribute('Example-Counter64', 0xffffffffffffffffn).toWire(buf);
+			assert.equal(n, 10);
+			assert.equal(Attribute.fromWire(buf.slice(0, n)).value, 0xffffffffffffffffn);
+		});
+
+		it('should display the VALUE name of 64-bit attributes', () => {
+			const attr = new Attribute('Example-Counter64', 0xffffffffffffffffn);
+			assert.equal(attr[inspect](), 'Example-Counter64: Huge (18446744073709551615)');
+		});
+
 		it('should accept an octet buffer attribute', () => {
 			const attr = new Attribute('State', Buffer.from([1,2,3,4]));
 			assert.deepStrictEqual(attr.valueOf(), Buffer.from([1,2,3,4]));
@@ -43,6 +88,46 @@ describe('Attribute', () => {
 			const attr = new Attribute('Cisco-Multilink-ID', 1);
 			assert.equal(attr.valueOf(), 1);
 		});
+
+		it('should look up the attribute in the given dictionary', () => {
+			const dict = new Dictionary();
+			dict.load(__dirname + '/dictionary/dictionary.instance');
+			assert.equal(new Attribute(2, 1, undefined, dict).name, 'Example-Instance-Number');
+			assert.equal(Attribute.fromWire(Buffer.from([1, 3, 0x41]), undefined, undefined, dict).name, 'Example-Instance-Name');
+			assert.throws(() => new Attribute('User-Name', 'x', undefined, dict), RangeError);
+			assert.throws(() => new Attribute('User-Name', 'x', undefined, {}), TypeError);
+		});
+	});
+
+	describe('named values', () => {
+		it('should accept the name of a VALUE in any case', () => {
+			assert.equal(new Attribute('Service-Type', 'Framed-User').value, 2);
+			assert.equal(new Attribute('Service-Type', 'framed-user').value, 2);
+			assert.throws(() => new Attribute('Service-Type', 'Unknown-User'), TypeError);
+		});
+
+		it('should return the name of its VALUE', () => {
+			const attr = new Attribute('Service-Type', 2);
+			assert.equal(attr.label, 'Framed-User');
+			assert.equal(attr.toString(), 'Framed-User');
+			assert.equal(attr[inspect](), 'Service-Type: Framed-User (2)');
+
+			const other = new Attribute('Service-Type', 99);
+			assert.equal(other.label, undefined);
+			assert.equal(other.toString(), '99');
+		});
+
+		it('should compare equal to either form of its value', () => {
+			const attr = new Attribute('Service-Type', 'Framed-User');
+			assert.ok(attr.equals(2));
+			assert.ok(attr.equals('FRAMED-USER'));
+			assert.ok(attr.equals(new Attribute('Service-Type', 2)));
+			assert.ok(!attr.equals(1));
+			assert.ok(!attr.equals('Login-User'));
+			assert.ok(!attr.equals('xxx'));
+			assert.ok(!attr.equals(new Attribute('Framed-Protocol', 2)));
+			assert.ok(new Attribute('User-Name', 'fred').equals('fred'));
+		});
 	});
 
 	describe('fromWire', () => {
@@ -70,6 +155,20 @@ describe('Attribute', () => {
 			assert.throws(() => Attribute.fromWire(buf), RangeError);
 		});
 
+		it('should throw if a VSA sub-attribute length is invalid', () => {
+			const buf = Buffer.from([26, 10, 0, 0, 0, 9, 1, 5, 0x61, 0x62]);
+			assert.throws(() => Attribute.fromWire(buf), RangeError);
+			buf[7] = 1;
+			assert.throws(() => Attribute.fromWire(buf), RangeError);
+		});
+
+		it('should not modify the input buffer', () => {
+			const buf = Buffer.from([26, 12, 0, 0, 0, 9, 1, 3, 0x61, 2, 3, 0x62]);
+			const copy = Buffer.from(buf);
+			Attribute.fromWire(buf);
+			assert.deepEqual(buf, copy);
+		});
+
 		it('should throw if the buffer is too small for an integer', () => {
 			const buf = Buffer.from([7, 5, 0, 0, 0]);
 			assert.throws(() => Attribute.fromWire(buf), RangeError);
@@ -81,4 +180,591 @@ describe('Attribute', () => {
 		});
 
 	});
+
+	describe('tagged attributes', () => {
+
+		const secret = 'secret';
+		const authenticator = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+
+		it('should accept a tag on construction', () => {
+			const attr = new Attribute('Tunnel-Type', 13, 1);
+			assert.equal(attr.tag, 1);
+			assert.equal(attr.value, 13);
+			assert.equal(new Attribute('Tunnel-Type', 13).tag, undefined);
+			assert.equal(new Attribute('Tunnel-Type', 13, 0).tag, undefined);
+		});
+
+		it('should throw if a tag is invalid', () => {
+			assert.throws(() => new Attribute('User-Name', 'x', 1), TypeError);
+			assert.throws(() => new Attribute('Tunnel-Type', 13, '1'), TypeError);
+			assert.throws(() => new Attribute('Tunnel-Type', 13, 32), RangeError);
+			assert.throws(() => new Attribute('Tunnel-Type', 0x1000000, 1), RangeError);
+		});
+
+		it('should encode and decode a tagged integer', () => {
+			const buf = Buffer.alloc(32);
+			const n = new Attribute('Tunnel-Type', 13, 2).toWire(buf);
+			assert.deepEqual(buf.slice(0, n), Buffer.from([64, 6, 2, 0, 0, 13]));
+
+			const attr = Attribute.fromWire(buf.slice(0, n));
+			assert.equal(attr.tag, 2);
+			assert.equal(attr.value, 13);
+			assert.equal(attr[inspect](), 'Tunnel-Type:2: 13');
+		});
+
+		it('should encode and decode a tagged string', () => {
+			const buf = Buffer.alloc(32);
+			let n = new Attribute('Tunnel-Private-Group-Id', '100', 1).toWire(buf);
+			assert.deepEqual(buf.slice(0, n), Buffer.from([81, 6, 1, 0x31, 0x30, 0x30]));
+			let attr = Attribute.fromWire(buf.slice(0, n));
+			assert.equal(attr.tag, 1);
+			assert.equal(attr.toString(), '100');
+
+			n = new Attribute('Tunnel-Private-Group-Id', '100').toWire(buf);
+			assert.deepEqual(buf.slice(0, n), Buffer.from([81, 5, 0x31, 0x30, 0x30]));
+			attr = Attribute.fromWire(buf.slice(0, n));
+			assert.equal(attr.tag, undefined);
+			assert.equal(attr.toString(), '100');
+		});
+
+		it('should add a tag field if an untagged string could be mistaken for one', () => {
+			const buf = Buffer.alloc(32);
+			const n = new Attribute('Tunnel-Client-Endpoint', Buffer.from([1, 2])).toWire(buf);
+			assert.deepEqual(buf.slice(0, n), Buffer.from([66, 5, 0, 1, 2]));
+			assert.deepEqual(Attribute.fromWire(buf.slice(0, n)).value, Buffer.from([1, 2]));
+		});
+
+		it('should encrypt and decrypt Tunnel-Password with a salt', () => {
+			const buf = Buffer.alloc(64);
+			const attr = new Attribute('Tunnel-Password', 'tunnel-secret', 3);
+			const n = attr.toWire(buf, 0, secret, authenticator);
+			assert.equal(n, 2 + 1 + 2 + 16);
+			assert.equal(buf[2], 3);
+			assert.ok(buf[3] & 0x80);
+
+			const decoded = Attribute.fromWire(buf.slice(0, n), secret, authenticator);
+			assert.equal(decoded.tag, 3);
+			assert.equal(decoded.toString(), 'tunnel-secret');
+		});
+
+		it('should use a new salt each time', () => {
+			const attr = new Attribute('Tunnel-Password', 'x'.repeat(20));
+			const buf1 = Buffer.alloc(64);
+			const buf2 = Buffer.alloc(64);
+			const n = attr.toWire(buf1, 0, secret, authenticator);
+			assert.equal(n, 2 + 1 + 2 + 32);
+			attr.toWire(buf2, 0, secret, authenticator);
+			assert.notDeepEqual(buf1.slice(3, n), buf2.slice(3, n));
+			assert.equal(Attribute.fromWire(buf2.slice(0, n), secret, authenticator).toString(), 'x'.repeat(20));
+		});
+
+		it('should throw if a salt encrypted value is invalid', () => {
+			const buf = Buffer.from([69, 20, 0, 0x80, 0].concat(Array(15).fill(0)));
+			assert.throws(() => Attribute.fromWire(buf, secret, authenticator));
+		});
+	});
+
+	describe('Ascend attributes', () => {
+
+		const secret = 'secret';
+		const authenticator = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+
+		it('should encrypt and decrypt Ascend-Send-Secret', () => {
+			const buf = Buffer.alloc(64);
+			const n = new Attribute('Ascend-Send-Secret', 'ascend').toWire(buf, 0, secret, authenticator);
+			assert.equal(n, 8 + 16);
+
+			const key = crypto.createHash('md5').update(authenticator).update(secret).digest();
+			const expected = Buffer.from(key);
+			Buffer.from('ascend').forEach((c, i) => expected[i] ^= c);
+			assert.deepEqual(buf.slice(8, n), expected);
+
+			const attr = Attribute.fromWire(buf.slice(0, n), secret, authenticator);
+			assert.equal(attr.toString(), 'ascend');
+		});
+
+		it('should throw if an Ascend-Send-Secret value is invalid', () => {
+			assert.throws(() => new Attribute('Ascend-Send-Secret', 'x'.repeat(17)).toWire(Buffer.alloc(64), 0, secret, authenticator), RangeError);
+			const buf = Buffer.from([26, 13, 0, 0, 2, 17, 214, 7, 1, 2, 3, 4, 5]);
+			assert.throws(() => Attribute.fromWire(buf, secret, authenticator));
+		});
+
+		it('should round-trip an Ascend binary filter', () => {
+			const filter = 'ip in forward dstip 192.0.2.0/24 udp dstport = 53';
+			const buf = Buffer.alloc(64);
+			const n = new Attribute('Ascend-Data-Filter', filter).toWire(buf);
+			assert.equal(n, 8 + 32);
+			assert.equal(Attribute.fromWire(buf.slice(0, n)).toString(), filter);
+		});
+	});
+
+	describe('fixed width and struct attributes', () => {
+
+		// the times are 64-bit NTP timestamps
+		const sighting = Buffer.from('e4a9b2c080000000', 'hex');
+		const ttl = Buffer.from('e4a9c0d000000000', 'hex');
+		const location = Buffer.concat([
+			Buffer.from([0, 1, 0, 1]), sighting, ttl,
+			Buffer.from('GPS')
+		]);
+
+		it('should enforce the length of octets[n]', () => {
+			assert.deepEqual(new Attribute('Example-Fixed-Octets', Buffer.from([1, 2, 3, 4])).value, Buffer.from([1, 2, 3, 4]));
+			assert.throws(() => new Attribute('Example-Fixed-Octets', Buffer.from([1, 2, 3])), RangeError);
+			assert.throws(() => Attribute.fromWire(Buffer.from([196, 7, 1, 2, 3, 4, 5])), RangeError);
+		});
+
+		it('should encode and decode an Ethernet address', () => {
+			const attr = new Attribute('Example-MAC-Address', 'AA-BB-CC-DD-EE-FF');
+			assert.equal(attr.toString(), 'aa:bb:cc:dd:ee:ff');
+			const buf = Buffer.alloc(16);
+			const n = attr.toWire(buf);
+			assert.deepEqual(buf.slice(0, n), Buffer.from([197, 8, 0xaa, 0xbb, 0xcc, 0xdd, 0xee, 0xff]));
+			assert.equal(Attribute.fromWire(buf.slice(0, n)).toString(), 'aa:bb:cc:dd:ee:ff');
+		});
+
+		it('should decode a struct into named fields', () => {
+			const attr = Attribute.fromWire(Buffer.concat([Buffer.from([127, 2 + location.length]), location]));
+			assert.equal(attr.value.Index, 1);
+			assert.equal(attr.value.Code, 0);
+			assert.equal(attr.value.Entity, 1);
+			assert.deepEqual(attr.value['Sighting-Time'], sighting);
+			assert.deepEqual(attr.value['Time-To-Live'], ttl);
+			assert.equal(attr.value.Method, 'GPS');
+			assert.ok(Object.isFrozen(attr.value));
+		});
+
+		it('should encode a struct from named fields', () => {
+			const attr = new Attribute('Location-Information', {
+				'Index': 1, 'Code': 0, 'Entity': 1,
+				'Sighting-Time': sighting, 'Time-To-Live': ttl, 'Method': 'GPS'
+			});
+			const buf = Buffer.alloc(32);
+			const n = attr.toWire(buf);
+			assert.deepEqual(buf.slice(2, n), location);
+		});
+
+		it('should decode a Location-Information with the bundled dictionary', () => {
+			const dict = new Dictionary();
+			dict.load('rfc5580');
+
+			// Index 1, civic location of the RADIUS client, with NTP times
+			const buf = Buffer.from([
+				127, 28,
+				0x00, 0x01, 0x00, 0x01,
+				0xd5, 0xb4, 0x1a, 0x80, 0x00, 0x00, 0x00, 0x00,
+				0xd5, 0xb5, 0x6c, 0x00, 0x80, 0x00, 0x00, 0x00,
+				0x4d, 0x61, 0x6e, 0x75, 0x61, 0x6c
+			]);
+			const attr = Attribute.fromWire(buf, undefined, undefined, dict);
+			assert.equal(attr.value.Index, 1);
+			assert.equal(attr.value.Code, 0);
+			assert.equal(attr.value.Entity, 1);
+			assert.deepEqual(attr.value['Sighting-Time'], Buffer.from('d5b41a8000000000', 'hex'));
+			assert.deepEqual(attr.value['Time-To-Live'], Buffer.from('d5b56c0080000000', 'hex'));
+			assert.equal(attr.value.Method, 'Manual');
+
+			const out = Buffer.alloc(32);
+			assert.deepEqual(out.slice(0, attr.toWire(out)), buf);
+		});
+
+		it('should throw if a struct value is invalid', () => {
+			assert.throws(() => new Attribute('Location-Information', location.slice(0, 10)), RangeError);
+			assert.throws(() => new Attribute('Location-Information', { 'Index': 1 }), TypeError);
+			assert.throws(() => new Attribute('Location-Information', { 'Bogus': 1 }), TypeError);
+			assert.throws(() => new Attribute('Location-Information', 1), TypeError);
+		});
+	});
+
+	describe('concat attributes', () => {
+
+		const value = Buffer.alloc(600);
+		value.forEach((x, i) => value[i] = i & 0xff);
+
+		it('should accept long values', () => {
+			assert.equal(new Attribute('EAP-Message', value).value.length, 600);
+			assert.throws(() => new Attribute('EAP-Message', Buffer.alloc(4097)), RangeError);
+		});
+
+		it('should split long values over consecutive attributes', () => {
+			const buf = Buffer.alloc(1024);
+			const n = new Attribute('EAP-Message', value).toWire(buf);
+			assert.equal(n, 600 + 3 * 2);
+			assert.deepEqual(buf.slice(0, 2), Buffer.from([79, 255]));
+			assert.deepEqual(buf.slice(255, 257), Buffer.from([79, 255]));
+			assert.deepEqual(buf.slice(510, 512), Buffer.from([79, 96]));
+		});
+
+		it('should join consecutive attributes on decode', () => {
+			const buf = Buffer.alloc(1024);
+			let n = new Attribute('User-Name', 'user').toWire(buf);
+			n = new Attribute('EAP-Message', value).toWire(buf, n);
+			n = new Attribute('State', Buffer.from([1])).toWire(buf, n);
+
+			const attrs = [...AttributeList.fromWire(buf.slice(0, n))];
+			assert.deepEqual(attrs.map(a => a.name), ['User-Name', 'EAP-Message', 'State']);
+			assert.deepEqual(attrs[1].value, value);
+		});
+
+		it('should not join attributes that are not consecutive', () => {
+			const buf = Buffer.from([79, 3, 1, 1, 3, 0x75, 79, 3, 2]);
+			const attrs = [...AttributeList.fromWire(buf)];
+			assert.equal(attrs.length, 3);
+			assert.deepEqual(attrs[2].value, Buffer.from([2]));
+		});
+
+		it('should split and join long VSA values', () => {
+			const buf = Buffer.alloc(1024);
+			const n = new Attribute('Example-Certificate', value).toWire(buf);
+			assert.equal(n, 600 + 3 * 8);
+			assert.deepEqual(buf.slice(0, 8), Buffer.from([26, 255, 0, 1, 0x86, 0x9e, 1, 249]));
+
+			const attrs = [...AttributeList.fromWire(buf.slice(0, n))];
+			assert.equal(attrs.length, 1);
+			assert.deepEqual(attrs[0].value, value);
+		});
+	});
+
+	describe('array attributes', () => {
+
+		const addrs = [...Array(70).keys()].map(i => `192.0.2.${i}`);
+
+		it('should accept an array value', () => {
+			const attr = new Attribute('Example-Address-List', ['192.0.2.1', '192.0.2.2']);
+			assert.deepEqual(attr.value, [Buffer.from([192, 0, 2, 1]), Buffer.from([192, 0, 2, 2])]);
+			assert.equal(attr[inspect](), 'Example-Address-List: [ 192.0.2.1, 192.0.2.2 ]');
+			assert.throws(() => new Attribute('Example-Address-List', '192.0.2.1'), TypeError);
+		});
+
+		it('should decode into an array value', () => {
+			const attr = Attribute.fromWire(Buffer.from([199, 34, 0x20, 0x01, 0x0d, 0xb8, ...Array(12).fill(0), 0x20, 0x01, 0x0d, 0xb8, ...Array(11).fill(0), 1]));
+			assert.deepEqual(attr.avalue.elements.map(String), ['2001:db8::', '2001:db8::1']);
+			assert.throws(() => Attribute.fromWire(Buffer.from([198, 5, 192, 0, 2])), RangeError);
+		});
+
+		it('should split long arrays between elements', () => {
+			const buf = Buffer.alloc(1024);
+			const n = new Attribute('Example-Address-List', addrs).toWire(buf);
+			assert.equal(n, 70 * 4 + 2 * 2);
+			assert.deepEqual(buf.slice(0, 2), Buffer.from([198, 254]));
+			assert.deepEqual(buf.slice(254, 256), Buffer.from([198, 30]));
+
+			const attrs = [...AttributeList.fromWire(buf.slice(0, n))];
+			assert.equal(attrs.length, 2);
+			assert.deepEqual(attrs.map(a => a.value.length), [63, 7]);
+			assert.deepEqual(attrs[1].avalue.elements.map(String), addrs.slice(63));
+		});
+	});
+
+	describe('Vendor-Specific attributes', () => {
+
+		const packed = Buffer.from([
+			26, 14, 0, 0, 0, 9,
+			1, 4, 0x61, 0x3d,
+			2, 4, 0x62, 0x3d
+		]);
+
+		it('should encode the vendor length including its header', () => {
+			const buf = Buffer.alloc(32);
+			const n = new Attribute('Cisco-AVPair', 'a=').toWire(buf);
+			assert.deepEqual(buf.slice(0, n), Buffer.from([26, 10, 0, 0, 0, 9, 1, 4, 0x61, 0x3d]));
+		});
+
+		it('should decode every sub-attribute of a VSA', () => {
+			const attrs = Attribute.fromWireAll(packed);
+			assert.equal(attrs.length, 2);
+			assert.equal(attrs[0].name, 'Cisco-AVPair');
+			assert.equal(attrs[0].toString(), 'a=');
+			assert.equal(attrs[1].name, 'Cisco-NAS-Port');
+			assert.equal(attrs[1].toString(), 'b=');
+			assert.equal(Attribute.fromWire(packed).name, 'Cisco-AVPair');
+		});
+
+		it('should decode every sub-attribute in an attribute list', () => {
+			const buf = Buffer.concat([packed, Buffer.from([1, 3, 0x75])]);
+			const names = [...AttributeList.fromWire(buf)].map(a => a.name);
+			assert.deepEqual(names, ['Cisco-AVPair', 'Cisco-NAS-Port', 'User-Name']);
+		});
+
+		it('should decode the sub-attributes of unknown vendors', () => {
+			const buf = Buffer.from([26, 12, 0, 0, 0xff, 0xfe, 1, 3, 0, 2, 3, 1]);
+			const attrs = Attribute.fromWireAll(buf);
+			assert.equal(attrs.length, 2);
+			assert.equal(attrs[1].name, 'Vendor65534-Unknown-Attribute-2');
+			assert.deepEqual(attrs[1].value, Buffer.from([1]));
+		});
+
+		it('should only pack consecutive same-vendor VSAs when requested', () => {
+			const list = new AttributeList([
+				new Attribute('Cisco-AVPair', 'a='),
+				new Attribute('Cisco-NAS-Port', 'b='),
+				new Attribute('User-Name', 'u'),
+				new Attribute('Cisco-AVPair', 'c=')
+			]);
+
+			const buf = Buffer.alloc(64);
+			let n = list.toWire(buf, 0);
+			assert.equal(n, 10 + 10 + 3 + 10);
+
+			n = list.toWire(buf, 0, undefined, undefined, { pack_vsas: true });
+			assert.equal(n, 14 + 3 + 10);
+			assert.deepEqual(buf.slice(0, 14), packed);
+
+			const names = [...AttributeList.fromWire(buf.slice(0, n))].map(a => a.name);
+			assert.deepEqual(names, ['Cisco-AVPair', 'Cisco-NAS-Port', 'User-Name', 'Cisco-AVPair']);
+		});
+
+		it('should start a new VSA when the current one is full', () => {
+			const value = 'x'.repeat(150);
+			const list = new AttributeList([
+				new Attribute('Cisco-AVPair', value),
+				new Attribute('Cisco-AVPair', value)
+			]);
+
+			const buf = Buffer.alloc(512);
+			const n = list.toWire(buf, 0, undefined, undefined, { pack_vsas: true });
+			assert.equal(n, 2 * (6 + 2 + 150));
+			assert.equal([...AttributeList.fromWire(buf.slice(0, n))].length, 2);
+		});
+
+		it('should pack VSAs after an array split over several VSAs', () => {
+			const addrs = [...Array(70).keys()].map(i => `192.0.2.${i}`);
+			const list = new AttributeList([
+				new Attribute('Example-Vendor-Address-List', addrs),
+				new Attribute('Example-Vendor-Byte', 7)
+			]);
+
+			const buf = Buffer.alloc(512);
+			const n = list.toWire(buf, 0, undefined, undefined, { pack_vsas: true });
+			assert.equal(n, (6 + 2 + 61 * 4) + (6 + 2 + 9 * 4 + 3));
+			assert.equal(buf[1], 6 + 2 + 61 * 4);
+
+			const attrs = [...AttributeList.fromWire(buf.slice(0, n))];
+			assert.deepEqual(attrs.map(a => a.name), [
+				'Example-Vendor-Address-List', 'Example-Vendor-Address-List', 'Example-Vendor-Byte'
+			]);
+			assert.deepEqual(attrs.slice(0, 2).flatMap(a => a.avalue.elements.map(String)), addrs);
+			assert.equal(attrs[2].value, 7);
+		});
+	});
+
+	describe('Extended-Vendor-Specific attributes', () => {
+
+		const wire = Buffer.from([241, 11, 26, 0, 1, 0x86, 0x9c, 1, 0x61, 0x62, 0x63]);
+
+		it('should encode the vendor headers', () => {
+			const buf = Buffer.alloc(32);
+			const n = new Attribute('Example-EVS-String', 'abc').toWire(buf);
+			assert.deepEqual(buf.slice(0, n), wire);
+		});
+
+		it('should decode the vendor attribute', () => {
+			const attr = Attribute.fromWire(wire);
+			assert.equal(attr.name, 'Example-EVS-String');
+			assert.equal(attr.toString(), 'abc');
+		});
+
+		it('should decode unknown vendor attributes', () => {
+			const attr = Attribute.fromWire(Buffer.from([241, 9, 26, 0, 0, 0, 9, 5, 1]));
+			assert.equal(attr.name, 'Unknown-Attribute-241.26.9.5');
+			assert.throws(() => Attribute.fromWire(Buffer.from([241, 7, 26, 0, 0, 0, 9])), RangeError);
+		});
+	});
+
+	describe('VSAs with continuation', () => {
+
+		const value = crypto.randomBytes(600);
+
+		it('should encode the continuation field', () => {
+			const buf = Buffer.alloc(32);
+			const n = new Attribute(Dictionary.vsa(99997, 3), 1).toWire(buf);
+			assert.deepEqual(buf.slice(0, n), Buffer.from([26, 13, 0, 1, 0x86, 0x9d, 3, 7, 0, 0, 0, 0, 1]));
+		});
+
+		it('should continue long values in subsequent VSAs', () => {
+			const buf = Buffer.alloc(1024);
+			const n = new Attribute('Example-WiMAX-Data', value).toWire(buf);
+			assert.equal(n, 600 + 3 * 9);
+			assert.deepEqual(buf.slice(0, 9), Buffer.from([26, 255, 0, 1, 0x86, 0x9d, 2, 249, 0x80]));
+			assert.deepEqual(buf.slice(255, 264), Buffer.from([26, 255, 0, 1, 0x86, 0x9d, 2, 249, 0x80]));
+			assert.deepEqual(buf.slice(510, 519), Buffer.from([26, 117, 0, 1, 0x86, 0x9d, 2, 111, 0]));
+
+			const attrs = [...AttributeList.fromWire(buf.slice(0, n))];
+			assert.equal(attrs.length, 1);
+			assert.deepEqual(attrs[0].value, value);
+		});
+
+		it('should decode TLVs', () => {
+			const buf = Buffer.alloc(64);
+			const attr = new Attribute('Example-WiMAX-Capability', { 'Example-WiMAX-Release': '1.0' });
+			const n = attr.toWire(buf);
+			const [release] = Attribute.fromWire(buf.slice(0, n)).value;
+			assert.equal(release.name, 'Example-WiMAX-Release');
+			assert.equal(release.toString(), '1.0');
+		});
+
+		it('should throw if the fragments do not match', () => {
+			const buf = Buffer.from([
+				26, 10, 0, 1, 0x86, 0x9d, 2, 4, 0x80, 1,
+				26, 10, 0, 1, 0x86, 0x9d, 3, 4, 0, 2
+			]);
+			assert.throws(() => AttributeList.fromWire(buf), RangeError);
+			assert.throws(() => AttributeList.fromWire(buf.slice(0, 10)), RangeError);
+		});
+	});
+
+	describe('internal attributes', () => {
+
+		it('should not be encoded', () => {
+			const attr = new Attribute('Example-Internal', 'x');
+			assert.throws(() => attr.toWire(Buffer.alloc(32)), /internal/);
+		});
+	});
+
+	describe('extended attributes', () => {
+
+		it('should encode an extended attribute', () => {
+			const attr = new Attribute('Frag-Status', 2);
+			const buf = Buffer.alloc(32);
+			const n = attr.toWire(buf);
+			assert.deepEqual(buf.slice(0, n), Buffer.from([241, 7, 1, 0, 0, 0, 2]));
+		});
+
+		it('should decode an extended attribute', () => {
+			const attr = Attribute.fromWire(Buffer.from([241, 7, 2, 0, 0, 1, 0]));
+			assert.equal(attr.name, 'Proxy-State-Length');
+			assert.equal(attr.value, 256);
+		});
+
+		it('should decode an unknown extended attribute', () => {
+			const attr = Attribute.fromWire(Buffer.from([242, 5, 99, 1, 2]));
+			assert.equal(attr.name, 'Unknown-Attribute-242.99');
+			assert.deepEqual(attr.value, Buffer.from([1, 2]));
+		});
+
+		it('should throw if an extended attribute value is too long', () => {
+			const attr = new Attribute(Dictionary.extended(242, 99), Buffer.alloc(253));
+			assert.throws(() => attr.toWire(Buffer.alloc(4096)), RangeError);
+		});
+
+		it('should throw if an extended attribute is too short', () => {
+			assert.throws(() => Attribute.fromWire(Buffer.from([241, 2])), RangeError);
+		});
+
+		it('should encode and decode a short long extended attribute', () => {
+			const attr = new Attribute(Dictionary.extended(245, 1), Buffer.from([1, 2, 3]));
+			const buf = Buffer.alloc(32);
+			const n = attr.toWire(buf);
+			assert.deepEqual(buf.slice(0, n), Buffer.from([245, 7, 1, 0, 1, 2, 3]));
+			assert.deepEqual(Attribute.fromWire(buf.slice(0, n)).value, attr.value);
+		});
+
+		it('should fragment and reassemble a long extended attribute', () => {
+			const value = Buffer.alloc(600, 0x5a);
+			const attr = new Attribute(Dictionary.extended(245, 1), value);
+			const buf = Buffer.alloc(4096);
+			const n = attr.toWire(buf);
+			assert.equal(n, 600 + 3 * 4);
+			assert.deepEqual(buf.slice(0, 4), Buffer.from([245, 255, 1, 0x80]));
+			assert.deepEqual(buf.slice(255, 259), Buffer.from([245, 255, 1, 0x80]));
+			assert.deepEqual(buf.slice(510, 514), Buffer.from([245, 102, 1, 0x00]));
+
+			const decoded = Attribute.fromWire(buf.slice(0, n));
+			assert.deepEqual(decoded.value, value);
+		});
+
+		it('should throw if a long extended attribute is missing fragments', () => {
+			const buf = Buffer.from([245, 5, 1, 0x80, 0]);
+			assert.throws(() => Attribute.fromWire(buf), RangeError);
+		});
+
+		it('should throw if long extended attribute fragments do not match', () => {
+			const buf = Buffer.from([245, 5, 1, 0x80, 0, 245, 5, 2, 0, 0]);
+			assert.throws(() => Attribute.fromWire(buf), RangeError);
+		});
+	});
+
+	describe('TLV attributes', () => {
+
+		const wire = Buffer.from([
+			173, 14,
+			1, 6, 0, 0, 0, 24,
+			3, 6, 192, 0, 2, 1
+		]);
+
+		it('should construct a TLV attribute from an object', () => {
+			const attr = new Attribute('IPv6-6rd-Configuration', {
+				'IPv6-6rd-IPv4MaskLen': 24,
+				'IPv6-6rd-BR-IPv4-Address': '192.0.2.1'
+			});
+			const children = [...attr.value];
+			assert.equal(children.length, 2);
+			assert.equal(children[0].name, 'IPv6-6rd-IPv4MaskLen');
+			assert.equal(children[1].toString(), '192.0.2.1');
+		});
+
+		it('should encode a TLV attribute', () => {
+			const attr = new Attribute('IPv6-6rd-Configuration', [
+				[ 'IPv6-6rd-IPv4MaskLen', 24 ],
+				[ 3, '192.0.2.1' ]
+			]);
+			const buf = Buffer.alloc(32);
+			const n = attr.toWire(buf);
+			assert.deepEqual(buf.slice(0, n), wire);
+		});
+
+		it('should decode a TLV attribute into a list of child attributes', () => {
+			const attr = Attribute.fromWire(wire);
+			assert.equal(attr.name, 'IPv6-6rd-Configuration');
+			const [len, addr] = attr.value;
+			assert.equal(len.name, 'IPv6-6rd-IPv4MaskLen');
+			assert.equal(len.value, 24);
+			assert.equal(addr.name, 'IPv6-6rd-BR-IPv4-Address');
+			assert.equal(addr.toString(), '192.0.2.1');
+		});
+
+		it('should round-trip nested TLV attributes', () => {
+			const attr = new Attribute('Example-Capability', {
+				'Example-Capability-Version': '2.0',
+				'Example-Capability-Limits': {
+					'Example-Limit-Sessions': 4,
+					'Example-Limit-Bandwidth': 1000
+				}
+			});
+			const buf = Buffer.alloc(64);
+			const n = attr.toWire(buf);
+			assert.equal(n, 2 + 5 + 14);
+
+			const decoded = Attribute.fromWire(buf.slice(0, n));
+			assert.equal(decoded.name, 'Example-Capability');
+			const [version, limits] = decoded.value;
+			assert.equal(version.toString(), '2.0');
+			assert.equal(limits.name, 'Example-Capability-Limits');
+			const [sessions, bandwidth] = limits.value;
+			assert.equal(sessions.value, 4);
+			assert.equal(bandwidth.value, 1000);
+		});
+
+		it('should decode unknown TLV children as octets', () => {
+			const attr = Attribute.fromWire(Buffer.from([173, 5, 99, 3, 7]));
+			const [child] = attr.value;
+			assert.equal(child.name, 'IPv6-6rd-Configuration-Unknown-Attribute-99');
+			assert.deepEqual(child.value, Buffer.from([7]));
+		});
+
+		it('should throw if a TLV is truncated', () => {
+			assert.throws(() => Attribute.fromWire(Buffer.from([173, 5, 1, 6, 0])), RangeError);
+			assert.throws(() => Attribute.fromWire(Buffer.from([173, 3, 1])), RangeError);
+		});
+
+		it('should throw if a child does not belong to the TLV', () => {
+			assert.throws(() => new Attribute('IPv6-6rd-Configuration', { 'User-Name': 'x' }), RangeError);
+			const child = new Attribute('Example-Limit-Sessions', 1);
+			assert.throws(() => new Attribute('IPv6-6rd-Configuration', [ child ]), TypeError);
+		});
+
+		it('should throw if a TLV value is of the wrong type', () => {
+			assert.throws(() => new Attribute('IPv6-6rd-Configuration', 1), TypeError);
+		});
+	});
 });
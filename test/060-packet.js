@@ -1,7 +1,10 @@
 const assert = require('assert').strict;
 
+const crypto = require('crypto');
 const RadiusPacket = require('../lib/packet.js');
-// Dictionary.load(__dirname + '/dictionary/dictionary.rfc2865');
+const Dictionary = require('../lib/dictionary.js');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc2865');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc3579');
 
 describe('Packet', () => {
 
@@ -47,21 +50,201 @@ describe('Packet', () => {
 		});
 	});
 
+	describe('.randomAuthenticator', () => {
+		it('should return distinct 16 byte buffers', () => {
+			const a = RadiusPacket.randomAuthenticator();
+			const b = RadiusPacket.randomAuthenticator();
+			assert.equal(a.length, 16);
+			assert.equal(b.length, 16);
+			assert.notDeepEqual(a, b);
+		});
+	});
+
 	describe('#add', () => {
 	});
 
 	describe('#has', () => {
+		it('should match a VALUE name or number', () => {
+			const packet = new RadiusPacket(1, 10, Buffer.alloc(16)).add('Service-Type', 'Framed-User');
+			assert.ok(packet.has('Service-Type'));
+			assert.ok(packet.has('Service-Type', 'framed-user'));
+			assert.ok(packet.has('Service-Type', 2));
+			assert.ok(!packet.has('Service-Type', 'Login-User'));
+		});
 	});
 
 	describe('#get', () => {
+		it('should only return an attribute with the given value', () => {
+			const packet = new RadiusPacket(1, 10, Buffer.alloc(16))
+				.add('Service-Type', 1)
+				.add('Service-Type', 2);
+			assert.equal(packet.get('Service-Type').label, 'Login-User');
+			assert.equal(packet.get('Service-Type', 'Framed-User').value, 2);
+			assert.equal(packet.get('Service-Type', 3), undefined);
+			assert.equal(packet.getAll('Service-Type', 'Framed-User').length, 1);
+		});
+
+		it('should return the joined value of a concat attribute', () => {
+			const auth = Buffer.alloc(16, 0x55);
+			const value = crypto.randomBytes(600);
+			const buf = new RadiusPacket(1, 10, auth).add('EAP-Message', value).toWire('secret');
+			const packet = RadiusPacket.fromWire(buf, 'secret');
+			assert.equal(packet.getAll('EAP-Message').length, 1);
+			assert.deepEqual(packet.get('EAP-Message').value, value);
+		});
 	});
 
 	describe('#getAll', () => {
 	});
 
 	describe('#fromWire', () => {
+		const auth = Buffer.alloc(16, 0x55);
+
+		it('should verify a valid Message-Authenticator', () => {
+			const buf = new RadiusPacket(1, 10, auth).toWire('secret', false, true);
+			const packet = RadiusPacket.fromWire(buf, 'secret');
+			assert.ok(packet.hasMessageAuthenticator);
+		});
+
+		it('should throw if the Message-Authenticator is invalid', () => {
+			const buf = new RadiusPacket(1, 10, auth).toWire('secret', false, true);
+			assert.throws(() => RadiusPacket.fromWire(buf, 'wrong'), /Message-Authenticator/);
+
+			buf[buf.length - 1] ^= 0xff;
+			assert.throws(() => RadiusPacket.fromWire(buf, 'secret'), /Message-Authenticator/);
+		});
+
+		it('should verify a response Message-Authenticator using the request authenticator', () => {
+			const buf = new RadiusPacket(2, 10, auth).toWire('secret', true, true);
+			assert.throws(() => RadiusPacket.fromWire(buf, 'secret'), /Message-Authenticator/);
+			const packet = RadiusPacket.fromWire(buf, 'secret', auth);
+			assert.ok(packet.hasMessageAuthenticator);
+		});
+	});
+
+	describe('#dictionary', () => {
+		const auth = Buffer.alloc(16, 0x55);
+		const dict = new Dictionary();
+		dict.load(__dirname + '/dictionary/dictionary.instance');
+
+		it('should use the default dictionary unless given one', () => {
+			assert.equal(new RadiusPacket(1, 10, auth).dictionary, Dictionary.default);
+			assert.equal(new RadiusPacket(1, 10, auth, [], dict).dictionary, dict);
+		});
+
+		it('should look up attributes in its own dictionary', () => {
+			const buf = new RadiusPacket(1, 10, auth, [], dict).add(1, 'user').add(2, 1).toWire('secret');
+			const packet = RadiusPacket.fromWire(buf, 'secret', undefined, dict);
+			assert.equal(packet.dictionary, dict);
+			assert.equal(packet.get('Example-Instance-Number').value, 1);
+			assert.equal(packet.get(1).name, 'Example-Instance-Name');
+			assert.equal(packet.get(2).name, 'Example-Instance-Number');
+			assert.throws(() => packet.get('User-Name'), RangeError);
+		});
+
+		it('should match values using its own dictionary', () => {
+			const packet = new RadiusPacket(1, 10, auth, [], dict)
+				.add('Example-Instance-Number', 'One')
+				.add('Example-Instance-TLV', { 'Example-Instance-Child': 'a' });
+			assert.ok(packet.has('Example-Instance-Number', 'one'));
+			assert.ok(packet.has('Example-Instance-TLV', { 'Example-Instance-Child': 'a' }));
+			assert.ok(!packet.has('Example-Instance-TLV', { 'Example-Instance-Child': 'b' }));
+			assert.equal(packet.getAll('Example-Instance-TLV', [['Example-Instance-Child', 'a']]).length, 1);
+
+			// unknown children are added to the packet's dictionary
+			const name = 'Example-Instance-TLV-Unknown-Attribute-5';
+			assert.ok(!packet.has('Example-Instance-TLV', [[5, Buffer.from('x')]]));
+			assert.equal(dict.get(name).id, 5);
+			assert.throws(() => Dictionary.get(name), RangeError);
+		});
+
+		it('should copy an attribute list belonging to another dictionary', () => {
+			const packet = new RadiusPacket(1, 10, auth, [], dict).add(1, 'user');
+			const copy = new RadiusPacket(1, 10, auth, packet.attributes);
+			assert.equal(copy.dictionary, dict);
+			const other = new RadiusPacket(1, 10, auth, packet.attributes, Dictionary.default);
+			assert.equal(other.dictionary, Dictionary.default);
+			assert.notEqual(other.attributes, packet.attributes);
+			assert.equal(other.attributes.dictionary, Dictionary.default);
+		});
+	});
+
+	describe('.verifyAuthenticator', () => {
+		const auth = Buffer.alloc(16, 0x55);
+
+		it('should accept a valid Accounting-Request', () => {
+			const buf = new RadiusPacket(4, 10, auth).toWire('secret', false, true);
+			assert.ok(RadiusPacket.verifyAuthenticator(buf, 'secret'));
+		});
+
+		it('should reject an Accounting-Request with the wrong secret', () => {
+			const buf = new RadiusPacket(4, 10, auth).toWire('secret', false);
+			assert.ok(!RadiusPacket.verifyAuthenticator(buf, 'wrong'));
+		});
+
+		it('should check the Response Authenticator of a response', () => {
+			const buf = new RadiusPacket(5, 10, auth).toWire('secret');
+			assert.ok(RadiusPacket.verifyAuthenticator(buf, 'secret', auth));
+			assert.ok(!RadiusPacket.verifyAuthenticator(buf, 'secret', Buffer.alloc(16)));
+		});
+
+		it('should check the Message-Authenticator of an Access-Request', () => {
+			const buf = new RadiusPacket(1, 10, auth).toWire('secret', false, true);
+			assert.ok(RadiusPacket.verifyAuthenticator(buf, 'secret'));
+			assert.ok(!RadiusPacket.verifyAuthenticator(buf, 'wrong'));
+		});
+
+		it('should reject truncated buffers', () => {
+			assert.ok(!RadiusPacket.verifyAuthenticator(Buffer.alloc(10), 'secret'));
+		});
 	});
 
 	describe('#toWire', () => {
+		const auth = Buffer.alloc(16, 0x55);
+
+		it('should not add a Message-Authenticator unless requested', () => {
+			const buf = new RadiusPacket(1, 10, auth).toWire('secret', false);
+			assert.equal(buf.length, 20);
+		});
+
+		it('should add a Message-Authenticator as the first attribute', () => {
+			const packet = new RadiusPacket(1, 10, auth).add(33, Buffer.from('state'));
+			const buf = packet.toWire('secret', false, true);
+			assert.equal(buf.length, 20 + 18 + 7);
+			assert.equal(buf.readUInt16BE(2), buf.length);
+			assert.equal(buf[20], 80);
+			assert.equal(buf[21], 18);
+		});
+
+		it('should calculate the Message-Authenticator using HMAC-MD5', () => {
+			const buf = new RadiusPacket(1, 10, auth).toWire('secret', false, true);
+			const tmp = Buffer.from(buf);
+			tmp.fill(0, 22, 38);
+			const hmac = crypto.createHmac('md5', 'secret').update(tmp).digest();
+			assert.deepEqual(buf.slice(22, 38), hmac);
+		});
+
+		it('should calculate the Request Authenticator of an Accounting-Request', () => {
+			const buf = new RadiusPacket(4, 10, auth).toWire('secret', false);
+			const tmp = Buffer.from(buf);
+			tmp.fill(0, 4, 20);
+			const hash = crypto.createHash('md5').update(tmp).update('secret').digest();
+			assert.deepEqual(buf.slice(4, 20), hash);
+		});
+
+		it('should calculate the Request Authenticator of CoA and Disconnect requests', () => {
+			for (const code of [40, 43]) {
+				const buf = new RadiusPacket(code, 10, auth).toWire('secret', false);
+				assert.notDeepEqual(buf.slice(4, 20), auth);
+				assert.ok(RadiusPacket.verifyAuthenticator(buf, 'secret'));
+			}
+		});
+
+		it('should fill in an existing Message-Authenticator attribute', () => {
+			const packet = new RadiusPacket(1, 10, auth).add(80, Buffer.alloc(16));
+			const buf = packet.toWire('secret', false, true);
+			assert.equal(buf.length, 38);
+			assert.notDeepEqual(buf.slice(22, 38), Buffer.alloc(16));
+		});
 	});
 });
@@ -0,0 +1,47 @@
+const assert = require('assert').strict;
+
+const ErrorCause = require('../lib/errcause.js');
+
+describe('ErrorCause', () => {
+
+	describe('#constructor()', () => {
+		it('should throw', () => {
+			assert.throws(() => new ErrorCause());
+			assert.throws(() => new ErrorCause(405));
+		});
+	});
+
+	describe('.from()', () => {
+		it('should allow lookup by number', () => {
+			assert.equal(ErrorCause.from(405), ErrorCause.UNSUPPORTED_SERVICE);
+		});
+
+		it('should allow lookup by canonical string', () => {
+			assert.equal(ErrorCause.from('Session-Context-Not-Found'), ErrorCause.SESSION_CONTEXT_NOT_FOUND);
+		});
+
+		it('should allow lookup by lower case string', () => {
+			assert.equal(ErrorCause.from('unsupported-service'), ErrorCause.UNSUPPORTED_SERVICE);
+		});
+
+		it('should throw if an unassigned value is passed', () => {
+			assert.throws(() => ErrorCause.from(999), RangeError);
+			assert.throws(() => ErrorCause.from('xyzzy'), RangeError);
+			assert.throws(() => ErrorCause.from());
+		});
+	});
+
+	describe('#toString()', () => {
+		it('should return the canonical name', () => {
+			assert.equal(ErrorCause[503].toString(), 'Session-Context-Not-Found');
+		});
+	});
+
+	describe('#isSuccess', () => {
+		it('should only be true for 2xx values', () => {
+			assert.ok(ErrorCause[201].isSuccess);
+			assert.ok(!ErrorCause[405].isSuccess);
+			assert.ok(!ErrorCause[503].isSuccess);
+		});
+	});
+});
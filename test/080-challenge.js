@@ -0,0 +1,94 @@
+const assert = require('assert').strict;
+
+const ChallengeStore = require('../lib/challenge.js');
+
+describe('ChallengeStore', () => {
+
+	describe('#constructor', () => {
+		it('should throw if the parameters are invalid', () => {
+			assert.throws(() => new ChallengeStore({ timeout: 'x' }), TypeError);
+			assert.throws(() => new ChallengeStore({ timeout: 0 }), RangeError);
+			assert.throws(() => new ChallengeStore({ limit: 0 }), RangeError);
+			assert.throws(() => new ChallengeStore({ limit: 1.5 }), RangeError);
+		});
+	});
+
+	describe('#create', () => {
+		it('should return distinct 16 byte State values', () => {
+			const store = new ChallengeStore();
+			const a = store.create(1);
+			const b = store.create(2);
+			assert.equal(a.length, 16);
+			assert.notDeepEqual(a, b);
+			assert.equal(store.size, 2);
+		});
+
+		it('should throw if the store is full', () => {
+			const store = new ChallengeStore({ limit: 2 });
+			store.create(1);
+			store.create(2);
+			assert.throws(() => store.create(3), RangeError);
+		});
+	});
+
+	describe('#get', () => {
+		it('should return the data for a known State', () => {
+			const store = new ChallengeStore();
+			const state = store.create({ round: 1 });
+			assert.deepEqual(store.get(state), { round: 1 });
+			assert.ok(store.has(state));
+		});
+
+		it('should accept a State attribute', () => {
+			const store = new ChallengeStore();
+			const state = store.create('data');
+			assert.equal(store.get({ value: state }), 'data');
+		});
+
+		it('should return undefined for an unknown State', () => {
+			const store = new ChallengeStore();
+			assert.equal(store.get(Buffer.alloc(16)), undefined);
+			assert.ok(!store.has(Buffer.alloc(16)));
+		});
+
+		it('should throw if the State is the wrong type', () => {
+			const store = new ChallengeStore();
+			assert.throws(() => store.get('state'), TypeError);
+			assert.throws(() => store.get(undefined), TypeError);
+		});
+
+		it('should not return expired entries', (done) => {
+			const store = new ChallengeStore({ timeout: 0.01, limit: 1 });
+			const state = store.create('data');
+			setTimeout(() => {
+				assert.equal(store.get(state), undefined);
+				store.create('more');	// space is reclaimed
+				done();
+			}, 20);
+		});
+	});
+
+	describe('#set', () => {
+		it('should replace the data for a known State', () => {
+			const store = new ChallengeStore();
+			const state = store.create(1);
+			store.set(state, 2);
+			assert.equal(store.get(state), 2);
+		});
+
+		it('should throw for an unknown State', () => {
+			const store = new ChallengeStore();
+			assert.throws(() => store.set(Buffer.alloc(16), 1), RangeError);
+		});
+	});
+
+	describe('#delete', () => {
+		it('should remove an entry', () => {
+			const store = new ChallengeStore();
+			const state = store.create(1);
+			assert.ok(store.delete(state));
+			assert.ok(!store.has(state));
+			assert.ok(!store.delete(state));
+		});
+	});
+});
@@ -0,0 +1,93 @@
+const assert = require('assert').strict;
+
+const CHAP = require('../lib/chap.js');
+const RadiusPacket = require('../lib/packet.js');
+const Dictionary = require('../lib/dictionary.js');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc2865');
+
+const authenticator = Buffer.alloc(16, 0x55);
+const expected = Buffer.from('49c4a015c214fc140892fa08ece35834', 'hex');
+
+function request(chap_password, challenge)
+{
+	const req = new RadiusPacket('Access-Request', 1, authenticator)
+		.add('User-Name', 'myuser')
+		.add('CHAP-Password', chap_password);
+	if (challenge) {
+		req.add('CHAP-Challenge', challenge);
+	}
+	return req;
+}
+
+function response(req)
+{
+	return new RadiusPacket('Access-Reject', req.identifier, req.authenticator);
+}
+
+describe('CHAP', () => {
+
+	describe('.response', () => {
+		it('should calculate the RFC 1994 response', () => {
+			assert.deepEqual(CHAP.response(1, 'mypass', authenticator), expected);
+		});
+	});
+
+	describe('.verify', () => {
+		it('should use the Request Authenticator as the challenge', () => {
+			const req = request(Buffer.concat([Buffer.from([1]), expected]));
+			assert.ok(CHAP.verify(req, 'mypass'));
+			assert.ok(!CHAP.verify(req, 'wrong'));
+		});
+
+		it('should use CHAP-Challenge when present', () => {
+			const challenge = Buffer.from('0123456789abcdef0123');
+			const value = CHAP.response(7, 'mypass', challenge);
+			const req = request(Buffer.concat([Buffer.from([7]), value]), challenge);
+			assert.ok(CHAP.verify(req, 'mypass'));
+			assert.ok(CHAP.verify(req, Buffer.from('mypass')));
+			assert.ok(!CHAP.verify(request(Buffer.concat([Buffer.from([7]), value])), 'mypass'));
+		});
+
+		it('should fail for a missing or malformed CHAP-Password', () => {
+			const req = new RadiusPacket('Access-Request', 1, authenticator).add('User-Name', 'myuser');
+			assert.ok(!CHAP.verify(req, 'mypass'));
+			assert.ok(!CHAP.verify(request(expected), 'mypass'));
+		});
+	});
+
+	describe('.handler', () => {
+		const handler = CHAP.handler(async (username) => (username === 'myuser') ? 'mypass' : undefined);
+
+		it('should throw if the lookup is not a function', () => {
+			assert.throws(() => CHAP.handler(), TypeError);
+		});
+
+		it('should accept a valid request and continue', async () => {
+			const req = request(Buffer.concat([Buffer.from([1]), expected]));
+			const res = response(req);
+			assert.equal(await handler.auth(req, res), false);
+			assert.equal(res.code.toString(), 'Access-Accept');
+		});
+
+		it('should reject an invalid request immediately', async () => {
+			const req = request(Buffer.concat([Buffer.from([2]), expected]));
+			const res = response(req);
+			assert.equal(await handler.auth(req, res), true);
+			assert.equal(res.code.toString(), 'Access-Reject');
+		});
+
+		it('should reject an unknown user', async () => {
+			const req = new RadiusPacket('Access-Request', 1, authenticator)
+				.add('User-Name', 'other')
+				.add('CHAP-Password', Buffer.concat([Buffer.from([1]), expected]));
+			assert.equal(await handler.auth(req, response(req)), true);
+		});
+
+		it('should ignore a request without CHAP-Password', async () => {
+			const req = new RadiusPacket('Access-Request', 1, authenticator).add('User-Name', 'myuser');
+			const res = response(req);
+			assert.equal(await handler.auth(req, res), false);
+			assert.equal(res.code.toString(), 'Access-Reject');
+		});
+	});
+});
@@ -0,0 +1,162 @@
+const assert = require('assert').strict;
+
+const MSCHAP = require('../lib/mschap.js');
+const RadiusPacket = require('../lib/packet.js');
+const Dictionary = require('../lib/dictionary.js');
+Dictionary.load('rfc2865');
+Dictionary.load('microsoft');
+
+const hex = (s) => Buffer.from(s, 'hex');
+
+// test vectors from RFC 2759 §9.2 and RFC 3079 §3.5.3
+const password_hash = hex('44EBBA8D5312B8D611474411F56989AE');
+const password_hash_hash = hex('41C00C584BD2D91C4017A2A12FA59F3F');
+const auth_challenge = hex('5B5D7C7D7B3F2F3E3C2C602132262628');
+const peer_challenge = hex('21402324255E262A28295F2B3A337C7E');
+const challenge = hex('D02E4386BCE91226');
+const nt_response = hex('82309ECD8D708B5EA08FAA3981CD83544233114A3D85D6DF');
+const success = 'S=407A5589115FD0D6209F510FE9C04566932CDA56';
+const send_key = hex('8B7CDC149B993A1BA118CB153F56DCCB');
+
+const authenticator = Buffer.alloc(16, 0x55);
+
+function v2Request(username = 'User', response = nt_response)
+{
+	return new RadiusPacket('Access-Request', 1, authenticator)
+		.add('User-Name', username)
+		.add('MS-CHAP-Challenge', auth_challenge)
+		.add('MS-CHAP2-Response', Buffer.concat([
+			Buffer.from([7, 0]), peer_challenge, Buffer.alloc(8), response
+		]));
+}
+
+function v1Request(flags = 1)
+{
+	return new RadiusPacket('Access-Request', 1, authenticator)
+		.add('User-Name', 'User')
+		.add('MS-CHAP-Challenge', challenge)
+		.add('MS-CHAP-Response', Buffer.concat([
+			Buffer.from([7, flags]), Buffer.alloc(24), nt_response
+		]));
+}
+
+function response(req)
+{
+	return new RadiusPacket('Access-Reject', req.identifier, req.authenticator);
+}
+
+describe('MSCHAP', () => {
+
+	describe('.ntPasswordHash', () => {
+		it('should calculate the NT password hash', () => {
+			assert.deepEqual(MSCHAP.ntPasswordHash('clientPass'), password_hash);
+			assert.deepEqual(MSCHAP.ntPasswordHash(''), hex('31D6CFE0D16AE931B73C59D7E0C089C0'));
+		});
+	});
+
+	describe('.verify', () => {
+		it('should verify an MS-CHAPv2 response', () => {
+			assert.ok(MSCHAP.verify(v2Request(), 'clientPass'));
+			assert.ok(MSCHAP.verify(v2Request(), password_hash));
+			assert.ok(!MSCHAP.verify(v2Request(), 'wrongPass'));
+			assert.ok(!MSCHAP.verify(v2Request('Other'), 'clientPass'));
+		});
+
+		it('should ignore the domain of the user name', () => {
+			assert.ok(MSCHAP.verify(v2Request('DOMAIN\\User'), 'clientPass'));
+		});
+
+		it('should verify an MS-CHAPv1 response', () => {
+			assert.ok(MSCHAP.verify(v1Request(), 'clientPass'));
+			assert.ok(!MSCHAP.verify(v1Request(), 'wrongPass'));
+			assert.ok(!MSCHAP.verify(v1Request(0), 'clientPass'));
+		});
+
+		it('should fail for requests without an MS-CHAP exchange', () => {
+			const req = new RadiusPacket('Access-Request', 1, authenticator).add('User-Name', 'User');
+			assert.ok(!MSCHAP.verify(req, 'clientPass'));
+		});
+
+		it('should throw for an invalid NT hash', () => {
+			assert.throws(() => MSCHAP.verify(v2Request(), Buffer.alloc(8)), TypeError);
+		});
+	});
+
+	describe('.addSuccess', () => {
+		it('should add the MS-CHAPv2 authenticator response and MPPE keys', () => {
+			const req = v2Request();
+			const res = response(req);
+			MSCHAP.addSuccess(req, res, 'clientPass');
+			assert.deepEqual(res.get('MS-CHAP2-Success').value, Buffer.from('\x07' + success));
+			assert.deepEqual(res.get('MS-MPPE-Send-Key').value, send_key);
+			assert.equal(res.get('MS-MPPE-Recv-Key').value.length, 16);
+		});
+
+		it('should encrypt the MPPE keys', () => {
+			const req = v2Request();
+			const res = response(req);
+			res.code = 'Access-Accept';
+			MSCHAP.addSuccess(req, res, 'clientPass');
+
+			const buf = res.toWire('secret');
+			assert.equal(buf.indexOf(send_key), -1);
+
+			const decoded = RadiusPacket.fromWire(buf, 'secret', authenticator);
+			assert.deepEqual(decoded.get('MS-MPPE-Send-Key').value, send_key);
+		});
+
+		it('should add the MS-CHAPv1 MPPE keys', () => {
+			const req = v1Request();
+			const res = response(req);
+			MSCHAP.addSuccess(req, res, 'clientPass');
+			assert.deepEqual(res.get('MS-CHAP-MPPE-Keys').value,
+				Buffer.concat([Buffer.alloc(8), password_hash_hash]));
+			assert.ok(!res.has('MS-CHAP2-Success'));
+		});
+	});
+
+	describe('.addError', () => {
+		it('should add an MS-CHAP-Error', () => {
+			const req = v2Request();
+			const res = response(req);
+			MSCHAP.addError(req, res);
+			assert.match(res.get('MS-CHAP-Error').toString(), /^\x07E=691 R=0 C=[0-9A-F]{32} V=3 M=/);
+		});
+	});
+
+	describe('.handler', () => {
+		const handler = MSCHAP.handler((username) => (username === 'User') ? 'clientPass' : undefined);
+
+		it('should throw if the lookup is not a function', () => {
+			assert.throws(() => MSCHAP.handler('clientPass'), TypeError);
+		});
+
+		it('should accept a valid request and continue', async () => {
+			const req = v2Request();
+			const res = response(req);
+			assert.equal(await handler.auth(req, res), false);
+			assert.equal(res.code.toString(), 'Access-Accept');
+			assert.ok(res.has('MS-CHAP2-Success'));
+		});
+
+		it('should reject an invalid request immediately', async () => {
+			const req = v2Request('User', Buffer.alloc(24));
+			const res = response(req);
+			assert.equal(await handler.auth(req, res), true);
+			assert.equal(res.code.toString(), 'Access-Reject');
+			assert.ok(res.has('MS-CHAP-Error'));
+		});
+
+		it('should reject an unknown user', async () => {
+			const req = v2Request('Other');
+			assert.equal(await handler.auth(req, response(req)), true);
+		});
+
+		it('should ignore a request without MS-CHAP-Challenge', async () => {
+			const req = new RadiusPacket('Access-Request', 1, authenticator).add('User-Name', 'User');
+			const res = response(req);
+			assert.equal(await handler.auth(req, res), false);
+			assert.equal([...res.attributes].length, 0);
+		});
+	});
+});
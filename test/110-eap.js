@@ -0,0 +1,201 @@
+const assert = require('assert').strict;
+
+const EAPHandler = require('../lib/eap.js');
+const CHAP = require('../lib/chap.js');
+const ChallengeStore = require('../lib/challenge.js');
+const RadiusPacket = require('../lib/packet.js');
+const Dictionary = require('../lib/dictionary.js');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc2865');
+Dictionary.load(__dirname + '/dictionary/dictionary.rfc3579');
+
+const authenticator = Buffer.alloc(16, 0x55);
+
+function request(eap, state)
+{
+	const req = new RadiusPacket('Access-Request', 1, authenticator)
+		.add('Message-Authenticator', Buffer.alloc(16));
+	for (let i = 0; i < eap.length; i += 253) {
+		req.add('EAP-Message', eap.slice(i, i + 253));
+	}
+	if (state) {
+		req.add('State', state);
+	}
+	return req;
+}
+
+function response(req)
+{
+	return new RadiusPacket('Access-Reject', req.identifier, req.authenticator);
+}
+
+// the EAP packet within a response
+function message(res)
+{
+	return EAPHandler.parse(Buffer.concat(res.getAll('EAP-Message').map(m => m.value)));
+}
+
+function identity(id, name = 'myuser')
+{
+	return EAPHandler.encode(2, id, 1, Buffer.from(name));
+}
+
+// a method that requests a large value and accepts any reply
+const echo = {
+	type: 254,
+	start: () => Buffer.alloc(400, 0x2a),
+	process: () => true
+};
+
+describe('EAPHandler', () => {
+
+	const lookup = (username) => (username === 'myuser') ? 'mypass' : undefined;
+
+	describe('.parse / .encode', () => {
+		it('should round-trip EAP packets', () => {
+			const buf = EAPHandler.encode(2, 7, 1, Buffer.from('me'));
+			assert.deepEqual(buf, Buffer.from([2, 7, 0, 7, 1, 0x6d, 0x65]));
+			assert.deepEqual(EAPHandler.parse(buf), { code: 2, identifier: 7, type: 1, data: Buffer.from('me') });
+			assert.deepEqual(EAPHandler.parse(EAPHandler.encode(3, 7)), { code: 3, identifier: 7 });
+		});
+
+		it('should reject malformed packets', () => {
+			assert.equal(EAPHandler.parse(Buffer.from([2, 7, 0])), undefined);
+			assert.equal(EAPHandler.parse(Buffer.from([2, 7, 0, 9, 1])), undefined);
+			assert.equal(EAPHandler.parse(Buffer.from([2, 7, 0, 4])), undefined);
+			assert.equal(EAPHandler.parse(Buffer.from([9, 7, 0, 5, 1])), undefined);
+		});
+	});
+
+	describe('#register', () => {
+		it('should throw for invalid methods', () => {
+			const handler = new EAPHandler({ methods: [EAPHandler.md5(lookup)] });
+			assert.throws(() => handler.register({}), TypeError);
+			assert.throws(() => handler.register({ ...echo, type: 1 }), RangeError);
+			assert.throws(() => handler.register(EAPHandler.md5(lookup)), RangeError);
+			assert.throws(() => EAPHandler.md5(), TypeError);
+		});
+
+		it('should keep methods in order of preference', () => {
+			const handler = new EAPHandler().register(echo).register(EAPHandler.md5(lookup));
+			assert.deepEqual(handler.methods, [254, 4]);
+		});
+	});
+
+	describe('#auth', () => {
+		const handler = new EAPHandler({ methods: [EAPHandler.md5(lookup)] });
+
+		// run an EAP-MD5 conversation with the given password
+		async function md5(password) {
+			const challenges = new ChallengeStore();
+
+			const req1 = request(identity(5));
+			const res1 = response(req1);
+			assert.equal(await handler.auth(req1, res1, challenges), true);
+			assert.equal(res1.code.toString(), 'Access-Challenge');
+			assert.ok(res1.has('Message-Authenticator'));
+
+			const eap = message(res1);
+			assert.equal(eap.code, 1);
+			assert.equal(eap.identifier, 6);
+			assert.equal(eap.type, 4);
+			assert.equal(eap.data[0], 16);
+
+			const value = CHAP.response(eap.identifier, password, eap.data.slice(1));
+			const reply = EAPHandler.encode(2, eap.identifier, 4, Buffer.concat([Buffer.from([16]), value]));
+			const req2 = request(reply, res1.get('State').value);
+			const res2 = response(req2);
+			const done = await handler.auth(req2, res2, challenges);
+			return [done, res2];
+		}
+
+		it('should accept a valid EAP-MD5 response', async () => {
+			const [done, res] = await md5('mypass');
+			assert.equal(done, false);
+			assert.equal(res.code.toString(), 'Access-Accept');
+			assert.deepEqual(message(res), { code: 3, identifier: 6 });
+			assert.ok(res.has('Message-Authenticator'));
+		});
+
+		it('should reject an invalid EAP-MD5 response', async () => {
+			const [done, res] = await md5('wrong');
+			assert.equal(done, true);
+			assert.equal(res.code.toString(), 'Access-Reject');
+			assert.deepEqual(message(res), { code: 4, identifier: 6 });
+		});
+
+		it('should start the method requested in a Nak', async () => {
+			const challenges = new ChallengeStore();
+			const nak = new EAPHandler({ methods: [echo, EAPHandler.md5(lookup)] });
+
+			const req1 = request(identity(0));
+			const res1 = response(req1);
+			await nak.auth(req1, res1, challenges);
+			assert.equal(message(res1).type, 254);
+
+			const req2 = request(EAPHandler.encode(2, 1, 3, Buffer.from([4])), res1.get('State').value);
+			const res2 = response(req2);
+			assert.equal(await nak.auth(req2, res2, challenges), true);
+			assert.equal(message(res2).type, 4);
+			assert.equal(message(res2).identifier, 2);
+			assert.deepEqual(res2.get('State').value, res1.get('State').value);
+
+			// a method can't be restarted
+			const req3 = request(EAPHandler.encode(2, 2, 3, Buffer.from([254])), res1.get('State').value);
+			const res3 = response(req3);
+			await nak.auth(req3, res3, challenges);
+			assert.equal(res3.code.toString(), 'Access-Reject');
+		});
+
+		it('should reassemble and fragment EAP-Message attributes', async () => {
+			const challenges = new ChallengeStore();
+			const large = new EAPHandler({ methods: [echo] });
+
+			const req = request(identity(0, 'x'.repeat(300)));
+			assert.equal(req.getAll('EAP-Message').length, 2);
+
+			const res = response(req);
+			await large.auth(req, res, challenges);
+			assert.equal(challenges.get(res.get('State')).identity, 'x'.repeat(300));
+			assert.equal(res.getAll('EAP-Message').length, 2);
+			assert.equal(message(res).data.length, 400);
+		});
+
+		it('should reject unexpected EAP packets', async () => {
+			const challenges = new ChallengeStore();
+
+			// a conversation must start with an Identity
+			const req1 = request(EAPHandler.encode(2, 0, 4, Buffer.from([0])));
+			let res = response(req1);
+			await handler.auth(req1, res, challenges);
+			assert.equal(res.code.toString(), 'Access-Reject');
+
+			// a malformed EAP packet
+			const req = request(Buffer.from([2, 0, 0, 9, 1]));
+			res = response(req);
+			assert.equal(await handler.auth(req, res, challenges), true);
+			assert.equal(message(res).code, 4);
+
+			// an unknown State
+			const req2 = request(identity(0), Buffer.alloc(16));
+			res = response(req2);
+			await handler.auth(req2, res, challenges);
+			assert.equal(res.code.toString(), 'Access-Reject');
+
+			// the wrong identifier
+			const req3 = request(identity(0));
+			const res3 = response(req3);
+			await handler.auth(req3, res3, challenges);
+			const req4 = request(EAPHandler.encode(2, 9, 4, Buffer.alloc(17)), res3.get('State').value);
+			res = response(req4);
+			await handler.auth(req4, res, challenges);
+			assert.equal(res.code.toString(), 'Access-Reject');
+		});
+
+		it('should ignore requests without an EAP-Message', async () => {
+			const req = new RadiusPacket('Access-Request', 1, authenticator).add('User-Name', 'myuser');
+			const res = response(req);
+			assert.equal(await handler.auth(req, res, new ChallengeStore()), false);
+			assert.equal([...res.attributes].length, 0);
+		});
+	});
+});
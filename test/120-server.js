@@ -0,0 +1,251 @@
+const assert = require('assert').strict;
+
+const dgram = require('dgram');
+const RadiusServer = require('../lib/server.js');
+const RadiusPacket = require('../lib/packet.js');
+const ErrorCause = require('../lib/errcause.js');
+const Dictionary = require('../lib/dictionary.js');
+
+const dictionary = new Dictionary();
+dictionary.load(__dirname + '/dictionary/dictionary.rfc2865');
+dictionary.load(__dirname + '/dictionary/dictionary.rfc3579');
+
+const secret = 'secret';
+
+// ports for the test servers, which shouldn't otherwise be in use
+const ports = { auth: 21812, acct: 21813, coa: 23799 };
+
+// starts a server, giving its sockets time to bind
+async function start(conf, client_options, ...handlers)
+{
+	const server = new RadiusServer(Object.assign({ dictionary, debug: false }, conf))
+		.addClient('127.0.0.1', secret, client_options);
+	for (let handler of handlers) {
+		server.use(handler);
+	}
+	server.start();
+	await new Promise(resolve => setTimeout(resolve, 100));
+	return server;
+}
+
+// builds a request from a list of [name, value] pairs
+function request(code, id, attrs = [])
+{
+	const req = new RadiusPacket(code, id, RadiusPacket.randomAuthenticator(), undefined, dictionary);
+	for (let [name, value] of attrs) {
+		req.add(name, value);
+	}
+	return req;
+}
+
+// sends request buffers to a port, resolving with the first reply
+function exchange(port, ...buffers)
+{
+	return new Promise((resolve, reject) => {
+		const socket = dgram.createSocket('udp4');
+		const timer = setTimeout(() => {
+			socket.close();
+			reject(new Error('timeout'));
+		}, 1000);
+
+		socket.on('message', (msg) => {
+			clearTimeout(timer);
+			socket.close();
+			resolve(msg);
+		});
+
+		for (let buf of buffers) {
+			socket.send(buf, port, '127.0.0.1');
+		}
+	});
+}
+
+// sends a request, and returns the verified and parsed response
+async function send(port, req, message_authenticator = false)
+{
+	const buf = req.toWire(secret, false, message_authenticator);
+	const msg = await exchange(port, buf);
+	const authenticator = buf.slice(4, 20);
+	assert.ok(RadiusPacket.verifyAuthenticator(msg, secret, authenticator));
+	return RadiusPacket.fromWire(msg, secret, authenticator, dictionary);
+}
+
+// a handler that records the slots it's called for, accepts requests
+// from the user 'accept' and stops the chain for the user 'stop'
+function recorder(calls)
+{
+	const handler = {};
+	const acks = { auth: 'Access-Accept', acct: undefined, coa: 'CoA-ACK', disconnect: 'Disconnect-ACK' };
+	for (let [slot, ack] of Object.entries(acks)) {
+		handler[slot] = (req, res) => {
+			calls.push(slot);
+			const user = String(req.get('User-Name'));
+			if (ack && user === 'accept') {
+				res.code = ack;
+			}
+			return user === 'stop';
+		};
+	}
+	return handler;
+}
+
+describe('RadiusServer', () => {
+
+	describe('#constructor', () => {
+		it('should check the listener ports', () => {
+			assert.throws(() => new RadiusServer({ coa: '3799' }), TypeError);
+			assert.throws(() => new RadiusServer({ coa: 0 }), RangeError);
+			assert.throws(() => new RadiusServer({ auth: 65536 }), RangeError);
+		});
+	});
+
+	describe('request handling', () => {
+
+		const calls = [];
+		let server;
+
+		before(async () => {
+			server = await start(ports, {}, recorder(calls), { auth: () => calls.push('next') });
+		});
+
+		after(() => server.stop());
+
+		beforeEach(() => calls.splice(0));
+
+		it('should pass each type of request to its handler slot', async () => {
+			let res = await send(ports.auth, request('Access-Request', 1, [['User-Name', 'accept']]));
+			assert.equal(res.code.toString(), 'Access-Accept');
+			assert.equal(res.identifier, 1);
+
+			res = await send(ports.acct, request('Accounting-Request', 2, [['User-Name', 'accept']]));
+			assert.equal(res.code.toString(), 'Accounting-Response');
+
+			res = await send(ports.coa, request('CoA-Request', 3, [['User-Name', 'accept']]));
+			assert.equal(res.code.toString(), 'CoA-ACK');
+			assert.equal(res.errorCause, undefined);
+
+			res = await send(ports.coa, request('Disconnect-Request', 4, [['User-Name', 'accept']]));
+			assert.equal(res.code.toString(), 'Disconnect-ACK');
+
+			assert.deepEqual(calls, ['auth', 'next', 'acct', 'coa', 'disconnect']);
+		});
+
+		it('should stop the chain when a handler returns true', async () => {
+			const res = await send(ports.auth, request('Access-Request', 5, [['User-Name', 'stop']]));
+			assert.equal(res.code.toString(), 'Access-Reject');
+			assert.deepEqual(calls, ['auth']);
+		});
+
+		it('should send a NAK with Error-Cause Unsupported-Service by default', async () => {
+			let res = await send(ports.coa, request('CoA-Request', 7, [['User-Name', 'other']]));
+			assert.equal(res.code.toString(), 'CoA-NAK');
+			assert.equal(res.errorCause, ErrorCause.UNSUPPORTED_SERVICE);
+
+			res = await send(ports.coa, request('Disconnect-Request', 8, [['User-Name', 'other']]));
+			assert.equal(res.code.toString(), 'Disconnect-NAK');
+			assert.equal(res.errorCause, ErrorCause.UNSUPPORTED_SERVICE);
+		});
+
+		it('should copy Proxy-State to the response', async () => {
+			const res = await send(ports.auth, request('Access-Request', 9, [['Proxy-State', Buffer.from('a')], ['Proxy-State', Buffer.from('b')]]));
+			assert.deepEqual(res.getAll('Proxy-State').map(a => a.value.toString()), ['a', 'b']);
+			assert.ok(!res.hasMessageAuthenticator);
+		});
+
+		it('should include a Message-Authenticator in responses to requests with one', async () => {
+			for (let [port, code] of [[ports.auth, 'Access-Request'], [ports.acct, 'Accounting-Request'], [ports.coa, 'CoA-Request']]) {
+				const res = await send(port, request(code, 10, [['Proxy-State', Buffer.from('a')]]), true);
+				assert.ok(res.hasMessageAuthenticator);
+				assert.equal([...res.attributes][0].dict.id, 80);
+			}
+		});
+	});
+
+	describe('Request Authenticator', () => {
+		it('should drop and count requests with an invalid Request Authenticator', async () => {
+			const server = await start({ auth: null, acct: 21843, coa: 23843 });
+			try {
+				const requests = [
+					[21843, 'Accounting-Request'],
+					[23843, 'CoA-Request'],
+					[23843, 'Disconnect-Request']
+				];
+
+				for (let [port, code] of requests) {
+					const bad = request(code, 1, [['User-Name', 'user']]).toWire('wrong', false);
+					const good = request(code, 2, [['User-Name', 'user']]).toWire(secret, false);
+					const msg = await exchange(port, bad, good);
+					assert.equal(msg[1], 2);
+				}
+
+				const stats = server.getStatistics();
+				assert.deepEqual(stats, {
+					auth: { bad_authenticators: 0 },
+					acct: { bad_authenticators: 1 },
+					coa: { bad_authenticators: 2 }
+				});
+
+				// the statistics are a snapshot
+				stats.acct.bad_authenticators = 0;
+				assert.equal(server.getStatistics().acct.bad_authenticators, 1);
+			} finally {
+				server.stop();
+			}
+		});
+	});
+
+	describe('Message-Authenticator policy', () => {
+
+		// the identifier of the first response to a series of requests
+		async function answered(port, ...reqs) {
+			const msg = await exchange(port, ...reqs.map(([req, ma]) => req.toWire(secret, false, ma)));
+			return msg[1];
+		}
+
+		it('should drop requests without a Message-Authenticator when required', async () => {
+			const server = await start({ auth: 21822, acct: null }, { require_message_authenticator: true });
+			try {
+				const id = await answered(21822,
+					[request('Access-Request', 1, [['User-Name', 'user']]), false],
+					[request('Access-Request', 2, [['User-Name', 'user']]), true]);
+				assert.equal(id, 2);
+			} finally {
+				server.stop();
+			}
+		});
+
+		it('should drop Proxy-State without a Message-Authenticator once one has been seen', async () => {
+			const server = await start({ auth: 21832, acct: null }, { limit_proxy_state: true });
+			const proxied = (id) => request('Access-Request', id, [['Proxy-State', Buffer.from('p')]]);
+			try {
+				// accepted until the client sends a Message-Authenticator
+				assert.equal(await answered(21832, [proxied(1), false]), 1);
+				assert.equal(await answered(21832, [proxied(2), true]), 2);
+
+				const id = await answered(21832,
+					[proxied(3), false],
+					[request('Access-Request', 4, [['User-Name', 'user']]), false]);
+				assert.equal(id, 4);
+			} finally {
+				server.stop();
+			}
+		});
+	});
+
+	describe('Dynamic Authorization listener', () => {
+		it('should not be started if its port is null', async () => {
+			const server = await start({ auth: ports.auth, acct: null, coa: null });
+			const socket = dgram.createSocket('udp4');
+			try {
+				// the port would be in use had the server bound it
+				await new Promise((resolve, reject) => {
+					socket.on('error', reject);
+					socket.bind(3799, resolve);
+				});
+			} finally {
+				socket.close();
+				server.stop();
+			}
+		});
+	});
+});
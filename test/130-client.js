@@ -0,0 +1,194 @@
+const assert = require('assert').strict;
+
+const dgram = require('dgram');
+const RadiusClient = require('../lib/client.js');
+const RadiusPacket = require('../lib/packet.js');
+const AttributeList = require('../lib/attrlist.js');
+const ErrorCause = require('../lib/errcause.js');
+const Dictionary = require('../lib/dictionary.js');
+
+const dictionary = new Dictionary();
+dictionary.load(__dirname + '/dictionary/dictionary.rfc2865');
+dictionary.load(__dirname + '/dictionary/dictionary.rfc3579');
+
+const secret = 'secret';
+
+// RFC 5176 §3.5 - Error-Cause
+const ERROR_CAUSE = 101;
+
+// starts a fake server on a local port, which records each request
+// and replies with the response (if any) built by the given function
+async function fakeServer(reply, port = 0)
+{
+	const socket = dgram.createSocket('udp4');
+	const requests = [];
+
+	socket.on('message', (msg, rinfo) => {
+		const req = RadiusPacket.fromWire(msg, secret, undefined, dictionary);
+		requests.push(req);
+
+		const res = reply(req);
+		if (res) {
+			socket.send(res.toWire(secret), rinfo.port, rinfo.address);
+		}
+	});
+
+	await new Promise((resolve, reject) => {
+		socket.on('error', reject);
+		socket.bind(port, '127.0.0.1', resolve);
+	});
+
+	return { socket, requests, port: socket.address().port };
+}
+
+// builds a response to a request
+function response(req, code, error_cause)
+{
+	const res = new RadiusPacket(code, req.identifier, req.authenticator, undefined, dictionary);
+	if (error_cause !== undefined) {
+		const buf = Buffer.alloc(4);
+		buf.writeUInt32BE(error_cause, 0);
+		res.add(ERROR_CAUSE, buf);
+	}
+	return res;
+}
+
+// a client for the fake server, whose other ports are unused
+function client(server, options = {})
+{
+	return new RadiusClient(Object.assign({
+		host: '127.0.0.1', secret, auth: 21912, acct: 21913, coa: server.port,
+		retry: 1, delay: 0.5, dictionary
+	}, options));
+}
+
+describe('RadiusClient', () => {
+
+	describe('Message-Authenticator policy', () => {
+
+		// accepts every request, with a Message-Authenticator
+		// in the response if the request contained one
+		function reply(req) {
+			const res = response(req, 'Access-Accept');
+			if (req.hasMessageAuthenticator) {
+				res.add('Message-Authenticator', Buffer.alloc(16));
+			}
+			return res;
+		}
+
+		let server, plain;
+
+		before(async () => {
+			server = await fakeServer(reply);
+			plain = await fakeServer((req) => response(req, 'Access-Accept'));
+		});
+
+		after(() => {
+			server.socket.close();
+			plain.socket.close();
+		});
+
+		function request(target) {
+			const attrs = new AttributeList([], false, dictionary);
+			attrs.add('User-Name', 'user');
+			return client(target, { auth: target.port, require_message_authenticator: true })
+				.request('Access-Request', attrs);
+		}
+
+		it('should send and verify a Message-Authenticator when required', async () => {
+			const res = await request(server);
+			assert.ok(res.hasMessageAuthenticator);
+			assert.ok(server.requests[0].hasMessageAuthenticator);
+		});
+
+		it('should ignore responses without a Message-Authenticator when required', async () => {
+			await assert.rejects(request(plain), /timeout/);
+			assert.equal(plain.requests.length, 1);
+		});
+	});
+
+	describe('Dynamic Authorization', () => {
+
+		// ACKs requests for the user 'accept', and NAKs the rest
+		function reply(req) {
+			const ack = String(req.get('User-Name')) === 'accept';
+			if (req.code.toString() === 'CoA-Request') {
+				return ack ? response(req, 'CoA-ACK') : response(req, 'CoA-NAK', 503);
+			} else if (req.code.toString() === 'Disconnect-Request') {
+				return ack ? response(req, 'Disconnect-ACK') : response(req, 'Disconnect-NAK', 504);
+			}
+		}
+
+		let server;
+
+		before(async () => {
+			server = await fakeServer(reply);
+		});
+
+		after(() => server.socket.close());
+
+		beforeEach(() => server.requests.splice(0));
+
+		it('should send a CoA-Request to the coa port and resolve with the ACK', async () => {
+			const attrs = new AttributeList([], false, dictionary);
+			attrs.add('Session-Timeout', 60);
+			const res = await client(server).coa({ 'User-Name': 'accept' }, attrs);
+			assert.equal(res.code.toString(), 'CoA-ACK');
+
+			assert.equal(server.requests.length, 1);
+			const req = server.requests[0];
+			assert.equal(req.code.toString(), 'CoA-Request');
+			assert.equal(String(req.get('User-Name')), 'accept');
+			assert.equal(req.get('Session-Timeout').value, 60);
+		});
+
+		it('should send a Disconnect-Request and resolve with the ACK', async () => {
+			const res = await client(server).disconnect({ 'User-Name': 'accept', 'NAS-IP-Address': '192.0.2.1' });
+			assert.equal(res.code.toString(), 'Disconnect-ACK');
+			assert.equal(server.requests[0].code.toString(), 'Disconnect-Request');
+			assert.equal(String(server.requests[0].get('NAS-IP-Address')), '192.0.2.1');
+		});
+
+		it('should reject with the NAK and its Error-Cause', async () => {
+			await assert.rejects(client(server).coa({ 'User-Name': 'other' }), (res) => {
+				assert.ok(res instanceof RadiusPacket);
+				assert.equal(res.code.toString(), 'CoA-NAK');
+				assert.equal(res.errorCause, ErrorCause.SESSION_CONTEXT_NOT_FOUND);
+				return true;
+			});
+
+			await assert.rejects(client(server).disconnect({ 'User-Name': 'other' }), (res) => {
+				assert.equal(res.code.toString(), 'Disconnect-NAK');
+				assert.equal(res.errorCause, ErrorCause.SESSION_CONTEXT_NOT_REMOVABLE);
+				return true;
+			});
+		});
+
+		it('should only accept session identification attributes', () => {
+			const c = client(server);
+			assert.throws(() => c.coa(), TypeError);
+			assert.throws(() => c.disconnect(null), TypeError);
+			assert.throws(() => c.coa({ 'Session-Timeout': 60 }), RangeError);
+			assert.throws(() => c.disconnect({ 'User-Name': 'accept', 'Reply-Message': 'bye' }), RangeError);
+			assert.equal(server.requests.length, 0);
+		});
+
+		it('should send requests to port 3799 by default', async function() {
+			let standard;
+			try {
+				standard = await fakeServer(reply, 3799);
+			} catch (e) {
+				this.skip();
+			}
+
+			try {
+				const res = await client(server, { coa: undefined }).disconnect({ 'User-Name': 'accept' });
+				assert.equal(res.code.toString(), 'Disconnect-ACK');
+				assert.equal(standard.requests.length, 1);
+				assert.equal(server.requests.length, 0);
+			} finally {
+				standard.socket.close();
+			}
+		});
+	});
+});